@@ -1,4 +1,8 @@
-exports.up = function(knex) {
+exports.up = async function(knex) {
+  // create_category bu kolonu zaten oluşturuyor; boş veritabanında migration'lar baştan çalışabilsin
+  if (await knex.schema.hasColumn("category", "auth_user_id")) {
+    return;
+  }
   return knex.schema.alterTable("category", function(table) {
     table
       .uuid("auth_user_id")
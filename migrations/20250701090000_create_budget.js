@@ -0,0 +1,30 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("budget", function (table) {
+    table.uuid("id").primary();
+    table.uuid("auth_user_id").notNullable();
+    table.uuid("category_id").notNullable();
+    table.decimal("amount", 14, 2).notNullable();
+    table.enu("period", ["monthly", "weekly", "custom"]).notNullable().defaultTo("monthly");
+    table.date("start_date");
+    table.date("end_date");
+    table.timestamp("created_at").defaultTo(knex.fn.now());
+    table.timestamp("updated_at").defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table
+      .foreign("auth_user_id")
+      .references("id")
+      .inTable("auth_users")
+      .onDelete("CASCADE");
+
+    table
+      .foreign("category_id")
+      .references("id")
+      .inTable("category")
+      .onDelete("CASCADE");
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("budget");
+};
@@ -0,0 +1,54 @@
+exports.up = async function (knex) {
+  await knex.schema.createTable("recurring_transaction", function (table) {
+    table.uuid("id").primary();
+    table.uuid("auth_user_id").notNullable();
+    table.uuid("category_id").notNullable();
+    table.string("title").notNullable();
+    table.string("description");
+    table.decimal("amount", 14, 2).notNullable();
+    table.enu("frequency", ["daily", "weekly", "monthly", "yearly"]).notNullable();
+    table.integer("interval").notNullable().defaultTo(1);
+    table.integer("day_of_month");
+    table.date("start_date").notNullable();
+    table.date("end_date");
+    table.integer("max_occurrences");
+    table.integer("occurrences_count").notNullable().defaultTo(0);
+    table.date("next_run_date");
+    table.boolean("active").notNullable().defaultTo(true);
+    table.timestamp("created_at").defaultTo(knex.fn.now());
+    table.timestamp("updated_at").defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table
+      .foreign("auth_user_id")
+      .references("id")
+      .inTable("auth_users")
+      .onDelete("CASCADE");
+
+    table
+      .foreign("category_id")
+      .references("id")
+      .inTable("category")
+      .onDelete("CASCADE");
+  });
+
+  // aynı kuralın aynı günü iki kez üretilmesini veritabanı seviyesinde engeller
+  await knex.schema.alterTable("transaction", function (table) {
+    table
+      .uuid("recurring_transaction_id")
+      .references("id")
+      .inTable("recurring_transaction")
+      .onDelete("SET NULL");
+    table.date("occurrence_date");
+    table.unique(["recurring_transaction_id", "occurrence_date"]);
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.alterTable("transaction", function (table) {
+    table.dropUnique(["recurring_transaction_id", "occurrence_date"]);
+    table.dropColumn("occurrence_date");
+    table.dropColumn("recurring_transaction_id");
+  });
+  await knex.schema.dropTable("recurring_transaction");
+};
@@ -0,0 +1,18 @@
+// route'lar description kolonunu kullanıyor, tabloda yoksa eklenir
+exports.up = async function (knex) {
+  const exists = await knex.schema.hasColumn("transaction", "description");
+  if (!exists) {
+    await knex.schema.alterTable("transaction", function (table) {
+      table.string("description");
+    });
+  }
+};
+
+exports.down = async function (knex) {
+  const exists = await knex.schema.hasColumn("transaction", "description");
+  if (exists) {
+    await knex.schema.alterTable("transaction", function (table) {
+      table.dropColumn("description");
+    });
+  }
+};
@@ -0,0 +1,43 @@
+exports.up = async function (knex) {
+  await knex.schema.alterTable("auth_users", function (table) {
+    table.string("default_currency", 3).notNullable().defaultTo("TRY");
+  });
+
+  await knex.schema.alterTable("transaction", function (table) {
+    table.string("currency", 3).notNullable().defaultTo("TRY");
+  });
+
+  await knex.schema.alterTable("recurring_transaction", function (table) {
+    table.string("currency", 3).notNullable().defaultTo("TRY");
+  });
+
+  // 1 base_currency = rate quote_currency
+  await knex.schema.createTable("exchange_rate", function (table) {
+    table.uuid("id").primary();
+    table.string("base_currency", 3).notNullable();
+    table.string("quote_currency", 3).notNullable();
+    table.decimal("rate", 18, 8).notNullable();
+    table.date("date").notNullable();
+    table.string("source");
+    table.timestamp("created_at").defaultTo(knex.fn.now());
+    table.timestamp("updated_at").defaultTo(knex.fn.now());
+
+    table.unique(["base_currency", "quote_currency", "date"]);
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTable("exchange_rate");
+
+  await knex.schema.alterTable("recurring_transaction", function (table) {
+    table.dropColumn("currency");
+  });
+
+  await knex.schema.alterTable("transaction", function (table) {
+    table.dropColumn("currency");
+  });
+
+  await knex.schema.alterTable("auth_users", function (table) {
+    table.dropColumn("default_currency");
+  });
+};
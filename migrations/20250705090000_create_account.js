@@ -0,0 +1,78 @@
+exports.up = async function (knex) {
+  await knex.schema.createTable("account", function (table) {
+    table.uuid("id").primary();
+    table.uuid("auth_user_id").notNullable();
+    table.string("name").notNullable();
+    table.enu("type", ["cash", "bank", "credit_card", "savings"]).notNullable().defaultTo("cash");
+    table.string("currency", 3).notNullable().defaultTo("TRY");
+    table.decimal("opening_balance", 14, 2).notNullable().defaultTo(0);
+    table.boolean("is_default").notNullable().defaultTo(false);
+    table.timestamp("created_at").defaultTo(knex.fn.now());
+    table.timestamp("updated_at").defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table
+      .foreign("auth_user_id")
+      .references("id")
+      .inTable("auth_users")
+      .onDelete("CASCADE");
+  });
+
+  await knex.schema.alterTable("transaction", function (table) {
+    table
+      .uuid("account_id")
+      .references("id")
+      .inTable("account")
+      .onDelete("RESTRICT");
+    // transferin iki bacağı aynı transfer_id'yi taşır
+    table.uuid("transfer_id").index();
+    table.uuid("category_id").nullable().alter();
+  });
+
+  await knex.schema.alterTable("recurring_transaction", function (table) {
+    table
+      .uuid("account_id")
+      .references("id")
+      .inTable("account")
+      .onDelete("SET NULL");
+  });
+
+  // mevcut kullanıcılar için varsayılan hesap açılır ve eski işlemler bu hesaba bağlanır
+  await knex.raw(`
+    insert into account (id, auth_user_id, name, type, currency, is_default)
+    select gen_random_uuid(), id, 'Cash', 'cash', default_currency, true from auth_users
+  `);
+  await knex.raw(`
+    update "transaction" t set account_id = a.id
+    from account a
+    where a.auth_user_id = t.auth_user_id and a.is_default
+  `);
+
+  await knex.schema.alterTable("transaction", function (table) {
+    table.uuid("account_id").notNullable().alter();
+  });
+
+  // kategorisiz işlem sadece transfer bacağı olabilir
+  await knex.raw(`
+    alter table "transaction"
+    add constraint transaction_category_or_transfer
+    check (category_id is not null or transfer_id is not null)
+  `);
+};
+
+exports.down = async function (knex) {
+  await knex.raw(`delete from "transaction" where category_id is null`);
+  await knex.raw(`alter table "transaction" drop constraint transaction_category_or_transfer`);
+
+  await knex.schema.alterTable("recurring_transaction", function (table) {
+    table.dropColumn("account_id");
+  });
+
+  await knex.schema.alterTable("transaction", function (table) {
+    table.uuid("category_id").notNullable().alter();
+    table.dropColumn("transfer_id");
+    table.dropColumn("account_id");
+  });
+
+  await knex.schema.dropTable("account");
+};
@@ -0,0 +1,26 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("refresh_token", function (table) {
+    table.uuid("id").primary();
+    table.uuid("auth_user_id").notNullable();
+    // aynı oturumda dönen (rotate edilen) tüm tokenlar aynı session_id'yi taşır
+    table.uuid("session_id").notNullable().index();
+    table.string("token_hash", 64).notNullable().unique();
+    table.timestamp("expires_at").notNullable();
+    table.timestamp("revoked_at");
+    table.uuid("replaced_by");
+    table.string("user_agent");
+    table.string("ip");
+    table.timestamp("created_at").defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table
+      .foreign("auth_user_id")
+      .references("id")
+      .inTable("auth_users")
+      .onDelete("CASCADE");
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("refresh_token");
+};
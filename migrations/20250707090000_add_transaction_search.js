@@ -0,0 +1,73 @@
+// Tam metin arama: başlık (A), açıklama (B) ve kategori adı (C) tek bir tsvector'da tutulur.
+// Vektör ayrı tabloda durur; böylece "transaction.*" dönen sorgulara karışmaz.
+// Kategori adı başka tabloda olduğu için generated column yerine trigger ile güncellenir.
+exports.up = async function (knex) {
+  await knex.schema.createTable("transaction_search", function (table) {
+    table.uuid("transaction_id").primary();
+    table.specificType("search_vector", "tsvector").notNullable();
+
+    // Foreign keys
+    table
+      .foreign("transaction_id")
+      .references("id")
+      .inTable("transaction")
+      .onDelete("CASCADE");
+  });
+
+  await knex.raw(`
+    create function refresh_transaction_search(target_id uuid) returns void language sql as $$
+      insert into transaction_search (transaction_id, search_vector)
+      select t.id,
+        setweight(to_tsvector('simple', coalesce(t.title, '')), 'A')
+          || setweight(to_tsvector('simple', coalesce(t.description, '')), 'B')
+          || setweight(to_tsvector('simple', coalesce(c.name, '')), 'C')
+      from "transaction" t
+      left join category c on c.id = t.category_id
+      where t.id = target_id
+      on conflict (transaction_id) do update set search_vector = excluded.search_vector
+    $$
+  `);
+
+  await knex.raw(`
+    create function transaction_search_update() returns trigger language plpgsql as $$
+    begin
+      perform refresh_transaction_search(new.id);
+      return null;
+    end
+    $$
+  `);
+  await knex.raw(`
+    create trigger transaction_search_update
+    after insert or update of title, description, category_id on "transaction"
+    for each row execute function transaction_search_update()
+  `);
+
+  // kategori adı değişince o kategorideki işlemler yeniden indekslenir
+  await knex.raw(`
+    create function category_search_update() returns trigger language plpgsql as $$
+    begin
+      perform refresh_transaction_search(t.id) from "transaction" t where t.category_id = new.id;
+      return null;
+    end
+    $$
+  `);
+  await knex.raw(`
+    create trigger category_search_update
+    after update of name on category
+    for each row when (old.name is distinct from new.name)
+    execute function category_search_update()
+  `);
+
+  await knex.raw(`select refresh_transaction_search(id) from "transaction"`);
+  await knex.raw(`create index transaction_search_vector_idx on transaction_search using gin (search_vector)`);
+};
+
+exports.down = async function (knex) {
+  await knex.raw(`drop trigger if exists category_search_update on category`);
+  await knex.raw(`drop trigger if exists transaction_search_update on "transaction"`);
+  await knex.raw(`drop function if exists category_search_update()`);
+  await knex.raw(`drop function if exists transaction_search_update()`);
+  await knex.raw(`drop function if exists refresh_transaction_search(uuid)`);
+
+  await knex.schema.dropTable("transaction_search");
+};
@@ -0,0 +1,116 @@
+const SEARCH_WITH_TAGS = `
+  create or replace function refresh_transaction_search(target_id uuid) returns void language sql as $$
+    insert into transaction_search (transaction_id, search_vector)
+    select t.id,
+      setweight(to_tsvector('simple', coalesce(t.title, '')), 'A')
+        || setweight(to_tsvector('simple', coalesce(t.description, '')), 'B')
+        || setweight(to_tsvector('simple', coalesce(c.name, '')), 'C')
+        || setweight(to_tsvector('simple', coalesce(
+          (select string_agg(g.name, ' ') from transaction_tag tt join tag g on g.id = tt.tag_id
+           where tt.transaction_id = t.id), '')), 'C')
+    from "transaction" t
+    left join category c on c.id = t.category_id
+    where t.id = target_id
+    on conflict (transaction_id) do update set search_vector = excluded.search_vector
+  $$
+`;
+
+const SEARCH_WITHOUT_TAGS = `
+  create or replace function refresh_transaction_search(target_id uuid) returns void language sql as $$
+    insert into transaction_search (transaction_id, search_vector)
+    select t.id,
+      setweight(to_tsvector('simple', coalesce(t.title, '')), 'A')
+        || setweight(to_tsvector('simple', coalesce(t.description, '')), 'B')
+        || setweight(to_tsvector('simple', coalesce(c.name, '')), 'C')
+    from "transaction" t
+    left join category c on c.id = t.category_id
+    where t.id = target_id
+    on conflict (transaction_id) do update set search_vector = excluded.search_vector
+  $$
+`;
+
+exports.up = async function (knex) {
+  await knex.schema.createTable("tag", function (table) {
+    table.uuid("id").primary();
+    table.uuid("auth_user_id").notNullable();
+    table.string("name", 64).notNullable();
+    table.timestamp("created_at").defaultTo(knex.fn.now());
+    table.timestamp("updated_at").defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table
+      .foreign("auth_user_id")
+      .references("id")
+      .inTable("auth_users")
+      .onDelete("CASCADE");
+  });
+  // etiket adları kullanıcı bazında büyük/küçük harf duyarsız tekil
+  await knex.raw(`create unique index tag_auth_user_id_name_unique on tag (auth_user_id, lower(name))`);
+
+  await knex.schema.createTable("transaction_tag", function (table) {
+    table.uuid("transaction_id").notNullable();
+    table.uuid("tag_id").notNullable().index();
+    table.primary(["transaction_id", "tag_id"]);
+
+    // Foreign keys
+    table
+      .foreign("transaction_id")
+      .references("id")
+      .inTable("transaction")
+      .onDelete("CASCADE");
+    table
+      .foreign("tag_id")
+      .references("id")
+      .inTable("tag")
+      .onDelete("CASCADE");
+  });
+
+  // etiket adları da aramaya dahil edilir
+  await knex.raw(SEARCH_WITH_TAGS);
+
+  await knex.raw(`
+    create function transaction_tag_search_update() returns trigger language plpgsql as $$
+    begin
+      if tg_op = 'DELETE' then
+        perform refresh_transaction_search(old.transaction_id);
+      else
+        perform refresh_transaction_search(new.transaction_id);
+      end if;
+      return null;
+    end
+    $$
+  `);
+  await knex.raw(`
+    create trigger transaction_tag_search_update
+    after insert or delete on transaction_tag
+    for each row execute function transaction_tag_search_update()
+  `);
+
+  await knex.raw(`
+    create function tag_search_update() returns trigger language plpgsql as $$
+    begin
+      perform refresh_transaction_search(tt.transaction_id) from transaction_tag tt where tt.tag_id = new.id;
+      return null;
+    end
+    $$
+  `);
+  await knex.raw(`
+    create trigger tag_search_update
+    after update of name on tag
+    for each row when (old.name is distinct from new.name)
+    execute function tag_search_update()
+  `);
+};
+
+exports.down = async function (knex) {
+  await knex.raw(`drop trigger if exists tag_search_update on tag`);
+  await knex.raw(`drop trigger if exists transaction_tag_search_update on transaction_tag`);
+  await knex.raw(`drop function if exists tag_search_update()`);
+  await knex.raw(`drop function if exists transaction_tag_search_update()`);
+
+  await knex.schema.dropTable("transaction_tag");
+  await knex.schema.dropTable("tag");
+
+  await knex.raw(SEARCH_WITHOUT_TAGS);
+  await knex.raw(`select refresh_transaction_search(id) from "transaction"`);
+};
@@ -0,0 +1,13 @@
+exports.up = async function (knex) {
+  await knex.schema.alterTable("category", function (table) {
+    // ON DELETE tanımlanmadı (NO ACTION): alt kategorileri olan kategori ancak
+    // alt ağacıyla birlikte tek sorguda silinebilir ya da önce çocukları taşınır
+    table.uuid("parent_id").references("id").inTable("category").index();
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.alterTable("category", function (table) {
+    table.dropColumn("parent_id");
+  });
+};
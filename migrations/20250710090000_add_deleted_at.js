@@ -0,0 +1,21 @@
+// silinen kategori ve işlemler çöp kutusuna düşer, saklama süresi dolunca purge job siler
+exports.up = async function (knex) {
+  await knex.schema.alterTable("category", function (table) {
+    table.timestamp("deleted_at").index();
+  });
+  await knex.schema.alterTable("transaction", function (table) {
+    table.timestamp("deleted_at").index();
+  });
+};
+
+exports.down = async function (knex) {
+  await knex("transaction").whereNotNull("deleted_at").del();
+  await knex("category").whereNotNull("deleted_at").del();
+
+  await knex.schema.alterTable("transaction", function (table) {
+    table.dropColumn("deleted_at");
+  });
+  await knex.schema.alterTable("category", function (table) {
+    table.dropColumn("deleted_at");
+  });
+};
@@ -0,0 +1,23 @@
+exports.up = async function (knex) {
+  await knex.schema.createTable("audit_log", function (table) {
+    table.uuid("id").primary();
+    // kaydın sahibi; kullanıcı silinse de geçmiş kalsın diye foreign key yok
+    table.uuid("auth_user_id").notNullable();
+    table.uuid("actor_id");
+    table.string("entity", 32).notNullable();
+    table.uuid("entity_id").notNullable();
+    table.enu("action", ["insert", "update", "delete", "restore"]).notNullable();
+    table.jsonb("before");
+    table.jsonb("after");
+    table.string("ip");
+    table.string("user_agent");
+    table.timestamp("created_at").defaultTo(knex.fn.now());
+
+    table.index(["entity", "entity_id"]);
+    table.index(["auth_user_id", "created_at"]);
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTable("audit_log");
+};
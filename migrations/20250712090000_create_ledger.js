@@ -0,0 +1,104 @@
+// Kategori ve işlemler kullanıcı yerine bir deftere (ledger) aittir; defter üyelerle paylaşılır.
+// auth_user_id kolonları kaydı oluşturan kullanıcı olarak kalır.
+exports.up = async function (knex) {
+  await knex.schema.createTable("ledger", function (table) {
+    table.uuid("id").primary();
+    table.string("name").notNullable();
+    table.uuid("created_by");
+    table.timestamp("created_at").defaultTo(knex.fn.now());
+    table.timestamp("updated_at").defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table
+      .foreign("created_by")
+      .references("id")
+      .inTable("auth_users")
+      .onDelete("SET NULL");
+  });
+
+  await knex.schema.createTable("ledger_member", function (table) {
+    table.uuid("ledger_id").notNullable();
+    table.uuid("auth_user_id").notNullable().index();
+    table.enu("role", ["owner", "editor", "viewer"]).notNullable();
+    table.timestamp("created_at").defaultTo(knex.fn.now());
+    table.timestamp("updated_at").defaultTo(knex.fn.now());
+    table.primary(["ledger_id", "auth_user_id"]);
+
+    // Foreign keys
+    table
+      .foreign("ledger_id")
+      .references("id")
+      .inTable("ledger")
+      .onDelete("CASCADE");
+    table
+      .foreign("auth_user_id")
+      .references("id")
+      .inTable("auth_users")
+      .onDelete("CASCADE");
+  });
+
+  await knex.schema.createTable("ledger_invitation", function (table) {
+    table.uuid("id").primary();
+    table.uuid("ledger_id").notNullable().index();
+    table.string("email").notNullable();
+    table.enu("role", ["editor", "viewer"]).notNullable();
+    // davet token'ı sadece sha256 özeti olarak tutulur
+    table.string("token_hash", 64).notNullable().unique();
+    table.uuid("invited_by");
+    table.timestamp("expires_at").notNullable();
+    table.timestamp("accepted_at");
+    table.uuid("accepted_by");
+    table.timestamp("created_at").defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table
+      .foreign("ledger_id")
+      .references("id")
+      .inTable("ledger")
+      .onDelete("CASCADE");
+    table
+      .foreign("invited_by")
+      .references("id")
+      .inTable("auth_users")
+      .onDelete("SET NULL");
+  });
+
+  await knex.schema.alterTable("category", function (table) {
+    table.uuid("ledger_id").references("id").inTable("ledger").onDelete("CASCADE").index();
+  });
+  await knex.schema.alterTable("transaction", function (table) {
+    table.uuid("ledger_id").references("id").inTable("ledger").onDelete("CASCADE").index();
+  });
+
+  // mevcut her kullanıcıya kişisel defter açılır, kayıtları bu deftere taşınır
+  await knex.raw(`
+    insert into ledger (id, name, created_by)
+    select gen_random_uuid(), 'Personal', id from auth_users
+  `);
+  await knex.raw(`
+    insert into ledger_member (ledger_id, auth_user_id, role)
+    select id, created_by, 'owner' from ledger
+  `);
+  await knex.raw(`update category c set ledger_id = l.id from ledger l where l.created_by = c.auth_user_id`);
+  await knex.raw(`update "transaction" t set ledger_id = l.id from ledger l where l.created_by = t.auth_user_id`);
+
+  await knex.schema.alterTable("category", function (table) {
+    table.uuid("ledger_id").notNullable().alter();
+  });
+  await knex.schema.alterTable("transaction", function (table) {
+    table.uuid("ledger_id").notNullable().alter();
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.alterTable("transaction", function (table) {
+    table.dropColumn("ledger_id");
+  });
+  await knex.schema.alterTable("category", function (table) {
+    table.dropColumn("ledger_id");
+  });
+
+  await knex.schema.dropTable("ledger_invitation");
+  await knex.schema.dropTable("ledger_member");
+  await knex.schema.dropTable("ledger");
+};
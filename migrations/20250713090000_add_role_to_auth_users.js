@@ -0,0 +1,12 @@
+// yönetici (admin) rolü; ilk admin `npm run user:role -- <email> admin` ile atanır
+exports.up = async function (knex) {
+  await knex.schema.alterTable("auth_users", function (table) {
+    table.enu("role", ["user", "admin"]).notNullable().defaultTo("user");
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.alterTable("auth_users", function (table) {
+    table.dropColumn("role");
+  });
+};
@@ -0,0 +1,33 @@
+// şifre sıfırlama ve email doğrulama için tek kullanımlık, süreli tokenlar
+exports.up = async function (knex) {
+  await knex.schema.createTable("auth_token", function (table) {
+    table.uuid("id").primary();
+    table.uuid("auth_user_id").notNullable().index();
+    table.enu("purpose", ["password_reset", "email_verification"]).notNullable();
+    // token sadece sha256 özeti olarak tutulur
+    table.string("token_hash", 64).notNullable().unique();
+    table.timestamp("expires_at").notNullable();
+    table.timestamp("used_at");
+    table.timestamp("created_at").defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table
+      .foreign("auth_user_id")
+      .references("id")
+      .inTable("auth_users")
+      .onDelete("CASCADE");
+  });
+
+  await knex.schema.alterTable("auth_users", function (table) {
+    table.timestamp("email_verified_at");
+  });
+  // mevcut kullanıcılar doğrulanmış sayılır
+  await knex("auth_users").update({ email_verified_at: knex.fn.now() });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.alterTable("auth_users", function (table) {
+    table.dropColumn("email_verified_at");
+  });
+  await knex.schema.dropTable("auth_token");
+};
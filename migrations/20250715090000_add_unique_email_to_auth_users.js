@@ -0,0 +1,19 @@
+// email adresleri büyük/küçük harf duyarsız tekil
+exports.up = async function (knex) {
+  const duplicates = await knex("auth_users")
+    .select(knex.raw("lower(email) as email"))
+    .groupByRaw("lower(email)")
+    .havingRaw("count(*) > 1");
+
+  if (duplicates.length) {
+    throw new Error(
+      `Duplicate emails must be resolved before this migration: ${duplicates.map((row) => row.email).join(", ")}`
+    );
+  }
+
+  await knex.raw(`create unique index auth_users_email_unique on auth_users (lower(email))`);
+};
+
+exports.down = async function (knex) {
+  await knex.raw(`drop index if exists auth_users_email_unique`);
+};
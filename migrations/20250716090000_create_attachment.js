@@ -0,0 +1,54 @@
+// işlemlere eklenen makbuz/fatura dosyaları; dosyanın kendisi storage sürücüsünde durur
+exports.up = async function (knex) {
+  await knex.schema.createTable("attachment", function (table) {
+    table.uuid("id").primary();
+    table.uuid("transaction_id").notNullable().index();
+    table.uuid("auth_user_id");
+    table.string("filename").notNullable();
+    table.string("content_type", 100).notNullable();
+    table.integer("size").notNullable();
+    table.string("storage_key").notNullable().unique();
+    table.timestamp("created_at").defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table
+      .foreign("transaction_id")
+      .references("id")
+      .inTable("transaction")
+      .onDelete("CASCADE");
+    table
+      .foreign("auth_user_id")
+      .references("id")
+      .inTable("auth_users")
+      .onDelete("SET NULL");
+  });
+
+  // Satır hangi yoldan silinirse silinsin (işlem purge'ü, hesap/defter/kullanıcı silme cascade'i)
+  // dosya anahtarı kuyruğa yazılır; dosyaları sweepDeletedAttachments siler.
+  await knex.schema.createTable("attachment_deletion", function (table) {
+    table.string("storage_key").primary();
+    table.timestamp("created_at").defaultTo(knex.fn.now());
+  });
+
+  await knex.raw(`
+    create function attachment_deletion_enqueue() returns trigger language plpgsql as $$
+    begin
+      insert into attachment_deletion (storage_key) values (old.storage_key) on conflict do nothing;
+      return null;
+    end
+    $$
+  `);
+  await knex.raw(`
+    create trigger attachment_deletion_enqueue
+    after delete on attachment
+    for each row execute function attachment_deletion_enqueue()
+  `);
+};
+
+exports.down = async function (knex) {
+  await knex.raw(`drop trigger if exists attachment_deletion_enqueue on attachment`);
+  await knex.raw(`drop function if exists attachment_deletion_enqueue()`);
+
+  await knex.schema.dropTable("attachment_deletion");
+  await knex.schema.dropTable("attachment");
+};
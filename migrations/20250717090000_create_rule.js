@@ -0,0 +1,58 @@
+// otomatik kategorilendirme kuralları: koşullar eşleşirse eylemler işleme uygulanır
+exports.up = async function (knex) {
+  await knex.schema.createTable("rule", function (table) {
+    table.uuid("id").primary();
+    table.uuid("ledger_id").notNullable().index();
+    table.uuid("auth_user_id");
+    table.string("name").notNullable();
+    // küçük öncelik önce çalışır
+    table.integer("priority").notNullable().defaultTo(0);
+    table.boolean("active").notNullable().defaultTo(true);
+
+    // koşullar (boş olanlar dikkate alınmaz)
+    table.string("description_contains");
+    table.string("description_regex");
+    table.decimal("amount_min", 14, 2);
+    table.decimal("amount_max", 14, 2);
+    table.uuid("account_id");
+
+    // eylemler
+    table.uuid("set_category_id");
+    table.uuid("add_tag_id");
+    table.string("set_title");
+
+    table.timestamp("created_at").defaultTo(knex.fn.now());
+    table.timestamp("updated_at").defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table
+      .foreign("ledger_id")
+      .references("id")
+      .inTable("ledger")
+      .onDelete("CASCADE");
+    table
+      .foreign("auth_user_id")
+      .references("id")
+      .inTable("auth_users")
+      .onDelete("SET NULL");
+    table
+      .foreign("account_id")
+      .references("id")
+      .inTable("account")
+      .onDelete("CASCADE");
+    table
+      .foreign("set_category_id")
+      .references("id")
+      .inTable("category")
+      .onDelete("SET NULL");
+    table
+      .foreign("add_tag_id")
+      .references("id")
+      .inTable("tag")
+      .onDelete("SET NULL");
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("rule");
+};
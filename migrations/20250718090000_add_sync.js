@@ -0,0 +1,117 @@
+// Mobil senkronizasyon için:
+// - category ve transaction'a her güncellemede artan `version` (If-Match / ETag) eklenir.
+// - sync_change, her kaydın en son hangi veritabanı transaction'ında (xid8) değiştiğini tutar.
+//   Kalıcı silinen (purge) kayıtlar burada tombstone (purged_at) olarak kalır.
+// Değişiklikleri trigger'lar yazar; böylece import, kural uygulama, cascade silme gibi
+// tüm yollar kapsanır. xid8 fonksiyonları için PostgreSQL 13+ gerekir.
+exports.up = async function (knex) {
+  for (const name of ["category", "transaction"]) {
+    await knex.schema.alterTable(name, function (table) {
+      table.integer("version").notNullable().defaultTo(1);
+    });
+  }
+
+  await knex.schema.createTable("sync_change", function (table) {
+    table.string("entity", 20).notNullable();
+    table.uuid("record_id").notNullable();
+    table.uuid("ledger_id");
+    table.specificType("changed_xid", "xid8").notNullable();
+    table.timestamp("purged_at");
+
+    table.primary(["entity", "record_id"]);
+    table.index(["ledger_id", "changed_xid"]);
+  });
+
+  await knex.raw(`
+    create function sync_version_bump() returns trigger language plpgsql as $$
+    begin
+      new.version := old.version + 1;
+      return new;
+    end
+    $$
+  `);
+
+  await knex.raw(`
+    create function sync_change_record() returns trigger language plpgsql as $$
+    begin
+      if tg_op = 'DELETE' then
+        insert into sync_change (entity, record_id, ledger_id, changed_xid, purged_at)
+        values (tg_table_name, old.id, old.ledger_id, pg_current_xact_id(), now())
+        on conflict (entity, record_id) do update
+          set ledger_id = excluded.ledger_id, changed_xid = excluded.changed_xid, purged_at = excluded.purged_at;
+      else
+        insert into sync_change (entity, record_id, ledger_id, changed_xid)
+        values (tg_table_name, new.id, new.ledger_id, pg_current_xact_id())
+        on conflict (entity, record_id) do update
+          set ledger_id = excluded.ledger_id, changed_xid = excluded.changed_xid, purged_at = null;
+      end if;
+      return null;
+    end
+    $$
+  `);
+
+  for (const name of ["category", "transaction"]) {
+    await knex.raw(`
+      create trigger ${name}_version_bump
+      before update on "${name}"
+      for each row execute function sync_version_bump()
+    `);
+    await knex.raw(`
+      create trigger ${name}_sync_change
+      after insert or update or delete on "${name}"
+      for each row execute function sync_change_record()
+    `);
+  }
+
+  // etiketler işlemin parçası sayılır: eklenen/çıkarılan etiket işlemin version'ını artırır
+  await knex.raw(`
+    create function transaction_tag_touch() returns trigger language plpgsql as $$
+    begin
+      update "transaction" set updated_at = now()
+      where id in (select distinct transaction_id from changed_tags);
+      return null;
+    end
+    $$
+  `);
+  await knex.raw(`
+    create trigger transaction_tag_insert_touch
+    after insert on transaction_tag
+    referencing new table as changed_tags
+    for each statement execute function transaction_tag_touch()
+  `);
+  await knex.raw(`
+    create trigger transaction_tag_delete_touch
+    after delete on transaction_tag
+    referencing old table as changed_tags
+    for each statement execute function transaction_tag_touch()
+  `);
+
+  // mevcut kayıtlar ilk senkronizasyonda gelsin diye
+  await knex.raw(`
+    insert into sync_change (entity, record_id, ledger_id, changed_xid)
+    select 'category', id, ledger_id, pg_current_xact_id() from category
+    union all
+    select 'transaction', id, ledger_id, pg_current_xact_id() from "transaction"
+  `);
+};
+
+exports.down = async function (knex) {
+  await knex.raw(`drop trigger if exists transaction_tag_insert_touch on transaction_tag`);
+  await knex.raw(`drop trigger if exists transaction_tag_delete_touch on transaction_tag`);
+  await knex.raw(`drop function if exists transaction_tag_touch()`);
+
+  for (const name of ["category", "transaction"]) {
+    await knex.raw(`drop trigger if exists ${name}_sync_change on "${name}"`);
+    await knex.raw(`drop trigger if exists ${name}_version_bump on "${name}"`);
+  }
+  await knex.raw(`drop function if exists sync_change_record()`);
+  await knex.raw(`drop function if exists sync_version_bump()`);
+
+  await knex.schema.dropTable("sync_change");
+
+  for (const name of ["category", "transaction"]) {
+    await knex.schema.alterTable(name, function (table) {
+      table.dropColumn("version");
+    });
+  }
+};
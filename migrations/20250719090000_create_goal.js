@@ -0,0 +1,54 @@
+// birikim hedefleri: ilerleme bağlı kategori ya da hesaptaki işlemlerden hesaplanır
+exports.up = async function (knex) {
+  await knex.schema.createTable("goal", function (table) {
+    table.uuid("id").primary();
+    table.uuid("ledger_id").notNullable().index();
+    table.uuid("auth_user_id");
+    table.string("name").notNullable();
+    table.decimal("target_amount", 14, 2).notNullable();
+    table.string("currency", 3).notNullable();
+    // hedefin başlangıcından önce biriktirilmiş tutar
+    table.decimal("initial_amount", 14, 2).notNullable().defaultTo(0);
+    table.date("start_date").notNullable();
+    table.date("target_date").notNullable();
+
+    // katkılar bu kategoriden (alt kategorileri dahil) ya da bu hesaptan gelir; ikisi birden olamaz
+    table.uuid("category_id");
+    table.uuid("account_id");
+
+    table.timestamp("created_at").defaultTo(knex.fn.now());
+    table.timestamp("updated_at").defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table
+      .foreign("ledger_id")
+      .references("id")
+      .inTable("ledger")
+      .onDelete("CASCADE");
+    table
+      .foreign("auth_user_id")
+      .references("id")
+      .inTable("auth_users")
+      .onDelete("SET NULL");
+    table
+      .foreign("category_id")
+      .references("id")
+      .inTable("category")
+      .onDelete("SET NULL");
+    table
+      .foreign("account_id")
+      .references("id")
+      .inTable("account")
+      .onDelete("SET NULL");
+  });
+
+  await knex.raw(`
+    alter table goal
+    add constraint goal_single_link
+    check (category_id is null or account_id is null)
+  `);
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("goal");
+};
@@ -0,0 +1,23 @@
+const express = require("express");
+const routes = require("./routes");
+const errorHandler = require("./middleware/errorHandler");
+
+// Swagger setup
+const swaggerUi = require("swagger-ui-express");
+const swaggerSpec = require("./config/swagger");
+
+const app = express();
+
+app.use(express.json());
+app.use("/api", routes);
+
+// Swagger UI endpoint
+app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+
+app.get("/", (req, res) => {
+  res.send("Tracker API (Knex version)");
+});
+
+app.use(errorHandler);
+
+module.exports = app;
@@ -0,0 +1,38 @@
+// yerel dosyadan kur yükler: node src/cli/loadExchangeRates.js rates.csv
+// CSV başlıkları: date,base_currency,quote_currency,rate[,source] (JSON dizi de olur)
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const knex = require("../db");
+const { parseRateFile, upsertRates, validateRate } = require("../services/currency");
+
+const load = async (file) => {
+  if (!file) {
+    throw new Error("Usage: node src/cli/loadExchangeRates.js <rates.csv|rates.json>");
+  }
+
+  const rates = parseRateFile(fs.readFileSync(file, "utf8"), file).map((rate) => ({
+    ...rate,
+    source: rate.source || path.basename(file),
+  }));
+
+  rates.forEach((rate, index) => {
+    const validationError = validateRate(rate);
+    if (validationError) {
+      throw new Error(`Row ${index + 1}: ${validationError}`);
+    }
+  });
+
+  const saved = await knex.transaction((trx) => upsertRates(rates, trx));
+  return saved.length;
+};
+
+load(process.argv[2])
+  .then((count) => {
+    console.log(`Loaded ${count} exchange rate(s)`);
+  })
+  .catch((error) => {
+    console.error("Exchange rate load error:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => knex.destroy());
@@ -0,0 +1,14 @@
+// cron ile çalıştırılabilir: node src/cli/materializeRecurring.js
+require("dotenv").config();
+const knex = require("../db");
+const { materializeDue } = require("../services/recurring");
+
+materializeDue()
+  .then((created) => {
+    console.log(`Created ${created} recurring transaction(s)`);
+  })
+  .catch((error) => {
+    console.error("Recurring materialize error:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => knex.destroy());
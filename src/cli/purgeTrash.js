@@ -0,0 +1,23 @@
+// cron ile çalıştırılabilir: node src/cli/purgeTrash.js [retentionDays]
+require("dotenv").config();
+const knex = require("../db");
+const { TRASH_RETENTION_DAYS, purgeTrash } = require("../services/trash");
+
+const purge = async (arg) => {
+  const retentionDays = arg === undefined ? TRASH_RETENTION_DAYS : Number(arg);
+  if (!Number.isInteger(retentionDays) || retentionDays < 0) {
+    throw new Error("Usage: node src/cli/purgeTrash.js [retentionDays]");
+  }
+
+  return purgeTrash(retentionDays);
+};
+
+purge(process.argv[2])
+  .then(({ transactions, categories, attachments }) => {
+    console.log(`Purged ${transactions} transaction(s), ${categories} category(ies) and ${attachments} attachment file(s)`);
+  })
+  .catch((error) => {
+    console.error("Trash purge error:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => knex.destroy());
@@ -0,0 +1,31 @@
+// kullanıcının rolünü değiştirir (ilk admini atamak için): node src/cli/setUserRole.js <email> <user|admin>
+require("dotenv").config();
+const knex = require("../db");
+
+const ROLES = ["user", "admin"];
+
+const setRole = async (email, role) => {
+  if (!email || !ROLES.includes(role)) {
+    throw new Error("Usage: node src/cli/setUserRole.js <email> <user|admin>");
+  }
+
+  const updated = await knex("auth_users")
+    .whereRaw("lower(email) = ?", [email.toLowerCase()])
+    .update({ role, updated_at: knex.fn.now() })
+    .returning(["id", "email", "role"]);
+
+  if (!updated.length) {
+    throw new Error(`User not found: ${email}`);
+  }
+  return updated[0];
+};
+
+setRole(process.argv[2], process.argv[3])
+  .then((user) => {
+    console.log(`${user.email} is now ${user.role}`);
+  })
+  .catch((error) => {
+    console.error("Set user role error:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => knex.destroy());
@@ -1,5 +1,43 @@
 // src/config/swagger.js
 const swaggerJsdoc = require("swagger-jsdoc");
+const schemas = require("../schemas");
+
+// query şemalarının her alanı ayrı bir parametre olarak yayınlanır:
+// #/components/parameters/TransactionListQuery.page
+const parameters = Object.fromEntries(
+  Object.entries(schemas)
+    .filter(([name]) => name.endsWith("Query"))
+    .flatMap(([name, schema]) =>
+      Object.entries(schema.properties).map(([field, { description, ...fieldSchema }]) => [
+        `${name}.${field}`,
+        {
+          in: "query",
+          name: field,
+          required: (schema.required || []).includes(field),
+          description,
+          schema: fieldSchema,
+        },
+      ])
+    )
+);
+
+// kategori ve işlem route'larında hangi defterde çalışılacağı
+parameters.LedgerId = {
+  in: "header",
+  name: "X-Ledger-Id",
+  required: false,
+  description: "Ledger to work in (default your first own ledger)",
+  schema: { type: "string", format: "uuid" },
+};
+
+// kategori ve işlem güncellemelerinde optimistic concurrency
+parameters.IfMatch = {
+  in: "header",
+  name: "If-Match",
+  required: false,
+  description: 'ETag (version) the update is based on, e.g. "3"; 409 when the record has changed since',
+  schema: { type: "string" },
+};
 
 const options = {
   definition: {
@@ -15,6 +53,8 @@ const options = {
       },
     ],
     components: {
+      schemas: { ...schemas },
+      parameters,
       securitySchemes: {
         bearerAuth: {
           type: "http",
@@ -1,23 +1,11 @@
 require("dotenv").config();
-const express = require("express");
-const app = express();
-const routes = require("./routes");
-
-// Swagger setup
-const swaggerUi = require("swagger-ui-express");
-const swaggerSpec = require("./config/swagger");
-
-app.use(express.json());
-app.use("/api", routes);
-
-// Swagger UI endpoint
-app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
-
-app.get("/", (req, res) => {
-  res.send("Tracker API (Knex version)");
-});
+const app = require("./app");
+const { startRecurringScheduler } = require("./services/recurring");
+const { startTrashPurgeScheduler } = require("./services/trash");
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startRecurringScheduler();
+  startTrashPurgeScheduler();
 });
@@ -0,0 +1,18 @@
+const multer = require("multer");
+
+// route'larda yakalanmayan hatalar (geçersiz JSON, dosya limiti vb.) için ortak cevap
+const errorHandler = (err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Invalid JSON body", code: "INVALID_JSON" });
+  }
+
+  if (err instanceof multer.MulterError) {
+    const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+    return res.status(status).json({ error: err.message, code: err.code });
+  }
+
+  console.error(`${req.method} ${req.originalUrl} error:`, err);
+  res.status(500).json({ error: "Internal server error" });
+};
+
+module.exports = errorHandler;
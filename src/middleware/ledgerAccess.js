@@ -0,0 +1,46 @@
+const { findMembership, getDefaultLedger, hasRole } = require("../services/ledger");
+const { sendValidationError } = require("./validate");
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * verifyToken'dan sonra kullanılır. İsteğin çalışacağı defteri X-Ledger-Id header'ından
+ * (yoksa kullanıcının varsayılan defterinden) seçer ve req.ledger = { id, name, role } yapar.
+ * Üye olunmayan defter 404, yetersiz rol 403 döner.
+ *
+ * @param {"viewer"|"editor"|"owner"} minRole
+ * @param {{ param?: string }} [options] defter id'si header yerine bu path parametresinden okunur
+ */
+const ledgerAccess = (minRole = "viewer", { param } = {}) => async (req, res, next) => {
+  const ledgerId = param ? req.params[param] : req.get("x-ledger-id");
+
+  if (ledgerId && !UUID_PATTERN.test(ledgerId)) {
+    return sendValidationError(
+      res,
+      [{ field: param || "X-Ledger-Id", message: 'must match format "uuid"' }],
+      400
+    );
+  }
+
+  let ledger;
+  try {
+    ledger = ledgerId
+      ? await findMembership(req.user.id, ledgerId)
+      : await getDefaultLedger(req.user.id);
+  } catch (err) {
+    console.error("ledgerAccess error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+
+  if (!ledger) {
+    return res.status(404).json({ error: "Ledger not found" });
+  }
+  if (!hasRole(ledger.role, minRole)) {
+    return res.status(403).json({ error: `Requires the ${minRole} role in this ledger` });
+  }
+
+  req.ledger = { id: ledger.id, name: ledger.name, role: ledger.role };
+  next();
+};
+
+module.exports = ledgerAccess;
@@ -0,0 +1,26 @@
+const knex = require("../db");
+
+/**
+ * verifyToken'dan sonra kullanılır. Rol token yerine veritabanından okunur;
+ * böylece rolü alınan ya da pasife çekilen kullanıcı token süresi dolmadan da engellenir.
+ *
+ * @param {"admin"} role
+ */
+const requireRole = (role) => async (req, res, next) => {
+  let user;
+  try {
+    user = await knex("auth_users").where({ id: req.user.id }).first("role");
+  } catch (err) {
+    console.error("requireRole error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+
+  if (!user || user.role !== role) {
+    return res.status(403).json({ error: `Requires the ${role} role` });
+  }
+
+  req.user.role = user.role;
+  next();
+};
+
+module.exports = requireRole;
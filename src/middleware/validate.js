@@ -0,0 +1,88 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+
+// body JSON olarak geldiği için tip dönüşümü yapılmaz;
+// query, path ve multipart alanları string geldiği için dönüştürülür
+const createAjv = (options) => {
+  const ajv = new Ajv({ allErrors: true, useDefaults: true, ...options });
+  addFormats(ajv);
+  ajv.addKeyword("example");
+  return ajv;
+};
+
+const strictAjv = createAjv({ coerceTypes: false });
+const coercingAjv = createAjv({ coerceTypes: "array" });
+
+const compiled = new WeakMap();
+
+const compile = (ajv, schema) => {
+  let byAjv = compiled.get(schema);
+  if (!byAjv) {
+    byAjv = new Map();
+    compiled.set(schema, byAjv);
+  }
+  if (!byAjv.has(ajv)) {
+    byAjv.set(ajv, ajv.compile(schema));
+  }
+  return byAjv.get(ajv);
+};
+
+const toDetails = (errors) =>
+  errors.map((error) => ({
+    field:
+      error.keyword === "required"
+        ? [error.instancePath.slice(1), error.params.missingProperty].filter(Boolean).join(".")
+        : error.instancePath.slice(1).replace(/\//g, ".") || null,
+    message: error.message,
+  }));
+
+// route içinde yapılan (veritabanına bağlı) kontroller için aynı hata biçimi
+const sendValidationError = (res, details, status = 422) =>
+  res.status(status).json({ error: "Validation failed", code: "VALIDATION_ERROR", details });
+
+const SOURCES = [
+  { key: "params", ajv: coercingAjv, status: 400 },
+  { key: "query", ajv: coercingAjv, status: 400 },
+  { key: "body", ajv: strictAjv, status: 422 },
+  // multipart/form-data alanları (multer'dan sonra kullanılır)
+  { key: "form", target: "body", ajv: coercingAjv, status: 422 },
+];
+
+/**
+ * İsteği şemalara göre doğrular. Hata varsa
+ * { error, code: "VALIDATION_ERROR", details: [{ field, message }] } döner:
+ * path/query hataları 400, body hataları 422.
+ *
+ * @param {{ params?: object, query?: object, body?: object, form?: object }} schemas
+ */
+const validate = (schemas) => (req, res, next) => {
+  for (const { key, target = key, ajv, status } of SOURCES) {
+    if (!schemas[key]) continue;
+
+    const validator = compile(ajv, schemas[key]);
+    const data = target === "query" ? { ...req.query } : req[target] ?? {};
+
+    if (!validator(data)) {
+      return sendValidationError(res, toDetails(validator.errors), status);
+    }
+
+    // Express 5'te req.query her erişimde yeniden hesaplanır, dönüştürülmüş hali sabitlenir
+    if (target === "query") {
+      Object.defineProperty(req, "query", { value: data, writable: true, configurable: true });
+    } else if (target === "body" && req.body === undefined) {
+      req.body = data;
+    }
+  }
+
+  next();
+};
+
+// route içinde ayrıca doğrulanan parçalar için (ör. bulk isteğindeki her işlemin verisi); hata yoksa null
+const validationErrors = (schema, data) => {
+  const validator = compile(strictAjv, schema);
+  return validator(data) ? null : toDetails(validator.errors);
+};
+
+module.exports = validate;
+module.exports.sendValidationError = sendValidationError;
+module.exports.validationErrors = validationErrors;
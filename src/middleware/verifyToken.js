@@ -1,19 +1,32 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../services/session');
 
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
   const token = req.headers.authorization?.split(" ")[1];
 
   if (!token) {
     return res.status(401).json({ error: "Token eksik veya geçersiz" });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     return res.status(403).json({ error: "Token doğrulanamadı" });
   }
+
+  try {
+    // çıkış yapılmış / iptal edilmiş oturumlar ve pasif kullanıcılar reddedilir
+    if (!decoded.sid || !(await isSessionActive(decoded.id, decoded.sid))) {
+      return res.status(401).json({ error: "Oturum sonlandırılmış" });
+    }
+  } catch (err) {
+    console.error("verifyToken error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+
+  req.user = decoded;
+  next();
 };
 
 module.exports = verifyToken;
@@ -0,0 +1,523 @@
+const express = require("express");
+const router = express.Router();
+const knex = require("../../db");
+const { v4: uuidv4 } = require("uuid");
+const verifyToken = require("../../middleware/verifyToken.js");
+const validate = require("../../middleware/validate");
+const { sendValidationError } = validate;
+const { IdParams } = require("../../schemas/common").schemas;
+const {
+  AccountCreateRequest,
+  AccountTransactionsQuery,
+  AccountTransferParams,
+  AccountTransferRequest,
+  AccountUpdateRequest,
+} = require("../../schemas/account");
+const { accountsWithBalance, signedAmount } = require("../../services/account");
+const { auditedDelete, auditedInsert, auditedUpdate } = require("../../services/audit");
+const { findRate, getUserCurrency } = require("../../services/currency");
+const { getDefaultLedger } = require("../../services/ledger");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Account
+ *   description: Accounts / wallets, balances and transfers
+ */
+
+const toAccount = (row) => ({
+  ...row,
+  opening_balance: Number(row.opening_balance),
+  balance: row.balance === undefined ? undefined : Number(row.balance),
+});
+
+/**
+ * @swagger
+ * /account:
+ *   post:
+ *     summary: Create a new account
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AccountCreateRequest'
+ *     responses:
+ *       201:
+ *         description: Account created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Account'
+ *       422:
+ *         description: Validation error
+ */
+router.post("/", verifyToken, validate({ body: AccountCreateRequest }), async (req, res) => {
+  try {
+    const { name, type, opening_balance, is_default } = req.body;
+
+    const currency = req.body.currency || (await getUserCurrency(req.user.id));
+
+    const newAccount = await knex.transaction(async (trx) => {
+      if (is_default) {
+        await trx("account").where({ auth_user_id: req.user.id }).update({ is_default: false });
+      }
+
+      return trx("account")
+        .insert({
+          id: uuidv4(),
+          auth_user_id: req.user.id,
+          name,
+          type,
+          currency,
+          opening_balance,
+          is_default,
+          created_at: knex.fn.now(),
+          updated_at: knex.fn.now(),
+        })
+        .returning("*");
+    });
+
+    res.status(201).json(toAccount(newAccount[0]));
+  } catch (error) {
+    console.error("POST /account error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /account:
+ *   get:
+ *     summary: Get all accounts with their current balance
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Account'
+ */
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const accounts = await accountsWithBalance(req.user.id).orderBy("account.created_at", "asc");
+
+    res.json(accounts.map(toAccount));
+  } catch (error) {
+    console.error("GET /account error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /account/transfer:
+ *   post:
+ *     summary: Transfer money between two accounts
+ *     description: >
+ *       Creates a linked expense/income pair sharing the same transfer_id in a single
+ *       database transaction. When the accounts use different currencies, to_amount is
+ *       used or the stored exchange rate for the date is applied.
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AccountTransferRequest'
+ *     responses:
+ *       201:
+ *         description: Transfer created, returns both transactions
+ *       400:
+ *         description: Source and target account are the same
+ *       404:
+ *         description: Account not found
+ *       422:
+ *         description: Validation error, or a missing exchange rate between the account currencies
+ */
+router.post("/transfer", verifyToken, validate({ body: AccountTransferRequest }), async (req, res) => {
+  try {
+    const { from_account_id, to_account_id, amount, to_amount, date, description } = req.body;
+
+    if (from_account_id === to_account_id) {
+      return res.status(400).json({ error: "Source and target account must differ" });
+    }
+
+    const accounts = await knex("account")
+      .whereIn("id", [from_account_id, to_account_id])
+      .andWhere({ auth_user_id: req.user.id });
+    const from = accounts.find((a) => a.id === from_account_id);
+    const to = accounts.find((a) => a.id === to_account_id);
+
+    if (!from || !to) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    // aynı para biriminde iki bacak farklı tutar taşırsa bakiyeler arasında para yoktan var olur
+    if (from.currency === to.currency && to_amount !== undefined) {
+      return sendValidationError(res, [
+        { field: "to_amount", message: "is only allowed between accounts with different currencies" },
+      ]);
+    }
+
+    let creditAmount = Number(to_amount || amount);
+    if (from.currency !== to.currency && !to_amount) {
+      const rate = await findRate(
+        from.currency,
+        to.currency,
+        date || new Date().toISOString().slice(0, 10)
+      );
+      if (rate === null) {
+        return res
+          .status(422)
+          .json({ error: `Exchange rate not found for ${from.currency}/${to.currency}` });
+      }
+      creditAmount = Math.round(Number(amount) * rate * 100) / 100;
+    }
+
+    const transferId = uuidv4();
+    const createdAt = date || knex.fn.now();
+    // hesaplar kullanıcıya ait olduğu için transferler kullanıcının varsayılan defterine yazılır
+    const ledger = await getDefaultLedger(req.user.id);
+
+    const legs = await knex.transaction((trx) =>
+      auditedInsert(trx, req, "transaction", [
+          {
+            id: uuidv4(),
+            title: `Transfer to ${to.name}`,
+            description,
+            amount,
+            currency: from.currency,
+            type: "expense",
+            category_id: null,
+            account_id: from.id,
+            transfer_id: transferId,
+            ledger_id: ledger.id,
+            auth_user_id: req.user.id,
+            created_at: createdAt,
+            updated_at: knex.fn.now(),
+          },
+          {
+            id: uuidv4(),
+            title: `Transfer from ${from.name}`,
+            description,
+            amount: creditAmount,
+            currency: to.currency,
+            type: "income",
+            category_id: null,
+            account_id: to.id,
+            transfer_id: transferId,
+            ledger_id: ledger.id,
+            auth_user_id: req.user.id,
+            created_at: createdAt,
+            updated_at: knex.fn.now(),
+          },
+        ])
+    );
+
+    res.status(201).json({ transfer_id: transferId, transactions: legs });
+  } catch (error) {
+    console.error("POST /account/transfer error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /account/transfer/{transferId}:
+ *   delete:
+ *     summary: Delete both transactions of a transfer
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transferId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Transfer deleted successfully
+ *       404:
+ *         description: Transfer not found
+ */
+router.delete("/transfer/:transferId", verifyToken, validate({ params: AccountTransferParams }), async (req, res) => {
+  try {
+    const { transferId } = req.params;
+    const deleted = await knex.transaction((trx) =>
+      auditedUpdate(
+        trx,
+        req,
+        "transaction",
+        (query) => query.where({ transfer_id: transferId, auth_user_id: req.user.id }).whereNull("deleted_at"),
+        { deleted_at: knex.fn.now() },
+        "delete"
+      )
+    );
+
+    if (!deleted.length) {
+      return res.status(404).json({ error: "Transfer not found" });
+    }
+
+    res.json({ message: "Transfer deleted successfully" });
+  } catch (error) {
+    console.error("DELETE /account/transfer/:transferId error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /account/{id}:
+ *   get:
+ *     summary: Get a single account with its current balance
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The account ID
+ *     responses:
+ *       200:
+ *         description: The account data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Account'
+ *       404:
+ *         description: Account not found
+ */
+router.get("/:id", verifyToken, validate({ params: IdParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const account = await accountsWithBalance(req.user.id)
+      .andWhere("account.id", id)
+      .first();
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    res.json(toAccount(account));
+  } catch (error) {
+    console.error("GET /account/:id error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /account/{id}/transactions:
+ *   get:
+ *     summary: Get an account's transactions with the running balance after each one
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - $ref: '#/components/parameters/AccountTransactionsQuery.page'
+ *       - $ref: '#/components/parameters/AccountTransactionsQuery.pageSize'
+ *     responses:
+ *       200:
+ *         description: Transactions, newest first, with running_balance
+ *       400:
+ *         description: Invalid path or query parameter
+ *       404:
+ *         description: Account not found
+ */
+router.get(
+  "/:id/transactions",
+  verifyToken,
+  validate({ params: IdParams, query: AccountTransactionsQuery }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { page, pageSize } = req.query;
+      const offset = (page - 1) * pageSize;
+
+      const account = await knex("account").where({ id, auth_user_id: req.user.id }).first();
+      if (!account) {
+        return res.status(404).json({ error: "Account not found" });
+      }
+
+      // bakiye tüm geçmiş üzerinden hesaplanır, sayfalama sonra uygulanır
+      const ledger = knex("transaction")
+        .where({ account_id: id })
+        .whereNull("deleted_at")
+        .select(
+          "transaction.*",
+          knex.raw(
+            `?::numeric + sum(${signedAmount()}) over (order by created_at, id) as running_balance`,
+            [account.opening_balance]
+          )
+        );
+
+      const transactions = await knex
+        .select("*")
+        .from(ledger.as("ledger"))
+        .orderBy([
+          { column: "created_at", order: "desc" },
+          { column: "id", order: "desc" },
+        ])
+        .limit(pageSize)
+        .offset(offset);
+
+      res.json(
+        transactions.map((t) => ({ ...t, running_balance: Number(t.running_balance) }))
+      );
+    } catch (error) {
+      console.error("GET /account/:id/transactions error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /account/{id}:
+ *   put:
+ *     summary: Update an account
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AccountUpdateRequest'
+ *     responses:
+ *       200:
+ *         description: Account updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Account'
+ *       404:
+ *         description: Account not found
+ *       422:
+ *         description: Validation error
+ */
+router.put("/:id", verifyToken, validate({ params: IdParams, body: AccountUpdateRequest }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, type, opening_balance, is_default } = req.body;
+
+    if (req.body.currency !== undefined) {
+      return sendValidationError(res, [{ field: "currency", message: "cannot be changed" }]);
+    }
+
+    const updated = await knex.transaction(async (trx) => {
+      // hesap yoksa diğer hesapların varsayılan işareti de silinmemeli
+      const account = await trx("account").where({ id, auth_user_id: req.user.id }).forUpdate().first("id");
+      if (!account) {
+        return [];
+      }
+
+      if (is_default) {
+        await trx("account")
+          .where({ auth_user_id: req.user.id })
+          .whereNot({ id })
+          .update({ is_default: false });
+      }
+
+      return trx("account")
+        .where({ id, auth_user_id: req.user.id })
+        .update({ name, type, opening_balance, is_default, updated_at: knex.fn.now() })
+        .returning("*");
+    });
+
+    if (!updated.length) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    res.json(toAccount(updated[0]));
+  } catch (error) {
+    console.error("PUT /account/:id error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /account/{id}:
+ *   delete:
+ *     summary: Delete an account without transactions
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Account deleted successfully
+ *       404:
+ *         description: Account not found
+ *       409:
+ *         description: Account still has transactions
+ */
+router.delete("/:id", verifyToken, validate({ params: IdParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // başkasının hesabı için işlem olup olmadığı bilgisi sızdırılmaz
+    const account = await knex("account").where({ id, auth_user_id: req.user.id }).first("id");
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const used = await knex("transaction")
+      .where({ account_id: id })
+      .whereNull("deleted_at")
+      .first("id");
+    if (used) {
+      return res.status(409).json({ error: "Account still has transactions" });
+    }
+
+    // çöp kutusundaki işlemler hesapla birlikte kalıcı olarak silinir
+    await knex.transaction(async (trx) => {
+      await auditedDelete(trx, req, "transaction", (query) =>
+        query.where({ account_id: id, auth_user_id: req.user.id }).whereNotNull("deleted_at")
+      );
+      await trx("account")
+        .where({ id, auth_user_id: req.user.id })
+        .del();
+    });
+
+    res.json({ message: "Account deleted successfully" });
+  } catch (error) {
+    console.error("DELETE /account/:id error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,327 @@
+const crypto = require("crypto");
+const express = require("express");
+const router = express.Router();
+const knex = require("../../db");
+const bcrypt = require("bcrypt");
+const verifyToken = require("../../middleware/verifyToken.js");
+const requireRole = require("../../middleware/requireRole");
+const validate = require("../../middleware/validate");
+const { IdParams } = require("../../schemas/common").schemas;
+const {
+  AdminPasswordResetRequest,
+  AdminRoleUpdateRequest,
+  AdminStatsQuery,
+} = require("../../schemas/admin");
+const { auditedUpdate } = require("../../services/audit");
+const { revokeAllSessions } = require("../../services/session");
+const { pickUserFields } = require("../../services/user");
+
+// admin kendi hesabını pasife alamaz ve rolünü düşüremez; böylece sistem adminsiz kalmaz
+const isSelf = (req) => req.params.id === req.user.id;
+
+const setActive = (active) => async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!active && isSelf(req)) {
+      return res.status(409).json({ error: "You cannot deactivate your own account" });
+    }
+
+    const updated = await knex.transaction(async (trx) => {
+      const rows = await auditedUpdate(trx, req, "auth_users", (query) => query.where({ id }), {
+        active,
+        updated_at: knex.fn.now(),
+      });
+      // pasife alınan kullanıcının açık oturumları kapatılır
+      if (rows.length && !active) {
+        await revokeAllSessions(id, trx);
+      }
+      return rows;
+    });
+
+    if (!updated.length) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json(pickUserFields(updated[0]));
+  } catch (error) {
+    console.error(`POST /admin/users/:id/${active ? "reactivate" : "deactivate"} error:`, error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: User management and usage statistics (admin role required)
+ */
+
+/**
+ * @swagger
+ * /admin/users/{id}/deactivate:
+ *   post:
+ *     summary: Deactivate a user account
+ *     description: The user can no longer sign in and all of their sessions are revoked.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User deactivated
+ *       403:
+ *         description: Requires the admin role
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Admins cannot deactivate themselves
+ */
+router.post(
+  "/users/:id/deactivate",
+  verifyToken,
+  requireRole("admin"),
+  validate({ params: IdParams }),
+  setActive(false)
+);
+
+/**
+ * @swagger
+ * /admin/users/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate a deactivated user account
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User reactivated
+ *       403:
+ *         description: Requires the admin role
+ *       404:
+ *         description: User not found
+ */
+router.post(
+  "/users/:id/reactivate",
+  verifyToken,
+  requireRole("admin"),
+  validate({ params: IdParams }),
+  setActive(true)
+);
+
+/**
+ * @swagger
+ * /admin/users/{id}/reset-password:
+ *   post:
+ *     summary: Reset a user's password
+ *     description: >
+ *       Sets the given password, or generates a temporary one and returns it once.
+ *       All of the user's sessions are revoked.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AdminPasswordResetRequest'
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       403:
+ *         description: Requires the admin role
+ *       404:
+ *         description: User not found
+ *       422:
+ *         description: Validation error
+ */
+router.post(
+  "/users/:id/reset-password",
+  verifyToken,
+  requireRole("admin"),
+  validate({ params: IdParams, body: AdminPasswordResetRequest }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const temporaryPassword = req.body.password ? null : crypto.randomBytes(12).toString("base64url");
+      const hashedPassword = await bcrypt.hash(req.body.password || temporaryPassword, 10);
+
+      const updated = await knex.transaction(async (trx) => {
+        const rows = await auditedUpdate(trx, req, "auth_users", (query) => query.where({ id }), {
+          password: hashedPassword,
+          updated_at: knex.fn.now(),
+        });
+        if (rows.length) {
+          await revokeAllSessions(id, trx);
+        }
+        return rows;
+      });
+
+      if (!updated.length) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const result = { message: "Password reset successfully" };
+      if (temporaryPassword) {
+        result.temporary_password = temporaryPassword;
+      }
+      res.json(result);
+    } catch (error) {
+      console.error("POST /admin/users/:id/reset-password error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /admin/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AdminRoleUpdateRequest'
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       403:
+ *         description: Requires the admin role
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Admins cannot change their own role
+ */
+router.put(
+  "/users/:id/role",
+  verifyToken,
+  requireRole("admin"),
+  validate({ params: IdParams, body: AdminRoleUpdateRequest }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (isSelf(req)) {
+        return res.status(409).json({ error: "You cannot change your own role" });
+      }
+
+      const updated = await knex.transaction((trx) =>
+        auditedUpdate(trx, req, "auth_users", (query) => query.where({ id }), {
+          role: req.body.role,
+          updated_at: knex.fn.now(),
+        })
+      );
+
+      if (!updated.length) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      res.json(pickUserFields(updated[0]));
+    } catch (error) {
+      console.error("PUT /admin/users/:id/role error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /admin/stats:
+ *   get:
+ *     summary: Usage statistics
+ *     description: Totals plus activity in the last `days` days.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AdminStatsQuery.days'
+ *     responses:
+ *       200:
+ *         description: Usage statistics
+ *       400:
+ *         description: Invalid path or query parameter
+ *       403:
+ *         description: Requires the admin role
+ */
+router.get("/stats", verifyToken, requireRole("admin"), validate({ query: AdminStatsQuery }), async (req, res) => {
+  try {
+    const since = knex.raw("now() - make_interval(days => ?)", [req.query.days]);
+
+    const [users, sessions, ledgers, categories, transactions] = await Promise.all([
+      knex("auth_users")
+        .first(
+          knex.raw("count(*) as total"),
+          knex.raw("count(*) filter (where active) as active"),
+          knex.raw("count(*) filter (where role = 'admin') as admins"),
+          knex.raw("count(*) filter (where created_at >= ?) as recent", [since])
+        ),
+      knex("refresh_token")
+        .first(
+          knex.raw("count(distinct session_id) filter (where revoked_at is null and expires_at > now()) as active"),
+          knex.raw("count(distinct auth_user_id) filter (where created_at >= ?) as recent_users", [since])
+        ),
+      knex("ledger").first(knex.raw("count(*) as total")),
+      knex("category").whereNull("deleted_at").first(knex.raw("count(*) as total")),
+      knex("transaction")
+        .whereNull("deleted_at")
+        .first(
+          knex.raw("count(*) as total"),
+          knex.raw("count(*) filter (where created_at >= ?) as recent", [since])
+        ),
+    ]);
+
+    res.json({
+      days: req.query.days,
+      users: {
+        total: Number(users.total),
+        active: Number(users.active),
+        inactive: Number(users.total) - Number(users.active),
+        admins: Number(users.admins),
+        new: Number(users.recent),
+        // son `days` gün içinde oturum açmış ya da token yenilemiş kullanıcılar
+        recently_active: Number(sessions.recent_users),
+      },
+      sessions: { active: Number(sessions.active) },
+      ledgers: { total: Number(ledgers.total) },
+      categories: { total: Number(categories.total) },
+      transactions: { total: Number(transactions.total), new: Number(transactions.recent) },
+    });
+  } catch (error) {
+    console.error("GET /admin/stats error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require("express");
+const router = express.Router();
+const knex = require("../../db");
+const verifyToken = require("../../middleware/verifyToken.js");
+const validate = require("../../middleware/validate");
+const { sendValidationError } = validate;
+const { AuditListQuery } = require("../../schemas/audit");
+const {
+  InvalidCursorError,
+  countRows,
+  pageMeta,
+  paginate,
+} = require("../../utils/pagination");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: History of changes to your account, categories and transactions
+ */
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Get the change history of your own records
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditListQuery.page'
+ *       - $ref: '#/components/parameters/AuditListQuery.pageSize'
+ *       - $ref: '#/components/parameters/AuditListQuery.cursor'
+ *       - $ref: '#/components/parameters/AuditListQuery.entity'
+ *       - $ref: '#/components/parameters/AuditListQuery.entity_id'
+ *       - $ref: '#/components/parameters/AuditListQuery.action'
+ *       - $ref: '#/components/parameters/AuditListQuery.from'
+ *       - $ref: '#/components/parameters/AuditListQuery.to'
+ *       - $ref: '#/components/parameters/AuditListQuery.order'
+ *     responses:
+ *       200:
+ *         description: Page of audit entries with before/after snapshots, newest first by default
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       400:
+ *         description: Invalid path or query parameter
+ */
+router.get("/", verifyToken, validate({ query: AuditListQuery }), async (req, res) => {
+  try {
+    const { page, pageSize, cursor, order, entity, entity_id, action, from, to } = req.query;
+
+    let query = knex("audit_log").where({ "audit_log.auth_user_id": req.user.id });
+
+    if (entity) {
+      query = query.andWhere("audit_log.entity", entity);
+    }
+    if (entity_id) {
+      query = query.andWhere("audit_log.entity_id", entity_id);
+    }
+    if (action) {
+      query = query.andWhere("audit_log.action", action);
+    }
+    if (from) {
+      query = query.andWhere("audit_log.created_at", ">=", from);
+    }
+    if (to) {
+      query = query.andWhere("audit_log.created_at", "<", knex.raw("?::date + interval '1 day'", [to]));
+    }
+
+    const total = await countRows(query);
+    const { data, nextCursor } = await paginate(query, {
+      table: "audit_log",
+      sortBy: "created_at",
+      order,
+      page,
+      pageSize,
+      cursor,
+    });
+
+    res.json({ data, meta: pageMeta({ total, page, pageSize, cursor, nextCursor }) });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return sendValidationError(res, [{ field: "cursor", message: error.message }], 400);
+    }
+    console.error("GET /audit error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
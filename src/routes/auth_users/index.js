@@ -10,8 +10,39 @@ const router = express.Router();
 const knex = require("../../db");
 const { v4: uuidv4 } = require("uuid");
 const verifyToken = require("../../middleware/verifyToken.js");
+const requireRole = require("../../middleware/requireRole");
+const validate = require("../../middleware/validate");
+const { sendValidationError } = validate;
+const { IdParams } = require("../../schemas/common").schemas;
+const {
+  ChangePasswordRequest,
+  ForgotPasswordRequest,
+  LogoutRequest,
+  RefreshRequest,
+  ResetPasswordRequest,
+  SigninRequest,
+  SignupRequest,
+  UserUpdateRequest,
+  VerifyEmailRequest,
+} = require("../../schemas/auth_users");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcrypt");
+const {
+  InvalidRefreshTokenError,
+  createSession,
+  findSessionByRefreshToken,
+  revokeAllSessions,
+  revokeOtherSessions,
+  revokeSession,
+  rotateRefreshToken,
+} = require("../../services/session");
+const { auditedDelete, auditedInsert, auditedUpdate } = require("../../services/audit");
+const { USER_FIELDS, findUserByEmail, isDuplicateEmail, pickUserFields } = require("../../services/user");
+const { consumeAuthToken, createAuthToken } = require("../../services/authToken");
+const { sendMailSafely, templates } = require("../../services/mail");
+
+// açıksa email adresini doğrulamamış kullanıcılar giriş yapamaz
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === "true";
 
 /**
  * @swagger
@@ -24,32 +55,23 @@ const bcrypt = require("bcrypt");
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - email
- *               - password
- *             properties:
- *               name:
- *                 type: string
- *               email:
- *                 type: string
- *               password:
- *                 type: string
+ *             $ref: '#/components/schemas/SignupRequest'
  *     responses:
  *       201:
- *         description: Kullanıcı oluşturuldu
+ *         description: Kullanıcı oluşturuldu, email doğrulama bağlantısı gönderildi
  *       400:
  *         description: Email zaten kullanılıyor
  *       500:
  *         description: Sunucu hatası
+ *       422:
+ *         description: Validation error
  */
-router.post("/signup", async (req, res) => {
+router.post("/signup", validate({ body: SignupRequest }), async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, default_currency = "TRY" } = req.body;
 
-    // email daha önce kullanılmış mı kontrol et
-    const exists = await knex("auth_users").where({ email }).first();
+    // email daha önce kullanılmış mı kontrol et (büyük/küçük harf duyarsız)
+    const exists = await findUserByEmail(email);
     if (exists) {
       return res.status(400).json({ error: "Email already in use" });
     }
@@ -57,21 +79,29 @@ router.post("/signup", async (req, res) => {
     // şifreyi hashle
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    // veritabanına ekle
-    const newUser = await knex("auth_users")
-      .insert({
+    // veritabanına ekle, doğrulama token'ı üret
+    const { newUser, token } = await knex.transaction(async (trx) => {
+      const [inserted] = await auditedInsert(trx, req, "auth_users", {
         id: uuidv4(),
         name,
         email,
         password: hashedPassword,
+        default_currency,
         active: true,
         created_at: knex.fn.now(),
         updated_at: knex.fn.now(),
-      })
-      .returning(["id", "name", "email", "active"]);
+      });
+      return { newUser: inserted, token: await createAuthToken(inserted.id, "email_verification", trx) };
+    });
+
+    await sendMailSafely(templates.emailVerification(newUser, token));
 
-    res.status(201).json(newUser[0]);
+    res.status(201).json(pickUserFields(newUser));
   } catch (error) {
+    // aynı anda gelen iki kayıt isteği
+    if (isDuplicateEmail(error)) {
+      return res.status(400).json({ error: "Email already in use" });
+    }
     console.error("POST /auth_users/signup error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
@@ -89,28 +119,24 @@ router.post("/signup", async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *               password:
- *                 type: string
+ *             $ref: '#/components/schemas/SigninRequest'
  *     responses:
  *       200:
- *         description: Giriş başarılı, JWT döner
+ *         description: Giriş başarılı, kısa ömürlü JWT (token) ve refresh_token döner
  *       401:
  *         description: Geçersiz kimlik bilgisi
+ *       403:
+ *         description: Hesap pasife alınmış ya da email doğrulanmamış
  *       500:
  *         description: Sunucu hatası
+ *       422:
+ *         description: Validation error
  */
-router.post("/signin", async (req, res) => {
+router.post("/signin", validate({ body: SigninRequest }), async (req, res) => {
   const { email, password } = req.body;
   try {
     // email ile kullanıcıyı bul
-    const user = await knex("auth_users").where({ email }).first();
+    const user = await findUserByEmail(email);
     if (!user) {
       return res.status(401).json({ error: "Invalid email or password" });
     }
@@ -121,25 +147,353 @@ router.post("/signin", async (req, res) => {
       return res.status(401).json({ error: "Invalid email or password" });
     }
 
-    // jwt üret
-    const token = jwt.sign(
-      { id: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
-    );
+    // pasife alınmış hesaplar giriş yapamaz
+    if (user.active === false) {
+      return res.status(403).json({ error: "Account is deactivated" });
+    }
+    if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+      return res.status(403).json({ error: "Email address is not verified" });
+    }
 
-    res.json({ token });
+    // access token + refresh token üret
+    res.json(await createSession(user, req));
   } catch (err) {
     console.error("Signin error:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+/**
+ * @swagger
+ * /auth_users/verify-email:
+ *   post:
+ *     summary: Email adresini doğrular (signup'ta gönderilen token ile)
+ *     tags: [AuthUsers]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyEmailRequest'
+ *     responses:
+ *       200:
+ *         description: Email doğrulandı
+ *       400:
+ *         description: Geçersiz, kullanılmış ya da süresi dolmuş token
+ *       422:
+ *         description: Validation error
+ */
+router.post("/verify-email", validate({ body: VerifyEmailRequest }), async (req, res) => {
+  try {
+    const user = await knex.transaction(async (trx) => {
+      const token = await consumeAuthToken(req.body.token, "email_verification", trx);
+      if (!token) {
+        return null;
+      }
+
+      const [updated] = await auditedUpdate(
+        trx,
+        req,
+        "auth_users",
+        (query) => query.where({ id: token.auth_user_id }).whereNull("email_verified_at"),
+        { email_verified_at: knex.fn.now(), updated_at: knex.fn.now() }
+      );
+      return updated || trx("auth_users").where({ id: token.auth_user_id }).first();
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: "Invalid or expired token" });
+    }
+
+    res.json(pickUserFields(user));
+  } catch (err) {
+    console.error("Verify email error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth_users/resend-verification:
+ *   post:
+ *     summary: Email doğrulama bağlantısını yeniden gönderir (token gereklidir)
+ *     tags: [AuthUsers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Doğrulama bağlantısı gönderildi
+ *       409:
+ *         description: Email zaten doğrulanmış
+ */
+router.post("/resend-verification", verifyToken, async (req, res) => {
+  try {
+    const user = await knex("auth_users").where({ id: req.user.id }).first();
+    if (user.email_verified_at) {
+      return res.status(409).json({ error: "Email address is already verified" });
+    }
+
+    const token = await createAuthToken(user.id, "email_verification");
+    await sendMailSafely(templates.emailVerification(user, token));
+
+    res.status(202).json({ message: "Verification email sent" });
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth_users/forgot-password:
+ *   post:
+ *     summary: Şifre sıfırlama bağlantısı gönderir
+ *     description: Email kayıtlı olmasa da aynı cevap döner; böylece hangi adreslerin kayıtlı olduğu anlaşılmaz.
+ *     tags: [AuthUsers]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordRequest'
+ *     responses:
+ *       202:
+ *         description: Kayıtlıysa sıfırlama bağlantısı gönderildi
+ *       422:
+ *         description: Validation error
+ */
+router.post("/forgot-password", validate({ body: ForgotPasswordRequest }), async (req, res) => {
+  try {
+    const user = await findUserByEmail(req.body.email);
+
+    if (user && user.active) {
+      const token = await createAuthToken(user.id, "password_reset");
+      await sendMailSafely(templates.passwordReset(user, token));
+    }
+
+    res.status(202).json({ message: "If the email is registered, a reset link has been sent" });
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth_users/reset-password:
+ *   post:
+ *     summary: Token ile yeni şifre belirler, tüm oturumları kapatır
+ *     tags: [AuthUsers]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Şifre değiştirildi
+ *       400:
+ *         description: Geçersiz, kullanılmış ya da süresi dolmuş token
+ *       422:
+ *         description: Validation error
+ */
+router.post("/reset-password", validate({ body: ResetPasswordRequest }), async (req, res) => {
+  try {
+    const hashedPassword = await bcrypt.hash(req.body.password, 10);
+
+    const updated = await knex.transaction(async (trx) => {
+      const token = await consumeAuthToken(req.body.token, "password_reset", trx);
+      if (!token) {
+        return [];
+      }
+
+      const rows = await auditedUpdate(
+        trx,
+        req,
+        "auth_users",
+        (query) => query.where({ id: token.auth_user_id, active: true }),
+        {
+          password: hashedPassword,
+          // bağlantıya tıklayabilen kullanıcı email adresinin sahibidir
+          email_verified_at: knex.raw("coalesce(email_verified_at, now())"),
+          updated_at: knex.fn.now(),
+        }
+      );
+      if (rows.length) {
+        await revokeAllSessions(token.auth_user_id, trx);
+      }
+      return rows;
+    });
+
+    if (!updated.length) {
+      return res.status(400).json({ error: "Invalid or expired token" });
+    }
+
+    res.json({ message: "Password has been reset" });
+  } catch (err) {
+    console.error("Reset password error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth_users/refresh:
+ *   post:
+ *     summary: Refresh token ile yeni access token alır (refresh token da yenilenir)
+ *     tags: [AuthUsers]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshRequest'
+ *     responses:
+ *       200:
+ *         description: Yeni token ve refresh_token
+ *       401:
+ *         description: Geçersiz, süresi dolmuş ya da iptal edilmiş refresh token
+ *       422:
+ *         description: Validation error
+ */
+router.post("/refresh", validate({ body: RefreshRequest }), async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    if (!refresh_token) {
+      return res.status(400).json({ error: "refresh_token is required" });
+    }
+
+    res.json(await rotateRefreshToken(refresh_token, req));
+  } catch (err) {
+    if (err instanceof InvalidRefreshTokenError) {
+      return res.status(401).json({ error: err.message });
+    }
+    console.error("Refresh error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth_users/logout:
+ *   post:
+ *     summary: Oturumu kapatır (refresh token ya da mevcut access token'ın oturumu)
+ *     tags: [AuthUsers]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LogoutRequest'
+ *     responses:
+ *       200:
+ *         description: Çıkış yapıldı
+ *       422:
+ *         description: Validation error
+ */
+router.post("/logout", validate({ body: LogoutRequest }), async (req, res) => {
+  try {
+    const { refresh_token } = req.body || {};
+    let sessionId = null;
+
+    if (refresh_token) {
+      const session = await findSessionByRefreshToken(refresh_token);
+      sessionId = session ? session.session_id : null;
+    } else {
+      const token = req.headers.authorization?.split(" ")[1];
+      try {
+        sessionId = token ? jwt.verify(token, process.env.JWT_SECRET).sid : null;
+      } catch (err) {
+        sessionId = null;
+      }
+    }
+
+    if (sessionId) {
+      await revokeSession(sessionId);
+    }
+
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth_users/logout-all:
+ *   post:
+ *     summary: Kullanıcının tüm oturumlarını kapatır (token gereklidir)
+ *     tags: [AuthUsers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tüm oturumlar kapatıldı
+ */
+router.post("/logout-all", verifyToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+
+    res.json({ message: "All sessions logged out", revoked });
+  } catch (err) {
+    console.error("Logout all error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth_users/change-password:
+ *   post:
+ *     summary: Mevcut şifreyle yeni şifre belirler, diğer oturumları kapatır (token gereklidir)
+ *     tags: [AuthUsers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChangePasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Şifre değiştirildi
+ *       401:
+ *         description: Mevcut şifre hatalı
+ *       422:
+ *         description: Validation error
+ */
+router.post("/change-password", verifyToken, validate({ body: ChangePasswordRequest }), async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    const user = await knex("auth_users").where({ id: req.user.id }).first();
+    if (!(await bcrypt.compare(current_password, user.password))) {
+      return res.status(401).json({ error: "Current password is incorrect" });
+    }
+
+    const hashedPassword = await bcrypt.hash(new_password, 10);
+    const revoked = await knex.transaction(async (trx) => {
+      await auditedUpdate(trx, req, "auth_users", (query) => query.where({ id: user.id }), {
+        password: hashedPassword,
+        updated_at: knex.fn.now(),
+      });
+      return revokeOtherSessions(user.id, req.user.sid, trx);
+    });
+
+    res.json({ message: "Password changed", revoked });
+  } catch (err) {
+    console.error("Change password error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 /**
  * @swagger
  * /auth_users:
  *   get:
- *     summary: Tüm kullanıcıları getirir (token gereklidir)
+ *     summary: Tüm kullanıcıları getirir (sadece admin)
  *     tags: [AuthUsers]
  *     security:
  *       - bearerAuth: []
@@ -148,10 +502,12 @@ router.post("/signin", async (req, res) => {
  *         description: Kullanıcı listesi
  *       401:
  *         description: Yetkisiz
+ *       403:
+ *         description: Admin rolü gerekli
  */
-router.get("/", verifyToken, async (req, res) => {
+router.get("/", verifyToken, requireRole("admin"), async (req, res) => {
   try {
-    const users = await knex("auth_users").select("id", "name", "email", "active");
+    const users = await knex("auth_users").select(USER_FIELDS);
     res.json(users);
   } catch (error) {
     console.error("GET /auth_users error:", error);
@@ -178,8 +534,10 @@ router.get("/", verifyToken, async (req, res) => {
  *         description: Kullanıcı bilgisi
  *       403:
  *         description: Yetkisiz erişim
+ *       400:
+ *         description: Invalid path or query parameter
  */
-router.get("/:id", verifyToken, async (req, res) => {
+router.get("/:id", verifyToken, validate({ params: IdParams }), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -187,7 +545,7 @@ router.get("/:id", verifyToken, async (req, res) => {
       return res.status(403).json({ error: "Unauthorized access" });
     }
 
-    const user = await knex("auth_users").where({ id }).first();
+    const user = await knex("auth_users").where({ id }).first(USER_FIELDS);
 
     if (!user) return res.status(404).json({ error: "User not found" });
 
@@ -202,7 +560,8 @@ router.get("/:id", verifyToken, async (req, res) => {
  * @swagger
  * /auth_users/{id}:
  *   put:
- *     summary: Kullanıcıyı günceller (token ve kendi ID’si gereklidir)
+ *     summary: Kullanıcıyı kısmi olarak günceller (token ve kendi ID’si gereklidir)
+ *     description: Sadece gönderilen alanlar değişir. Şifre için /auth_users/change-password kullanılır.
  *     tags: [AuthUsers]
  *     parameters:
  *       - in: path
@@ -217,41 +576,79 @@ router.get("/:id", verifyToken, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               email:
- *                 type: string
- *               password:
- *                 type: string
+ *             $ref: '#/components/schemas/UserUpdateRequest'
  *     responses:
  *       200:
  *         description: Güncellenmiş kullanıcı
  *       403:
  *         description: Yetkisiz erişim
+ *       404:
+ *         description: Kullanıcı bulunamadı
+ *       409:
+ *         description: Email zaten kullanılıyor
+ *       400:
+ *         description: Invalid path or query parameter
+ *       422:
+ *         description: Validation error
  */
-router.put("/:id", verifyToken, async (req, res) => {
+router.put("/:id", verifyToken, validate({ params: IdParams, body: UserUpdateRequest }), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, email, password } = req.body;
 
     if (req.user.id !== id) {
       return res.status(403).json({ error: "Unauthorized access" });
     }
 
-    const updated = await knex("auth_users")
-      .where({ id })
-      .update({
-        name,
-        email,
-        password,
+    // şifre sadece mevcut şifreyle değiştirilebilir
+    if (req.body.password !== undefined) {
+      return sendValidationError(res, [
+        { field: "password", message: "use POST /auth_users/change-password to change the password" },
+      ]);
+    }
+
+    // sadece gönderilen alanlar güncellenir
+    const changes = Object.fromEntries(
+      ["name", "email", "default_currency"]
+        .filter((field) => req.body[field] !== undefined)
+        .map((field) => [field, req.body[field]])
+    );
+
+    const result = await knex.transaction(async (trx) => {
+      const current = await trx("auth_users").where({ id }).first();
+      if (!current) {
+        return { status: 404, error: "User not found" };
+      }
+
+      const emailChanged = changes.email !== undefined && changes.email.toLowerCase() !== current.email.toLowerCase();
+      if (emailChanged) {
+        const taken = await findUserByEmail(changes.email, trx);
+        if (taken) {
+          return { status: 409, error: "Email already in use" };
+        }
+        // yeni adres yeniden doğrulanır
+        changes.email_verified_at = null;
+      }
+
+      const [updated] = await auditedUpdate(trx, req, "auth_users", (query) => query.where({ id }), {
+        ...changes,
         updated_at: knex.fn.now(),
-      })
-      .returning(["id", "name", "email", "active"]);
+      });
+      const token = emailChanged ? await createAuthToken(id, "email_verification", trx) : null;
+      return { user: updated, token };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    if (result.token) {
+      await sendMailSafely(templates.emailVerification(result.user, result.token));
+    }
 
-    res.json(updated[0]);
+    res.json(pickUserFields(result.user));
   } catch (error) {
+    if (isDuplicateEmail(error)) {
+      return res.status(409).json({ error: "Email already in use" });
+    }
     console.error("PUT /auth_users/:id error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
@@ -276,8 +673,10 @@ router.put("/:id", verifyToken, async (req, res) => {
  *         description: Kullanıcı silindi
  *       403:
  *         description: Yetkisiz erişim
+ *       400:
+ *         description: Invalid path or query parameter
  */
-router.delete("/:id", verifyToken, async (req, res) => {
+router.delete("/:id", verifyToken, validate({ params: IdParams }), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -285,7 +684,7 @@ router.delete("/:id", verifyToken, async (req, res) => {
       return res.status(403).json({ error: "Unauthorized access" });
     }
 
-    await knex("auth_users").where({ id }).del();
+    await knex.transaction((trx) => auditedDelete(trx, req, "auth_users", (query) => query.where({ id })));
 
     res.json({ message: "User deleted" });
   } catch (error) {
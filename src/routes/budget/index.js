@@ -0,0 +1,435 @@
+const express = require("express");
+const router = express.Router();
+const knex = require("../../db");
+const { v4: uuidv4 } = require("uuid");
+const verifyToken = require("../../middleware/verifyToken.js");
+const validate = require("../../middleware/validate");
+const { sendValidationError } = validate;
+const { IdParams } = require("../../schemas/common").schemas;
+const {
+  BudgetCreateRequest,
+  BudgetItemStatusQuery,
+  BudgetStatusQuery,
+  BudgetUpdateRequest,
+} = require("../../schemas/budget");
+const {
+  ExchangeRateNotFoundError,
+  createConverter,
+  getUserCurrency,
+} = require("../../services/currency");
+const { subtreeIds } = require("../../services/category");
+const { memberLedgerIds } = require("../../services/ledger");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Budget
+ *   description: Spending limits per expense category
+ */
+
+// bütçenin verilen tarihe denk gelen dönemini [start, end) olarak hesaplar
+const periodRange = (budget, date = new Date()) => {
+  if (budget.period === "custom") {
+    const end = new Date(budget.end_date);
+    end.setDate(end.getDate() + 1);
+    return { start: new Date(budget.start_date), end };
+  }
+
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const end = new Date(start);
+
+  if (budget.period === "weekly") {
+    // hafta pazartesi başlar
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    end.setTime(start.getTime());
+    end.setDate(end.getDate() + 7);
+  } else {
+    start.setDate(1);
+    end.setTime(start.getTime());
+    end.setMonth(end.getMonth() + 1);
+  }
+
+  return { start, end };
+};
+
+const budgetStatus = async (budget, date) => {
+  const { start, end } = periodRange(budget, date);
+
+  // alt kategorilerdeki harcamalar da üst kategorinin bütçesine sayılır; kategori paylaşılan
+  // bir defterdeyse diğer üyelerin harcamaları da
+  const spentByCurrency = await knex("transaction")
+    .whereNull("deleted_at")
+    .whereIn("category_id", subtreeIds(budget.category_id))
+    .andWhere("created_at", ">=", start)
+    .andWhere("created_at", "<", end)
+    .select("currency")
+    .sum({ spent: "amount" })
+    .groupBy("currency");
+
+  // bütçe limiti kullanıcının varsayılan para birimindedir
+  const currency = await getUserCurrency(budget.auth_user_id);
+  const convert = await createConverter(
+    spentByCurrency.map((row) => row.currency),
+    currency,
+    date.toISOString().slice(0, 10)
+  );
+
+  const limit = Number(budget.amount);
+  const spentAmount =
+    Math.round(spentByCurrency.reduce((sum, row) => sum + convert(row.spent, row.currency), 0) * 100) /
+    100;
+
+  return {
+    ...budget,
+    currency,
+    period_start: start,
+    period_end: end,
+    limit,
+    spent: spentAmount,
+    remaining: Math.round((limit - spentAmount) * 100) / 100,
+    percent_used: limit > 0 ? Math.round((spentAmount / limit) * 10000) / 100 : null,
+    over_budget: spentAmount > limit,
+  };
+};
+
+// kullanıcının bütçeleri; üyeliği biten defterlerin kategorilerine ait bütçeler (o defterin harcamalarını
+// göstereceği için) listelenmez
+const visibleBudgets = (userId) =>
+  knex("budget")
+    .where({ auth_user_id: userId })
+    .whereIn("category_id", knex("category").whereIn("ledger_id", memberLedgerIds(userId)).select("id"));
+
+// şemanın ifade edemediği kontroller (özel dönem tarihleri, kategori erişimi); hata yoksa null
+const checkBudget = async (body, userId) => {
+  const { category_id, period, start_date, end_date } = body;
+
+  if (period === "custom") {
+    const missing = ["start_date", "end_date"].filter((field) => !body[field]);
+    if (missing.length) {
+      return missing.map((field) => ({ field, message: "is required for custom budgets" }));
+    }
+    if (end_date < start_date) {
+      return [{ field: "end_date", message: "must not be before start_date" }];
+    }
+  }
+
+  // paylaşılan defterlerdeki kategoriler de kullanılabilir
+  const category = await knex("category")
+    .where({ id: category_id })
+    .whereIn("ledger_id", memberLedgerIds(userId))
+    .whereNull("deleted_at")
+    .first();
+  if (!category) {
+    return [{ field: "category_id", message: "must reference a category in one of your ledgers" }];
+  }
+  if (category.type !== "expense") {
+    return [{ field: "category_id", message: "must be an expense category" }];
+  }
+
+  return null;
+};
+
+/**
+ * @swagger
+ * /budget:
+ *   post:
+ *     summary: Create a budget for an expense category
+ *     tags: [Budget]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BudgetCreateRequest'
+ *     responses:
+ *       201:
+ *         description: Budget created successfully
+ *       422:
+ *         description: Validation error
+ */
+router.post("/", verifyToken, validate({ body: BudgetCreateRequest }), async (req, res) => {
+  try {
+    const { category_id, amount, period, start_date, end_date } = req.body;
+
+    const errors = await checkBudget(req.body, req.user.id);
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const newBudget = await knex("budget")
+      .insert({
+        id: uuidv4(),
+        auth_user_id: req.user.id,
+        category_id,
+        amount,
+        period,
+        start_date: period === "custom" ? start_date : null,
+        end_date: period === "custom" ? end_date : null,
+        created_at: knex.fn.now(),
+        updated_at: knex.fn.now(),
+      })
+      .returning("*");
+
+    res.status(201).json(newBudget[0]);
+  } catch (error) {
+    console.error("POST /budget error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /budget:
+ *   get:
+ *     summary: Get all budgets
+ *     tags: [Budget]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of budgets
+ */
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const budgets = await visibleBudgets(req.user.id).orderBy("created_at", "asc");
+
+    res.json(budgets);
+  } catch (error) {
+    console.error("GET /budget error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /budget/status:
+ *   get:
+ *     summary: Get spent vs. limit for every budget
+ *     tags: [Budget]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/BudgetStatusQuery.date'
+ *       - $ref: '#/components/parameters/BudgetStatusQuery.overOnly'
+ *     responses:
+ *       200:
+ *         description: Budget status list
+ *       400:
+ *         description: Invalid query parameter
+ */
+router.get("/status", verifyToken, validate({ query: BudgetStatusQuery }), async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+
+    const budgets = await visibleBudgets(req.user.id).orderBy("created_at", "asc");
+
+    let statuses = await Promise.all(budgets.map((budget) => budgetStatus(budget, date)));
+
+    if (req.query.overOnly) {
+      statuses = statuses.filter((status) => status.over_budget);
+    }
+
+    res.json(statuses);
+  } catch (error) {
+    if (error instanceof ExchangeRateNotFoundError) {
+      return res.status(422).json({ error: error.message });
+    }
+    console.error("GET /budget/status error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /budget/{id}:
+ *   get:
+ *     summary: Get a single budget by ID
+ *     tags: [Budget]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The budget ID
+ *     responses:
+ *       200:
+ *         description: The budget data
+ *       404:
+ *         description: Budget not found
+ */
+router.get("/:id", verifyToken, validate({ params: IdParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const budget = await visibleBudgets(req.user.id).where({ id }).first();
+
+    if (!budget) {
+      return res.status(404).json({ error: "Budget not found" });
+    }
+
+    res.json(budget);
+  } catch (error) {
+    console.error("GET /budget/:id error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /budget/{id}/status:
+ *   get:
+ *     summary: Get spent vs. limit, remaining amount and percentage used for a budget
+ *     tags: [Budget]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The budget ID
+ *       - $ref: '#/components/parameters/BudgetItemStatusQuery.date'
+ *     responses:
+ *       200:
+ *         description: Budget status
+ *       404:
+ *         description: Budget not found
+ */
+router.get(
+  "/:id/status",
+  verifyToken,
+  validate({ params: IdParams, query: BudgetItemStatusQuery }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const date = req.query.date ? new Date(req.query.date) : new Date();
+
+      const budget = await visibleBudgets(req.user.id).where({ id }).first();
+
+      if (!budget) {
+        return res.status(404).json({ error: "Budget not found" });
+      }
+
+      res.json(await budgetStatus(budget, date));
+    } catch (error) {
+      if (error instanceof ExchangeRateNotFoundError) {
+        return res.status(422).json({ error: error.message });
+      }
+      console.error("GET /budget/:id/status error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /budget/{id}:
+ *   put:
+ *     summary: Update a budget
+ *     tags: [Budget]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Budget ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BudgetUpdateRequest'
+ *     responses:
+ *       200:
+ *         description: Budget updated successfully
+ *       404:
+ *         description: Budget not found
+ *       422:
+ *         description: Validation error
+ */
+router.put(
+  "/:id",
+  verifyToken,
+  validate({ params: IdParams, body: BudgetUpdateRequest }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { category_id, amount, period, start_date, end_date } = req.body;
+
+      const errors = await checkBudget(req.body, req.user.id);
+      if (errors) {
+        return sendValidationError(res, errors);
+      }
+
+      const updated = await knex("budget")
+        .where({ id, auth_user_id: req.user.id })
+        .update({
+          category_id,
+          amount,
+          period,
+          start_date: period === "custom" ? start_date : null,
+          end_date: period === "custom" ? end_date : null,
+          updated_at: knex.fn.now(),
+        })
+        .returning("*");
+
+      if (!updated.length) {
+        return res.status(404).json({ error: "Budget not found" });
+      }
+
+      res.json(updated[0]);
+    } catch (error) {
+      console.error("PUT /budget/:id error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /budget/{id}:
+ *   delete:
+ *     summary: Delete a budget
+ *     tags: [Budget]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Budget ID
+ *     responses:
+ *       200:
+ *         description: Budget deleted successfully
+ *       404:
+ *         description: Budget not found
+ */
+router.delete("/:id", verifyToken, validate({ params: IdParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = await knex("budget")
+      .where({ id, auth_user_id: req.user.id })
+      .del();
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Budget not found" });
+    }
+
+    res.json({ message: "Budget deleted successfully" });
+  } catch (error) {
+    console.error("DELETE /budget/:id error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
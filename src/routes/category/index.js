@@ -3,6 +3,26 @@ const router = express.Router();
 const knex = require("../../db");
 const { v4: uuidv4 } = require("uuid");
 const verifyToken = require("../../middleware/verifyToken.js");
+const ledgerAccess = require("../../middleware/ledgerAccess");
+const validate = require("../../middleware/validate");
+const { sendValidationError } = validate;
+const { IdParams } = require("../../schemas/common").schemas;
+const {
+  CategoryCreateRequest,
+  CategoryDeleteQuery,
+  CategoryListQuery,
+  CategoryTreeQuery,
+  CategoryUpdateRequest,
+} = require("../../schemas/category");
+const { auditedInsert, auditedUpdate } = require("../../services/audit");
+const { buildTree, createsCycle, subtreeIds } = require("../../services/category");
+const { etag, ifMatchSatisfied } = require("../../services/sync");
+const {
+  InvalidCursorError,
+  countRows,
+  pageMeta,
+  paginate,
+} = require("../../utils/pagination");
 
 /**
  * @swagger
@@ -11,6 +31,30 @@ const verifyToken = require("../../middleware/verifyToken.js");
  *   description: Category management
  */
 
+// üst kategori aynı defterde ve aynı tipte olmalı
+const checkParent = async (ledgerId, parentId, type) => {
+  const parent = await knex("category")
+    .where({ id: parentId, ledger_id: ledgerId })
+    .whereNull("deleted_at")
+    .first();
+
+  if (!parent) {
+    return { field: "parent_id", message: "must reference a category in this ledger" };
+  }
+  if (parent.type !== type) {
+    return { field: "parent_id", message: `must be a category of the same type (${parent.type})` };
+  }
+
+  return null;
+};
+
+// If-Match uyuşmazlığı; istemci birleştirme yapabilsin diye kategorinin güncel hâli de gönderilir
+const sendConflict = (res, current) =>
+  res
+    .status(409)
+    .set("ETag", etag(current))
+    .json({ error: "Category has been modified since it was last fetched", current });
+
 /**
  * @swagger
  * /category:
@@ -19,39 +63,43 @@ const verifyToken = require("../../middleware/verifyToken.js");
  *     tags: [Category]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - type
- *             properties:
- *               name:
- *                 type: string
- *               type:
- *                 type: string
- *                 enum: [income, expense]
+ *             $ref: '#/components/schemas/CategoryCreateRequest'
  *     responses:
  *       201:
  *         description: Category created successfully
+ *       422:
+ *         description: Validation error
  */
-router.post("/", verifyToken, async (req, res) => {
+router.post("/", verifyToken, ledgerAccess("editor"), validate({ body: CategoryCreateRequest }), async (req, res) => {
   try {
-    const { name, type } = req.body;
+    const { name, type, parent_id = null } = req.body;
 
-    const newCategory = await knex("category")
-      .insert({
+    if (parent_id) {
+      const error = await checkParent(req.ledger.id, parent_id, type);
+      if (error) {
+        return sendValidationError(res, [error]);
+      }
+    }
+
+    const newCategory = await knex.transaction((trx) =>
+      auditedInsert(trx, req, "category", {
         id: uuidv4(),
         name,
         type,
+        parent_id,
+        ledger_id: req.ledger.id,
         auth_user_id: req.user.id,
         created_at: knex.fn.now(),
         updated_at: knex.fn.now(),
       })
-      .returning("*");
+    );
 
     res.status(201).json(newCategory[0]);
   } catch (error) {
@@ -69,64 +117,105 @@ router.post("/", verifyToken, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *         description: Page number
- *       - in: query
- *         name: pageSize
- *         schema:
- *           type: integer
- *         description: Number of items per page
- *       - in: query
- *         name: name
- *         schema:
- *           type: string
- *         description: Filter by category name
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *         description: Field to sort by
- *       - in: query
- *         name: order
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *         description: Sort order
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - $ref: '#/components/parameters/CategoryListQuery.page'
+ *       - $ref: '#/components/parameters/CategoryListQuery.pageSize'
+ *       - $ref: '#/components/parameters/CategoryListQuery.cursor'
+ *       - $ref: '#/components/parameters/CategoryListQuery.name'
+ *       - $ref: '#/components/parameters/CategoryListQuery.type'
+ *       - $ref: '#/components/parameters/CategoryListQuery.parent_id'
+ *       - $ref: '#/components/parameters/CategoryListQuery.sortBy'
+ *       - $ref: '#/components/parameters/CategoryListQuery.order'
  *     responses:
  *       200:
- *         description: List of categories
+ *         description: Page of categories with total count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       400:
+ *         description: Invalid path or query parameter
  */
-router.get("/", verifyToken, async (req, res) => {
+router.get("/", verifyToken, ledgerAccess("viewer"), validate({ query: CategoryListQuery }), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const pageSize = parseInt(req.query.pageSize) || 10;
-    const offset = (page - 1) * pageSize;
-
-    const sortBy = req.query.sortBy || "created_at";
-    const order = req.query.order === "desc" ? "desc" : "asc";
-    const nameFilter = req.query.name;
+    const { page, pageSize, sortBy, order, cursor, name, type, parent_id } = req.query;
 
-    let query = knex("category").where({ auth_user_id: req.user.id });
+    let query = knex("category")
+      .where({ "category.ledger_id": req.ledger.id })
+      .whereNull("category.deleted_at");
 
-    if (nameFilter) {
-      query = query.andWhere("name", "like", `%${nameFilter}%`);
+    if (name) {
+      query = query.andWhere("category.name", "ilike", `%${name}%`);
+    }
+    if (type) {
+      query = query.andWhere("category.type", type);
+    }
+    if (parent_id) {
+      query = query.andWhere("category.parent_id", parent_id);
     }
 
-    const categories = await query
-      .orderBy(sortBy, order)
-      .limit(pageSize)
-      .offset(offset);
+    const total = await countRows(query);
+    const { data, nextCursor } = await paginate(query, {
+      table: "category",
+      sortBy,
+      order,
+      page,
+      pageSize,
+      cursor,
+    });
 
-    res.json(categories);
+    res.json({ data, meta: pageMeta({ total, page, pageSize, cursor, nextCursor }) });
   } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return sendValidationError(res, [{ field: "cursor", message: error.message }], 400);
+    }
     console.error("GET /category error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+/**
+ * @swagger
+ * /category/tree:
+ *   get:
+ *     summary: Get all categories as a nested tree
+ *     tags: [Category]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - $ref: '#/components/parameters/CategoryTreeQuery.type'
+ *     responses:
+ *       200:
+ *         description: Top-level categories, each with a children array
+ *       400:
+ *         description: Invalid path or query parameter
+ */
+router.get("/tree", verifyToken, ledgerAccess("viewer"), validate({ query: CategoryTreeQuery }), async (req, res) => {
+  try {
+    let query = knex("category")
+      .where({ ledger_id: req.ledger.id })
+      .whereNull("deleted_at")
+      .orderBy("name");
+
+    if (req.query.type) {
+      query = query.andWhere({ type: req.query.type });
+    }
+
+    res.json(buildTree(await query));
+  } catch (error) {
+    console.error("GET /category/tree error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 /**
  * @swagger
  * /category/{id}:
@@ -136,6 +225,7 @@ router.get("/", verifyToken, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
  *       - in: path
  *         name: id
  *         schema:
@@ -145,19 +235,22 @@ router.get("/", verifyToken, async (req, res) => {
  *     responses:
  *       200:
  *         description: The category data
+ *       400:
+ *         description: Invalid path or query parameter
  */
-router.get("/:id", verifyToken, async (req, res) => {
+router.get("/:id", verifyToken, ledgerAccess("viewer"), validate({ params: IdParams }), async (req, res) => {
   try {
     const { id } = req.params;
     const category = await knex("category")
-      .where({ id, auth_user_id: req.user.id })
+      .where({ id, ledger_id: req.ledger.id })
+      .whereNull("deleted_at")
       .first();
 
     if (!category) {
       return res.status(404).json({ error: "Category not found" });
     }
 
-    res.json(category);
+    res.set("ETag", etag(category)).json(category);
   } catch (error) {
     console.error("GET /category/:id error:", error);
     res.status(500).json({ error: "Internal server error" });
@@ -172,10 +265,15 @@ router.get("/:id", verifyToken, async (req, res) => {
  * /category/{id}:
  *   put:
  *     summary: Update a category
+ *     description: >
+ *       With `If-Match` (the ETag from `GET /category/{id}` or the `version` field) the update only
+ *       succeeds if the category has not changed in the meantime.
  *     tags: [Category]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: id
  *         schema:
@@ -187,31 +285,100 @@ router.get("/:id", verifyToken, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - type
- *             properties:
- *               name:
- *                 type: string
- *               type:
- *                 type: string
- *                 enum: [income, expense]
+ *             $ref: '#/components/schemas/CategoryUpdateRequest'
  *     responses:
  *       200:
  *         description: Category updated successfully
+ *       400:
+ *         description: Invalid path or query parameter
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: The category was modified (If-Match did not match); `current` holds the latest version
+ *       422:
+ *         description: Validation error, e.g. a parent that would create a cycle
  */
-router.put("/:id", verifyToken, async (req, res) => {
+router.put("/:id", verifyToken, ledgerAccess("editor"), validate({ params: IdParams, body: CategoryUpdateRequest }), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, type } = req.body;
+    const { name, type, parent_id } = req.body;
+
+    const existing = await knex("category")
+      .where({ id, ledger_id: req.ledger.id })
+      .whereNull("deleted_at")
+      .first();
+    if (!existing) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+
+    const ifMatch = req.get("If-Match");
+    if (!ifMatchSatisfied(ifMatch, existing)) {
+      return sendConflict(res, existing);
+    }
+
+    // parent_id gönderilmediyse mevcut üst kategori korunur
+    const parentId = parent_id === undefined ? existing.parent_id : parent_id;
+    if (parentId) {
+      const error = await checkParent(req.ledger.id, parentId, type);
+      if (error) {
+        return sendValidationError(res, [error]);
+      }
+      if (await createsCycle(id, parentId)) {
+        return sendValidationError(res, [
+          { field: "parent_id", message: "must not be the category itself or one of its subcategories" },
+        ]);
+      }
+    }
+
+    if (type !== existing.type) {
+      const child = await knex("category")
+        .where({ parent_id: id })
+        .whereNull("deleted_at")
+        .whereNot({ type })
+        .first("id");
+      if (child) {
+        return sendValidationError(res, [
+          { field: "type", message: "cannot change while subcategories have a different type" },
+        ]);
+      }
+    }
 
-    const updated = await knex("category")
-      .where({ id, auth_user_id: req.user.id })
-      .update({ name, type, updated_at: knex.fn.now() })
-      .returning("*");
+    // kategori tipi değişirse işlemlerin tipi de aynı transaction içinde güncellenir
+    const updated = await knex.transaction(async (trx) => {
+      const rows = await auditedUpdate(
+        trx,
+        req,
+        "category",
+        (query) => {
+          query.where({ id, ledger_id: req.ledger.id }).whereNull("deleted_at");
+          // kontroller sırasında başka biri güncellediyse If-Match yine tutmamalı
+          return ifMatch === undefined ? query : query.where({ version: existing.version });
+        },
+        { name, type, parent_id: parentId, updated_at: knex.fn.now() }
+      );
 
-    res.json(updated[0]);
+      if (rows.length) {
+        await auditedUpdate(
+          trx,
+          req,
+          "transaction",
+          (query) => query.where({ category_id: id }).whereNot({ type }),
+          { type, updated_at: knex.fn.now() }
+        );
+      }
+
+      return rows;
+    });
+
+    if (!updated.length) {
+      const current = await knex("category")
+        .where({ id, ledger_id: req.ledger.id })
+        .whereNull("deleted_at")
+        .first();
+      return current ? sendConflict(res, current) : res.status(404).json({ error: "Category not found" });
+    }
+
+    res.set("ETag", etag(updated[0])).json(updated[0]);
   } catch (error) {
     console.error("PUT /category/:id error:", error);
     res.status(500).json({ error: "Internal server error" });
@@ -222,27 +389,110 @@ router.put("/:id", verifyToken, async (req, res) => {
  * @swagger
  * /category/{id}:
  *   delete:
- *     summary: Delete a category
+ *     summary: Move a category and its transactions to the trash
+ *     description: >
+ *       A category with subcategories is only deleted when `children` says what to do with them:
+ *       `reparent` moves them under `reparent_to` (default the deleted category's parent),
+ *       `delete` moves the whole subtree to the trash. See `POST /category/{id}/restore`.
  *     tags: [Category]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
  *       - in: path
  *         name: id
  *         schema:
  *           type: string
  *         required: true
  *         description: Category ID
+ *       - $ref: '#/components/parameters/CategoryDeleteQuery.children'
+ *       - $ref: '#/components/parameters/CategoryDeleteQuery.reparent_to'
  *     responses:
  *       200:
  *         description: Category deleted successfully
+ *       400:
+ *         description: Invalid path or query parameter
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: The category has subcategories and `children` was not given
+ *       422:
+ *         description: Invalid reparent_to
  */
-router.delete("/:id", verifyToken, async (req, res) => {
+router.delete("/:id", verifyToken, ledgerAccess("editor"), validate({ params: IdParams, query: CategoryDeleteQuery }), async (req, res) => {
   try {
     const { id } = req.params;
-    await knex("category")
-      .where({ id, auth_user_id: req.user.id })
-      .del();
+    const { children, reparent_to } = req.query;
+
+    const category = await knex("category")
+      .where({ id, ledger_id: req.ledger.id })
+      .whereNull("deleted_at")
+      .first();
+    if (!category) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+
+    const [{ count }] = await knex("category")
+      .where({ parent_id: id })
+      .whereNull("deleted_at")
+      .count({ count: "*" });
+    const childCount = Number(count);
+
+    if (childCount && !children) {
+      return res.status(409).json({
+        error: "Category has subcategories; pass children=reparent or children=delete",
+        subcategories: childCount,
+      });
+    }
+
+    const newParentId = reparent_to || category.parent_id;
+    if (childCount && children === "reparent" && reparent_to) {
+      const error = await checkParent(req.ledger.id, reparent_to, category.type);
+      if (error) {
+        return sendValidationError(res, [{ ...error, field: "reparent_to" }]);
+      }
+      if (await createsCycle(id, reparent_to)) {
+        return sendValidationError(res, [
+          { field: "reparent_to", message: "must not be the category itself or one of its subcategories" },
+        ]);
+      }
+    }
+
+    // kategori ve işlemleri aynı deleted_at ile işaretlenir, restore bu değere göre geri alır
+    await knex.transaction(async (trx) => {
+      if (childCount && children === "reparent") {
+        await auditedUpdate(
+          trx,
+          req,
+          "category",
+          (query) => query.where({ parent_id: id }).whereNull("deleted_at"),
+          { parent_id: newParentId, updated_at: knex.fn.now() }
+        );
+      }
+
+      const deletedIds = trx("category")
+        .whereIn("id", children === "delete" ? subtreeIds(id, trx) : [id])
+        .andWhere({ ledger_id: req.ledger.id })
+        .whereNull("deleted_at")
+        .select("id");
+
+      await auditedUpdate(
+        trx,
+        req,
+        "transaction",
+        (query) => query.whereIn("category_id", deletedIds.clone()).whereNull("deleted_at"),
+        { deleted_at: knex.fn.now() },
+        "delete"
+      );
+      await auditedUpdate(
+        trx,
+        req,
+        "category",
+        (query) => query.whereIn("id", deletedIds),
+        { deleted_at: knex.fn.now() },
+        "delete"
+      );
+    });
 
     res.json({ message: "Category deleted successfully" });
   } catch (error) {
@@ -251,4 +501,92 @@ router.delete("/:id", verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /category/{id}/restore:
+ *   post:
+ *     summary: Restore a category from the trash
+ *     description: >
+ *       Restores the category together with the subcategories and transactions that were deleted
+ *       with it. If its parent is still deleted it becomes a top-level category.
+ *     tags: [Category]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Category ID
+ *     responses:
+ *       200:
+ *         description: The restored category
+ *       404:
+ *         description: Category not found in the trash
+ */
+router.post("/:id/restore", verifyToken, ledgerAccess("editor"), validate({ params: IdParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const restored = await knex.transaction(async (trx) => {
+      const category = await trx("category")
+        .where({ id, ledger_id: req.ledger.id })
+        .whereNotNull("deleted_at")
+        .forUpdate()
+        .first();
+      if (!category) {
+        return null;
+      }
+
+      // timestamp JS Date'e çevrilince mikro saniyeler kaybolur, karşılaştırma SQL'de yapılır
+      const deletedAt = trx("category").where({ id }).select("deleted_at");
+      const restoredIds = trx("category")
+        .whereIn("id", subtreeIds(id, trx))
+        .andWhere("deleted_at", deletedAt.clone())
+        .select("id");
+
+      await auditedUpdate(
+        trx,
+        req,
+        "transaction",
+        (query) => query.whereIn("category_id", restoredIds.clone()).andWhere("deleted_at", deletedAt.clone()),
+        { deleted_at: null },
+        "restore"
+      );
+
+      // üst kategori hâlâ silinmişse kategori köke taşınır
+      const parent = category.parent_id && (await trx("category").where({ id: category.parent_id }).first());
+      const orphaned = category.parent_id && (!parent || parent.deleted_at);
+
+      await auditedUpdate(
+        trx,
+        req,
+        "category",
+        (query) => query.whereIn("id", restoredIds),
+        { deleted_at: null, updated_at: knex.fn.now() },
+        "restore"
+      );
+      if (orphaned) {
+        await auditedUpdate(trx, req, "category", (query) => query.where({ id }), {
+          parent_id: null,
+          updated_at: knex.fn.now(),
+        });
+      }
+
+      return trx("category").where({ id }).first();
+    });
+
+    if (!restored) {
+      return res.status(404).json({ error: "Category not found in the trash" });
+    }
+
+    res.json(restored);
+  } catch (error) {
+    console.error("POST /category/:id/restore error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 module.exports = router;
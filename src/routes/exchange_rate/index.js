@@ -0,0 +1,210 @@
+const express = require("express");
+const router = express.Router();
+const knex = require("../../db");
+const verifyToken = require("../../middleware/verifyToken.js");
+const requireRole = require("../../middleware/requireRole");
+const validate = require("../../middleware/validate");
+const { sendValidationError } = validate;
+const { IdParams } = require("../../schemas/common").schemas;
+const {
+  ExchangeRateConvertQuery,
+  ExchangeRateCreateRequest,
+  ExchangeRateListQuery,
+} = require("../../schemas/exchange_rate");
+const { findRate, upsertRates } = require("../../services/currency");
+
+/**
+ * @swagger
+ * tags:
+ *   name: ExchangeRate
+ *   description: Stored exchange rates used for currency conversion
+ */
+
+/**
+ * @swagger
+ * /exchange_rate:
+ *   post:
+ *     summary: Add or update exchange rates (1 base_currency = rate quote_currency)
+ *     description: >
+ *       Rates are shared by all users, so only admins can change them. If a batch contains the same
+ *       pair and date more than once, the last entry wins.
+ *     tags: [ExchangeRate]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExchangeRateCreateRequest'
+ *     responses:
+ *       201:
+ *         description: Saved exchange rates
+ *       403:
+ *         description: Requires the admin role
+ *       422:
+ *         description: Validation error
+ */
+router.post(
+  "/",
+  verifyToken,
+  requireRole("admin"),
+  validate({ body: ExchangeRateCreateRequest }),
+  async (req, res) => {
+    try {
+      const batch = Array.isArray(req.body);
+      const rates = batch ? req.body : [req.body];
+
+      // şemanın ifade edemediği kontrol
+      const errors = rates
+        .map((rate, index) => (rate.base_currency === rate.quote_currency ? index : null))
+        .filter((index) => index !== null)
+        .map((index) => ({
+          field: batch ? `${index}.quote_currency` : "quote_currency",
+          message: "must differ from base_currency",
+        }));
+      if (errors.length) {
+        return sendValidationError(res, errors);
+      }
+
+      const saved = await upsertRates(rates);
+
+      res.status(201).json(saved);
+    } catch (error) {
+      console.error("POST /exchange_rate error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /exchange_rate:
+ *   get:
+ *     summary: Get stored exchange rates
+ *     tags: [ExchangeRate]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ExchangeRateListQuery.base_currency'
+ *       - $ref: '#/components/parameters/ExchangeRateListQuery.quote_currency'
+ *       - $ref: '#/components/parameters/ExchangeRateListQuery.from'
+ *       - $ref: '#/components/parameters/ExchangeRateListQuery.to'
+ *     responses:
+ *       200:
+ *         description: List of exchange rates
+ *       400:
+ *         description: Invalid query parameter
+ */
+router.get("/", verifyToken, validate({ query: ExchangeRateListQuery }), async (req, res) => {
+  try {
+    const { base_currency, quote_currency, from, to } = req.query;
+
+    let query = knex("exchange_rate");
+
+    if (base_currency) {
+      query = query.andWhere({ base_currency });
+    }
+    if (quote_currency) {
+      query = query.andWhere({ quote_currency });
+    }
+    if (from) {
+      query = query.andWhere("date", ">=", from);
+    }
+    if (to) {
+      query = query.andWhere("date", "<=", to);
+    }
+
+    const rates = await query.orderBy("date", "desc").limit(1000);
+
+    res.json(rates);
+  } catch (error) {
+    console.error("GET /exchange_rate error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /exchange_rate/convert:
+ *   get:
+ *     summary: Convert an amount between two currencies using the stored rate for a date
+ *     tags: [ExchangeRate]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ExchangeRateConvertQuery.amount'
+ *       - $ref: '#/components/parameters/ExchangeRateConvertQuery.from'
+ *       - $ref: '#/components/parameters/ExchangeRateConvertQuery.to'
+ *       - $ref: '#/components/parameters/ExchangeRateConvertQuery.date'
+ *     responses:
+ *       200:
+ *         description: Converted amount
+ *       400:
+ *         description: Invalid query parameter
+ *       404:
+ *         description: No exchange rate found
+ */
+router.get("/convert", verifyToken, validate({ query: ExchangeRateConvertQuery }), async (req, res) => {
+  try {
+    const { amount, from, to } = req.query;
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+
+    const rate = await findRate(from, to, date);
+    if (rate === null) {
+      return res.status(404).json({ error: `Exchange rate not found for ${from}/${to}` });
+    }
+
+    res.json({
+      amount,
+      from,
+      to,
+      date,
+      rate,
+      converted: Math.round(amount * rate * 100) / 100,
+    });
+  } catch (error) {
+    console.error("GET /exchange_rate/convert error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /exchange_rate/{id}:
+ *   delete:
+ *     summary: Delete an exchange rate (admin only)
+ *     tags: [ExchangeRate]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Exchange rate deleted successfully
+ *       403:
+ *         description: Requires the admin role
+ *       404:
+ *         description: Exchange rate not found
+ */
+router.delete("/:id", verifyToken, requireRole("admin"), validate({ params: IdParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = await knex("exchange_rate").where({ id }).del();
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Exchange rate not found" });
+    }
+
+    res.json({ message: "Exchange rate deleted successfully" });
+  } catch (error) {
+    console.error("DELETE /exchange_rate/:id error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,342 @@
+const express = require("express");
+const router = express.Router();
+const knex = require("../../db");
+const { v4: uuidv4 } = require("uuid");
+const verifyToken = require("../../middleware/verifyToken.js");
+const ledgerAccess = require("../../middleware/ledgerAccess");
+const validate = require("../../middleware/validate");
+const { sendValidationError } = validate;
+const { IdParams } = require("../../schemas/common").schemas;
+const { GoalCreateRequest, GoalProgressQuery, GoalUpdateRequest } = require("../../schemas/goal");
+const { ExchangeRateNotFoundError, getUserCurrency } = require("../../services/currency");
+const { goalProgress } = require("../../services/goal");
+const { toDate, toDateString } = require("../../services/recurring");
+
+const GOAL_FIELDS = Object.keys(GoalCreateRequest.properties);
+
+const pickGoalFields = (body) =>
+  Object.fromEntries(GOAL_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+/**
+ * Hedefin son hâlini (mevcut + değişen alanlar) kontrol eder. Kategori bu defterde, yeni bağlanan hesap
+ * kullanıcının olmalı; hesaba bağlı hedefin para birimi hesabınkidir. Hatalar ve kaydedilecek para birimi döner.
+ */
+const checkGoal = async (req, fields, current = {}) => {
+  const goal = { ...current, ...fields };
+  const errors = [];
+  let currency = goal.currency;
+
+  if (goal.category_id && goal.account_id) {
+    errors.push({ field: "account_id", message: "cannot be set together with category_id" });
+  }
+  if (fields.category_id) {
+    const category = await knex("category")
+      .where({ id: fields.category_id, ledger_id: req.ledger.id })
+      .whereNull("deleted_at")
+      .first("id");
+    if (!category) {
+      errors.push({ field: "category_id", message: "must reference a category in this ledger" });
+    }
+  }
+
+  if (goal.account_id) {
+    // daha önce bağlanmış hesap başka bir üyeye ait olabilir
+    const account = fields.account_id
+      ? await knex("account").where({ id: fields.account_id, auth_user_id: req.user.id }).first("currency")
+      : await knex("account").where({ id: goal.account_id }).first("currency");
+
+    if (!account) {
+      errors.push({ field: "account_id", message: "must reference one of your accounts" });
+    } else if (fields.currency && fields.currency !== account.currency) {
+      errors.push({ field: "currency", message: `must match the linked account currency (${account.currency})` });
+    } else {
+      currency = account.currency;
+    }
+  }
+
+  if (goal.start_date && toDateString(toDate(goal.target_date)) < toDateString(toDate(goal.start_date))) {
+    errors.push({ field: "target_date", message: "must not be before start_date" });
+  }
+
+  return { errors, currency: currency || (await getUserCurrency(req.user.id)) };
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Goal
+ *   description: Savings goals and their progress
+ */
+
+/**
+ * @swagger
+ * /goal:
+ *   post:
+ *     summary: Create a savings goal
+ *     description: >
+ *       Link the goal to a category (e.g. transfers to savings) or to an account (e.g. a savings
+ *       account) so its progress can be computed from transactions.
+ *     tags: [Goal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GoalCreateRequest'
+ *     responses:
+ *       201:
+ *         description: Goal created successfully
+ *       422:
+ *         description: Validation error
+ */
+router.post("/", verifyToken, ledgerAccess("editor"), validate({ body: GoalCreateRequest }), async (req, res) => {
+  try {
+    const fields = { start_date: toDateString(new Date()), ...pickGoalFields(req.body) };
+
+    const { errors, currency } = await checkGoal(req, fields);
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const [goal] = await knex("goal")
+      .insert({
+        ...fields,
+        currency,
+        id: uuidv4(),
+        ledger_id: req.ledger.id,
+        auth_user_id: req.user.id,
+        created_at: knex.fn.now(),
+        updated_at: knex.fn.now(),
+      })
+      .returning("*");
+
+    res.status(201).json(goal);
+  } catch (error) {
+    console.error("POST /goal error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /goal:
+ *   get:
+ *     summary: Get all goals of the ledger, nearest target date first
+ *     tags: [Goal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *     responses:
+ *       200:
+ *         description: List of goals
+ */
+router.get("/", verifyToken, ledgerAccess("viewer"), async (req, res) => {
+  try {
+    const goals = await knex("goal")
+      .where({ ledger_id: req.ledger.id })
+      .orderBy([{ column: "target_date" }, { column: "created_at" }, { column: "id" }]);
+
+    res.json(goals);
+  } catch (error) {
+    console.error("GET /goal error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /goal/{id}:
+ *   get:
+ *     summary: Get a single goal by ID
+ *     tags: [Goal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The goal ID
+ *     responses:
+ *       200:
+ *         description: The goal data
+ *       404:
+ *         description: Goal not found
+ */
+router.get("/:id", verifyToken, ledgerAccess("viewer"), validate({ params: IdParams }), async (req, res) => {
+  try {
+    const goal = await knex("goal").where({ id: req.params.id, ledger_id: req.ledger.id }).first();
+
+    if (!goal) {
+      return res.status(404).json({ error: "Goal not found" });
+    }
+
+    res.json(goal);
+  } catch (error) {
+    console.error("GET /goal/:id error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /goal/{id}/progress:
+ *   get:
+ *     summary: Get the progress of a goal
+ *     description: >
+ *       Contributions per month since start_date, the amount saved and still needed, the monthly
+ *       contribution required to reach the target by target_date, and the completion date projected
+ *       from the saving pace of the last `pace_days` days (null while the pace is not positive).
+ *       Amounts are converted to the goal currency.
+ *     tags: [Goal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - $ref: '#/components/parameters/GoalProgressQuery.pace_days'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The goal ID
+ *     responses:
+ *       200:
+ *         description: Goal progress
+ *       404:
+ *         description: Goal not found
+ *       422:
+ *         description: A needed exchange rate is missing
+ */
+router.get(
+  "/:id/progress",
+  verifyToken,
+  ledgerAccess("viewer"),
+  validate({ params: IdParams, query: GoalProgressQuery }),
+  async (req, res) => {
+    try {
+      const goal = await knex("goal").where({ id: req.params.id, ledger_id: req.ledger.id }).first();
+      if (!goal) {
+        return res.status(404).json({ error: "Goal not found" });
+      }
+
+      res.json(await goalProgress(goal, { paceDays: req.query.pace_days }));
+    } catch (error) {
+      if (error instanceof ExchangeRateNotFoundError) {
+        return res.status(422).json({ error: error.message });
+      }
+      console.error("GET /goal/:id/progress error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /goal/{id}:
+ *   put:
+ *     summary: Update a goal
+ *     description: Only the given fields change; send null to unlink the category or the account.
+ *     tags: [Goal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Goal ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GoalUpdateRequest'
+ *     responses:
+ *       200:
+ *         description: Goal updated successfully
+ *       404:
+ *         description: Goal not found
+ *       422:
+ *         description: Validation error
+ */
+router.put(
+  "/:id",
+  verifyToken,
+  ledgerAccess("editor"),
+  validate({ params: IdParams, body: GoalUpdateRequest }),
+  async (req, res) => {
+    try {
+      const current = await knex("goal").where({ id: req.params.id, ledger_id: req.ledger.id }).first();
+      if (!current) {
+        return res.status(404).json({ error: "Goal not found" });
+      }
+
+      const fields = pickGoalFields(req.body);
+
+      const { errors, currency } = await checkGoal(req, fields, current);
+      if (errors.length) {
+        return sendValidationError(res, errors);
+      }
+
+      const [updated] = await knex("goal")
+        .where({ id: current.id })
+        .update({ ...fields, currency, updated_at: knex.fn.now() })
+        .returning("*");
+
+      res.json(updated);
+    } catch (error) {
+      console.error("PUT /goal/:id error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /goal/{id}:
+ *   delete:
+ *     summary: Delete a goal
+ *     description: Linked transactions are not touched.
+ *     tags: [Goal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Goal ID
+ *     responses:
+ *       200:
+ *         description: Goal deleted successfully
+ *       404:
+ *         description: Goal not found
+ */
+router.delete("/:id", verifyToken, ledgerAccess("editor"), validate({ params: IdParams }), async (req, res) => {
+  try {
+    const deleted = await knex("goal").where({ id: req.params.id, ledger_id: req.ledger.id }).del();
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Goal not found" });
+    }
+
+    res.json({ message: "Goal deleted successfully" });
+  } catch (error) {
+    console.error("DELETE /goal/:id error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -5,10 +5,34 @@ const router = express.Router();
 const authUsersRouter = require("./auth_users");
 const categoryRouter = require("./category");
 const transactionRouter = require("./transaction");
+const budgetRouter = require("./budget");
+const recurringTransactionRouter = require("./recurring_transaction");
+const exchangeRateRouter = require("./exchange_rate");
+const accountRouter = require("./account");
+const tagRouter = require("./tag");
+const trashRouter = require("./trash");
+const auditRouter = require("./audit");
+const ledgerRouter = require("./ledger");
+const adminRouter = require("./admin");
+const ruleRouter = require("./rule");
+const syncRouter = require("./sync");
+const goalRouter = require("./goal");
 
 // Route'lara yönlendir
 router.use("/auth_users", authUsersRouter);
 router.use("/category", categoryRouter);
 router.use("/transaction", transactionRouter);
+router.use("/budget", budgetRouter);
+router.use("/recurring_transaction", recurringTransactionRouter);
+router.use("/exchange_rate", exchangeRateRouter);
+router.use("/account", accountRouter);
+router.use("/tag", tagRouter);
+router.use("/trash", trashRouter);
+router.use("/audit", auditRouter);
+router.use("/ledger", ledgerRouter);
+router.use("/admin", adminRouter);
+router.use("/rules", ruleRouter);
+router.use("/sync", syncRouter);
+router.use("/goal", goalRouter);
 
 module.exports = router;
@@ -0,0 +1,628 @@
+const express = require("express");
+const router = express.Router();
+const knex = require("../../db");
+const verifyToken = require("../../middleware/verifyToken.js");
+const validate = require("../../middleware/validate");
+const ledgerAccess = require("../../middleware/ledgerAccess");
+const { IdParams } = require("../../schemas/common").schemas;
+const {
+  LedgerCreateRequest,
+  LedgerInvitationAcceptRequest,
+  LedgerInvitationParams,
+  LedgerInvitationRequest,
+  LedgerMemberParams,
+  LedgerMemberUpdateRequest,
+  LedgerUpdateRequest,
+} = require("../../schemas/ledger");
+const { createInvitation, createLedger, findInvitationByToken } = require("../../services/ledger");
+const { sendMailSafely, templates } = require("../../services/mail");
+
+// üyelik değişiklikleri defter satırı kilitlenerek sıraya sokulur; böylece iki sahip aynı anda
+// birbirini düşürdüğünde ikisi de iki sahip görüp defteri sahipsiz bırakamaz
+const lockLedger = (ledgerId, trx) => trx("ledger").where({ id: ledgerId }).forUpdate().first("id");
+
+// defterde rolü owner olan üye sayısı; son sahip düşürülemez/çıkarılamaz
+const countOwners = async (ledgerId, trx) => {
+  const { count } = await trx("ledger_member")
+    .where({ ledger_id: ledgerId, role: "owner" })
+    .count({ count: "*" })
+    .first();
+  return Number(count);
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Ledger
+ *   description: Shared ledgers that own categories and transactions
+ */
+
+/**
+ * @swagger
+ * /ledger:
+ *   post:
+ *     summary: Create a new ledger
+ *     description: The caller becomes the owner of the ledger.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LedgerCreateRequest'
+ *     responses:
+ *       201:
+ *         description: Ledger created successfully
+ *       422:
+ *         description: Validation error
+ */
+router.post("/", verifyToken, validate({ body: LedgerCreateRequest }), async (req, res) => {
+  try {
+    const ledger = await knex.transaction((trx) => createLedger(req.user.id, req.body.name.trim(), trx));
+    res.status(201).json(ledger);
+  } catch (error) {
+    console.error("POST /ledger error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /ledger:
+ *   get:
+ *     summary: Get the ledgers the user is a member of
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of ledgers with the user's role and the member count
+ */
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const ledgers = await knex("ledger")
+      .join("ledger_member", "ledger_member.ledger_id", "ledger.id")
+      .where("ledger_member.auth_user_id", req.user.id)
+      .select(
+        "ledger.*",
+        "ledger_member.role",
+        knex("ledger_member as m")
+          .whereRaw("m.ledger_id = ledger.id")
+          .count("*")
+          .as("member_count")
+      )
+      .orderBy([{ column: "ledger.created_at" }, { column: "ledger.id" }]);
+
+    res.json(ledgers.map((ledger) => ({ ...ledger, member_count: Number(ledger.member_count) })));
+  } catch (error) {
+    console.error("GET /ledger error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /ledger/invitations/accept:
+ *   post:
+ *     summary: Accept a ledger invitation
+ *     description: The invitation must be addressed to the caller's email address.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LedgerInvitationAcceptRequest'
+ *     responses:
+ *       200:
+ *         description: Invitation accepted; returns the ledger with the caller's role
+ *       403:
+ *         description: Invitation was sent to another email address
+ *       404:
+ *         description: Invitation not found
+ *       410:
+ *         description: Invitation expired or already used
+ */
+router.post(
+  "/invitations/accept",
+  verifyToken,
+  validate({ body: LedgerInvitationAcceptRequest }),
+  async (req, res) => {
+    try {
+      const result = await knex.transaction(async (trx) => {
+        const found = await findInvitationByToken(req.body.token, trx);
+        if (!found) {
+          return { status: 404, error: "Invitation not found" };
+        }
+
+        // aynı token'ın iki kez kabul edilmesini engeller
+        const invitation = await trx("ledger_invitation").where({ id: found.id }).forUpdate().first();
+        if (invitation.accepted_at || new Date(invitation.expires_at) <= new Date()) {
+          return { status: 410, error: "Invitation expired or already used" };
+        }
+
+        const user = await trx("auth_users").where({ id: req.user.id }).first("email");
+        if (!user || user.email.toLowerCase() !== invitation.email) {
+          return { status: 403, error: "Invitation was sent to another email address" };
+        }
+
+        // zaten üyeyse mevcut rolü korunur
+        await trx("ledger_member")
+          .insert({
+            ledger_id: invitation.ledger_id,
+            auth_user_id: req.user.id,
+            role: invitation.role,
+            created_at: knex.fn.now(),
+            updated_at: knex.fn.now(),
+          })
+          .onConflict(["ledger_id", "auth_user_id"])
+          .ignore();
+
+        await trx("ledger_invitation")
+          .where({ id: invitation.id })
+          .update({ accepted_at: knex.fn.now(), accepted_by: req.user.id });
+
+        const ledger = await trx("ledger")
+          .join("ledger_member", "ledger_member.ledger_id", "ledger.id")
+          .where({ "ledger.id": invitation.ledger_id, "ledger_member.auth_user_id": req.user.id })
+          .first("ledger.*", "ledger_member.role");
+        return { ledger };
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.json(result.ledger);
+    } catch (error) {
+      console.error("POST /ledger/invitations/accept error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /ledger/{id}:
+ *   get:
+ *     summary: Get a ledger with its members
+ *     description: Owners also see the pending invitations.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ledger ID
+ *     responses:
+ *       200:
+ *         description: The ledger data
+ *       404:
+ *         description: Ledger not found
+ */
+router.get(
+  "/:id",
+  verifyToken,
+  validate({ params: IdParams }),
+  ledgerAccess("viewer", { param: "id" }),
+  async (req, res) => {
+    try {
+      const ledger = await knex("ledger").where({ id: req.ledger.id }).first();
+
+      const members = await knex("ledger_member")
+        .join("auth_users", "auth_users.id", "ledger_member.auth_user_id")
+        .where("ledger_member.ledger_id", req.ledger.id)
+        .select(
+          "auth_users.id",
+          "auth_users.name",
+          "auth_users.email",
+          "ledger_member.role",
+          "ledger_member.created_at as joined_at"
+        )
+        .orderBy("ledger_member.created_at");
+
+      const result = { ...ledger, role: req.ledger.role, members };
+
+      if (req.ledger.role === "owner") {
+        result.invitations = await knex("ledger_invitation")
+          .where({ ledger_id: req.ledger.id })
+          .whereNull("accepted_at")
+          .where("expires_at", ">", knex.fn.now())
+          .select("id", "email", "role", "invited_by", "expires_at", "created_at")
+          .orderBy("created_at");
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error("GET /ledger/:id error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /ledger/{id}:
+ *   put:
+ *     summary: Rename a ledger
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Ledger ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LedgerUpdateRequest'
+ *     responses:
+ *       200:
+ *         description: Ledger renamed successfully
+ *       403:
+ *         description: Only owners can rename the ledger
+ *       404:
+ *         description: Ledger not found
+ */
+router.put(
+  "/:id",
+  verifyToken,
+  validate({ params: IdParams, body: LedgerUpdateRequest }),
+  ledgerAccess("owner", { param: "id" }),
+  async (req, res) => {
+    try {
+      const [updated] = await knex("ledger")
+        .where({ id: req.ledger.id })
+        .update({ name: req.body.name.trim(), updated_at: knex.fn.now() })
+        .returning("*");
+
+      res.json({ ...updated, role: req.ledger.role });
+    } catch (error) {
+      console.error("PUT /ledger/:id error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /ledger/{id}:
+ *   delete:
+ *     summary: Delete a ledger
+ *     description: Only empty ledgers can be deleted; trashed categories and transactions are purged with it.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Ledger ID
+ *     responses:
+ *       200:
+ *         description: Ledger deleted successfully
+ *       403:
+ *         description: Only owners can delete the ledger
+ *       404:
+ *         description: Ledger not found
+ *       409:
+ *         description: Ledger still has categories or transactions
+ */
+router.delete(
+  "/:id",
+  verifyToken,
+  validate({ params: IdParams }),
+  ledgerAccess("owner", { param: "id" }),
+  async (req, res) => {
+    try {
+      const [category, transaction] = await Promise.all([
+        knex("category").where({ ledger_id: req.ledger.id }).whereNull("deleted_at").first("id"),
+        knex("transaction").where({ ledger_id: req.ledger.id }).whereNull("deleted_at").first("id"),
+      ]);
+
+      if (category || transaction) {
+        return res.status(409).json({ error: "Ledger still has categories or transactions" });
+      }
+
+      await knex("ledger").where({ id: req.ledger.id }).del();
+      res.json({ message: "Ledger deleted successfully" });
+    } catch (error) {
+      console.error("DELETE /ledger/:id error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /ledger/{id}/invitations:
+ *   post:
+ *     summary: Invite someone to the ledger by email
+ *     description: >
+ *       Emails the invitee a single-use token to send to POST /ledger/invitations/accept.
+ *       The token is also returned here, only once.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Ledger ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LedgerInvitationRequest'
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ *       403:
+ *         description: Only owners can invite
+ *       404:
+ *         description: Ledger not found
+ *       409:
+ *         description: The user is already a member
+ *       422:
+ *         description: Validation error
+ */
+router.post(
+  "/:id/invitations",
+  verifyToken,
+  validate({ params: IdParams, body: LedgerInvitationRequest }),
+  ledgerAccess("owner", { param: "id" }),
+  async (req, res) => {
+    try {
+      const email = req.body.email.toLowerCase();
+
+      const member = await knex("ledger_member")
+        .join("auth_users", "auth_users.id", "ledger_member.auth_user_id")
+        .where("ledger_member.ledger_id", req.ledger.id)
+        .whereRaw("lower(auth_users.email) = ?", [email])
+        .first("auth_users.id");
+
+      if (member) {
+        return res.status(409).json({ error: "User is already a member of this ledger" });
+      }
+
+      const invitation = await createInvitation({
+        ledgerId: req.ledger.id,
+        email,
+        role: req.body.role,
+        invitedBy: req.user.id,
+      });
+
+      const inviter = await knex("auth_users").where({ id: req.user.id }).first("name");
+      await sendMailSafely(templates.ledgerInvitation(invitation, req.ledger, inviter));
+
+      res.status(201).json(invitation);
+    } catch (error) {
+      console.error("POST /ledger/:id/invitations error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /ledger/{id}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Ledger ID
+ *       - in: path
+ *         name: invitationId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       403:
+ *         description: Only owners can revoke invitations
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete(
+  "/:id/invitations/:invitationId",
+  verifyToken,
+  validate({ params: LedgerInvitationParams }),
+  ledgerAccess("owner", { param: "id" }),
+  async (req, res) => {
+    try {
+      const deleted = await knex("ledger_invitation")
+        .where({ id: req.params.invitationId, ledger_id: req.ledger.id })
+        .whereNull("accepted_at")
+        .del();
+
+      if (!deleted) {
+        return res.status(404).json({ error: "Invitation not found" });
+      }
+
+      res.json({ message: "Invitation revoked successfully" });
+    } catch (error) {
+      console.error("DELETE /ledger/:id/invitations/:invitationId error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /ledger/{id}/members/{userId}:
+ *   put:
+ *     summary: Change a member's role
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Ledger ID
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Member's user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LedgerMemberUpdateRequest'
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       403:
+ *         description: Only owners can change roles
+ *       404:
+ *         description: Member not found
+ *       409:
+ *         description: The ledger must keep at least one owner
+ */
+router.put(
+  "/:id/members/:userId",
+  verifyToken,
+  validate({ params: LedgerMemberParams, body: LedgerMemberUpdateRequest }),
+  ledgerAccess("owner", { param: "id" }),
+  async (req, res) => {
+    try {
+      const result = await knex.transaction(async (trx) => {
+        await lockLedger(req.ledger.id, trx);
+        const member = await trx("ledger_member")
+          .where({ ledger_id: req.ledger.id, auth_user_id: req.params.userId })
+          .forUpdate()
+          .first();
+        if (!member) {
+          return { status: 404, error: "Member not found" };
+        }
+
+        if (member.role === "owner" && req.body.role !== "owner" && (await countOwners(req.ledger.id, trx)) === 1) {
+          return { status: 409, error: "Ledger must keep at least one owner" };
+        }
+
+        const [updated] = await trx("ledger_member")
+          .where({ ledger_id: req.ledger.id, auth_user_id: req.params.userId })
+          .update({ role: req.body.role, updated_at: knex.fn.now() })
+          .returning("*");
+        return { member: updated };
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.json(result.member);
+    } catch (error) {
+      console.error("PUT /ledger/:id/members/:userId error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /ledger/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member or leave the ledger
+ *     description: Owners can remove anyone; other members can only remove themselves.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Ledger ID
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Member's user ID
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Only owners can remove other members
+ *       404:
+ *         description: Member not found
+ *       409:
+ *         description: The last owner cannot leave the ledger
+ */
+router.delete(
+  "/:id/members/:userId",
+  verifyToken,
+  validate({ params: LedgerMemberParams }),
+  ledgerAccess("viewer", { param: "id" }),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      if (userId !== req.user.id && req.ledger.role !== "owner") {
+        return res.status(403).json({ error: "Requires the owner role in this ledger" });
+      }
+
+      const result = await knex.transaction(async (trx) => {
+        await lockLedger(req.ledger.id, trx);
+        const member = await trx("ledger_member")
+          .where({ ledger_id: req.ledger.id, auth_user_id: userId })
+          .forUpdate()
+          .first();
+        if (!member) {
+          return { status: 404, error: "Member not found" };
+        }
+
+        if (member.role === "owner" && (await countOwners(req.ledger.id, trx)) === 1) {
+          return { status: 409, error: "Ledger must keep at least one owner" };
+        }
+
+        await trx("ledger_member").where({ ledger_id: req.ledger.id, auth_user_id: userId }).del();
+        return {};
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.json({ message: "Member removed successfully" });
+    } catch (error) {
+      console.error("DELETE /ledger/:id/members/:userId error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
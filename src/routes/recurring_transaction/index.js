@@ -0,0 +1,318 @@
+const express = require("express");
+const router = express.Router();
+const knex = require("../../db");
+const { v4: uuidv4 } = require("uuid");
+const verifyToken = require("../../middleware/verifyToken.js");
+const validate = require("../../middleware/validate");
+const { sendValidationError } = validate;
+const { IdParams } = require("../../schemas/common").schemas;
+const {
+  RecurringTransactionCreateRequest,
+  RecurringTransactionUpdateRequest,
+} = require("../../schemas/recurring_transaction");
+const { computeNextRunDate, materializeDue } = require("../../services/recurring");
+const { resolveAccount } = require("../../services/account");
+const { hasRole } = require("../../services/ledger");
+
+/**
+ * @swagger
+ * tags:
+ *   name: RecurringTransaction
+ *   description: Repeating transactions (rent, salary, subscriptions)
+ */
+
+/**
+ * Şemanın ifade edemediği kontroller: tarih sırası, kategori erişimi ve kuralın yazacağı hesap. İşlemin para
+ * birimi hesabınkiyle aynı olmalı; hesap istekteki, güncellemede gönderilmezse mevcut kuralınki, yoksa
+ * varsayılan hesaptır. Hatalar ile kaydedilecek account_id ve para birimi döner.
+ */
+const checkRule = async (body, userId, existing) => {
+  const errors = [];
+  const accountId = body.account_id !== undefined ? body.account_id : existing && existing.account_id;
+
+  if (body.day_of_month !== undefined && body.day_of_month !== null && body.frequency !== "monthly") {
+    errors.push({ field: "day_of_month", message: "is only allowed for monthly rules" });
+  }
+  if (body.end_date && body.end_date < body.start_date) {
+    errors.push({ field: "end_date", message: "must not be before start_date" });
+  }
+
+  // paylaşılan defterlerdeki kategoriler de kullanılabilir
+  const category = await knex("category")
+    .join("ledger_member", "ledger_member.ledger_id", "category.ledger_id")
+    .where({ "category.id": body.category_id, "ledger_member.auth_user_id": userId })
+    .whereNull("category.deleted_at")
+    .first("category.id", "ledger_member.role");
+  if (!category) {
+    errors.push({ field: "category_id", message: "must reference a category in one of your ledgers" });
+  } else if (!hasRole(category.role, "editor")) {
+    // kural o deftere işlem yazacağı için en az editor olunmalı
+    errors.push({ field: "category_id", message: "requires the editor role in the category's ledger" });
+  }
+
+  const account = await resolveAccount(userId, accountId);
+  if (!account) {
+    errors.push({ field: "account_id", message: "must reference one of your accounts" });
+  } else if (body.currency && body.currency !== account.currency) {
+    errors.push({ field: "currency", message: `must match the account currency (${account.currency})` });
+  }
+
+  return { errors, account_id: accountId || null, currency: body.currency || (account && account.currency) };
+};
+
+const ruleFields = (body) => ({
+  category_id: body.category_id,
+  title: body.title,
+  description: body.description,
+  amount: body.amount,
+  frequency: body.frequency,
+  interval: body.interval,
+  day_of_month: body.frequency === "monthly" ? body.day_of_month || null : null,
+  start_date: body.start_date,
+  end_date: body.end_date || null,
+  max_occurrences: body.max_occurrences || null,
+  active: body.active,
+});
+
+/**
+ * @swagger
+ * /recurring_transaction:
+ *   post:
+ *     summary: Create a recurring transaction rule
+ *     tags: [RecurringTransaction]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecurringTransactionCreateRequest'
+ *     responses:
+ *       201:
+ *         description: Recurring transaction created successfully
+ *       422:
+ *         description: Validation error
+ */
+router.post("/", verifyToken, validate({ body: RecurringTransactionCreateRequest }), async (req, res) => {
+  try {
+    const { errors, account_id, currency } = await checkRule(req.body, req.user.id);
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const rule = { id: uuidv4(), ...ruleFields(req.body), account_id, currency };
+
+    const newRule = await knex("recurring_transaction")
+      .insert({
+        ...rule,
+        auth_user_id: req.user.id,
+        next_run_date: await computeNextRunDate(rule),
+        created_at: knex.fn.now(),
+        updated_at: knex.fn.now(),
+      })
+      .returning("*");
+
+    res.status(201).json(newRule[0]);
+  } catch (error) {
+    console.error("POST /recurring_transaction error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /recurring_transaction:
+ *   get:
+ *     summary: Get all recurring transaction rules
+ *     tags: [RecurringTransaction]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of recurring transactions
+ */
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const rules = await knex("recurring_transaction")
+      .where({ auth_user_id: req.user.id })
+      .orderBy("created_at", "asc");
+
+    res.json(rules);
+  } catch (error) {
+    console.error("GET /recurring_transaction error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /recurring_transaction/run:
+ *   post:
+ *     summary: Generate due transactions for the current user now
+ *     tags: [RecurringTransaction]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of transactions created
+ */
+router.post("/run", verifyToken, async (req, res) => {
+  try {
+    const created = await materializeDue({ userId: req.user.id });
+
+    res.json({ created });
+  } catch (error) {
+    console.error("POST /recurring_transaction/run error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /recurring_transaction/{id}:
+ *   get:
+ *     summary: Get a single recurring transaction rule by ID
+ *     tags: [RecurringTransaction]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The recurring transaction ID
+ *     responses:
+ *       200:
+ *         description: The recurring transaction data
+ *       404:
+ *         description: Recurring transaction not found
+ */
+router.get("/:id", verifyToken, validate({ params: IdParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const rule = await knex("recurring_transaction")
+      .where({ id, auth_user_id: req.user.id })
+      .first();
+
+    if (!rule) {
+      return res.status(404).json({ error: "Recurring transaction not found" });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    console.error("GET /recurring_transaction/:id error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /recurring_transaction/{id}:
+ *   put:
+ *     summary: Update a recurring transaction rule
+ *     tags: [RecurringTransaction]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Recurring transaction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecurringTransactionUpdateRequest'
+ *     responses:
+ *       200:
+ *         description: Recurring transaction updated successfully
+ *       404:
+ *         description: Recurring transaction not found
+ *       422:
+ *         description: Validation error
+ */
+router.put(
+  "/:id",
+  verifyToken,
+  validate({ params: IdParams, body: RecurringTransactionUpdateRequest }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const existing = await knex("recurring_transaction")
+        .where({ id, auth_user_id: req.user.id })
+        .first();
+      if (!existing) {
+        return res.status(404).json({ error: "Recurring transaction not found" });
+      }
+
+      const { errors, account_id, currency } = await checkRule(req.body, req.user.id, existing);
+      if (errors.length) {
+        return sendValidationError(res, errors);
+      }
+
+      // daha önce üretilmiş günler yeniden üretilmez, bir sonraki tarih yeniden hesaplanır
+      const rule = { id, ...ruleFields(req.body), account_id, currency };
+
+      const updated = await knex("recurring_transaction")
+        .where({ id, auth_user_id: req.user.id })
+        .update({
+          ...rule,
+          next_run_date: await computeNextRunDate(rule),
+          updated_at: knex.fn.now(),
+        })
+        .returning("*");
+
+      res.json(updated[0]);
+    } catch (error) {
+      console.error("PUT /recurring_transaction/:id error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /recurring_transaction/{id}:
+ *   delete:
+ *     summary: Delete a recurring transaction rule (generated transactions are kept)
+ *     tags: [RecurringTransaction]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Recurring transaction ID
+ *     responses:
+ *       200:
+ *         description: Recurring transaction deleted successfully
+ *       404:
+ *         description: Recurring transaction not found
+ */
+router.delete("/:id", verifyToken, validate({ params: IdParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = await knex("recurring_transaction")
+      .where({ id, auth_user_id: req.user.id })
+      .del();
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Recurring transaction not found" });
+    }
+
+    res.json({ message: "Recurring transaction deleted successfully" });
+  } catch (error) {
+    console.error("DELETE /recurring_transaction/:id error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,484 @@
+const express = require("express");
+const router = express.Router();
+const knex = require("../../db");
+const { v4: uuidv4 } = require("uuid");
+const verifyToken = require("../../middleware/verifyToken.js");
+const ledgerAccess = require("../../middleware/ledgerAccess");
+const validate = require("../../middleware/validate");
+const { sendValidationError } = validate;
+const { IdParams } = require("../../schemas/common").schemas;
+const { RuleCreateRequest, RuleDryRunQuery, RuleUpdateRequest } = require("../../schemas/rule");
+const { auditedUpdate } = require("../../services/audit");
+const { findRuleChanges, ruleDefinitionErrors } = require("../../services/rule");
+
+const RULE_FIELDS = Object.keys(RuleCreateRequest.properties);
+
+// büyük geçmişlerde whereIn parametre sınırına takılmamak için
+const CHUNK_SIZE = 1000;
+
+const chunk = (list, size = CHUNK_SIZE) =>
+  Array.from({ length: Math.ceil(list.length / size) }, (_, index) => list.slice(index * size, (index + 1) * size));
+
+// kural ve hedef kategorinin tipi (silinmiş kategoriye giden eylem yok sayılır)
+const findRule = async (ledgerId, id) => {
+  const rule = await knex("rule")
+    .leftJoin("category", function () {
+      this.on("category.id", "rule.set_category_id").andOnNull("category.deleted_at");
+    })
+    .where({ "rule.id": id, "rule.ledger_id": ledgerId })
+    .first("rule.*", "category.type as set_category_type");
+
+  return rule && { ...rule, set_category_id: rule.set_category_type ? rule.set_category_id : null };
+};
+
+/**
+ * Kuralın başvurduğu kayıtlar kontrol edilir: kategori bu defterde, etiket ve hesap kullanıcının olmalı.
+ * Hatalar ve hedef kategorinin tipi döner.
+ */
+const checkReferences = async (req, rule) => {
+  const errors = [];
+  let categoryType = null;
+
+  if (rule.set_category_id) {
+    const category = await knex("category")
+      .where({ id: rule.set_category_id, ledger_id: req.ledger.id })
+      .whereNull("deleted_at")
+      .first("type");
+    if (category) {
+      categoryType = category.type;
+    } else {
+      errors.push({ field: "set_category_id", message: "must reference a category in this ledger" });
+    }
+  }
+  if (rule.add_tag_id) {
+    const tag = await knex("tag").where({ id: rule.add_tag_id, auth_user_id: req.user.id }).first("id");
+    if (!tag) {
+      errors.push({ field: "add_tag_id", message: "must reference one of your tags" });
+    }
+  }
+  if (rule.account_id) {
+    const account = await knex("account").where({ id: rule.account_id, auth_user_id: req.user.id }).first("id");
+    if (!account) {
+      errors.push({ field: "account_id", message: "must reference one of your accounts" });
+    }
+  }
+
+  return { errors, categoryType };
+};
+
+const pickRuleFields = (body) =>
+  Object.fromEntries(RULE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+const dryRunResponse = (changes, limit) => ({
+  matched: changes.length,
+  transactions: changes.slice(0, limit).map(({ transaction, changes: fields, addTag }) => ({
+    ...transaction,
+    changes: fields,
+    add_tag: addTag,
+  })),
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Rule
+ *   description: Rules that categorize, tag and rename transactions automatically
+ */
+
+/**
+ * @swagger
+ * /rules:
+ *   post:
+ *     summary: Create a rule
+ *     description: >
+ *       A rule needs at least one condition and one action. Active rules run in priority order
+ *       on new and imported transactions; the first matching rule decides the category and the
+ *       title, and tags from every matching rule are added.
+ *     tags: [Rule]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RuleCreateRequest'
+ *     responses:
+ *       201:
+ *         description: Rule created successfully
+ *       422:
+ *         description: Validation error
+ */
+router.post("/", verifyToken, ledgerAccess("editor"), validate({ body: RuleCreateRequest }), async (req, res) => {
+  try {
+    const fields = pickRuleFields(req.body);
+
+    const definitionErrors = ruleDefinitionErrors(fields);
+    if (definitionErrors.length) {
+      return sendValidationError(res, definitionErrors);
+    }
+    const { errors } = await checkReferences(req, fields);
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const [rule] = await knex("rule")
+      .insert({
+        ...fields,
+        id: uuidv4(),
+        ledger_id: req.ledger.id,
+        auth_user_id: req.user.id,
+        created_at: knex.fn.now(),
+        updated_at: knex.fn.now(),
+      })
+      .returning("*");
+
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error("POST /rules error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /rules:
+ *   get:
+ *     summary: Get all rules of the ledger in priority order
+ *     tags: [Rule]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *     responses:
+ *       200:
+ *         description: List of rules
+ */
+router.get("/", verifyToken, ledgerAccess("viewer"), async (req, res) => {
+  try {
+    const rules = await knex("rule")
+      .where({ ledger_id: req.ledger.id })
+      .orderBy([{ column: "priority" }, { column: "created_at" }, { column: "id" }]);
+
+    res.json(rules);
+  } catch (error) {
+    console.error("GET /rules error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /rules/dry-run:
+ *   post:
+ *     summary: Show which existing transactions an unsaved rule would change
+ *     tags: [Rule]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - $ref: '#/components/parameters/RuleDryRunQuery.limit'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RuleCreateRequest'
+ *     responses:
+ *       200:
+ *         description: Number of transactions that would change and examples with their changes
+ *       422:
+ *         description: Validation error
+ */
+router.post(
+  "/dry-run",
+  verifyToken,
+  ledgerAccess("viewer"),
+  validate({ query: RuleDryRunQuery, body: RuleCreateRequest }),
+  async (req, res) => {
+    try {
+      const fields = pickRuleFields(req.body);
+
+      const definitionErrors = ruleDefinitionErrors(fields);
+      if (definitionErrors.length) {
+        return sendValidationError(res, definitionErrors);
+      }
+      const { errors, categoryType } = await checkReferences(req, fields);
+      if (errors.length) {
+        return sendValidationError(res, errors);
+      }
+
+      const changes = await findRuleChanges({ ...fields, set_category_type: categoryType }, req.ledger.id);
+      res.json(dryRunResponse(changes, req.query.limit));
+    } catch (error) {
+      console.error("POST /rules/dry-run error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /rules/{id}:
+ *   get:
+ *     summary: Get a single rule by ID
+ *     tags: [Rule]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The rule ID
+ *     responses:
+ *       200:
+ *         description: The rule data
+ *       404:
+ *         description: Rule not found
+ */
+router.get("/:id", verifyToken, ledgerAccess("viewer"), validate({ params: IdParams }), async (req, res) => {
+  try {
+    const rule = await knex("rule").where({ id: req.params.id, ledger_id: req.ledger.id }).first();
+
+    if (!rule) {
+      return res.status(404).json({ error: "Rule not found" });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    console.error("GET /rules/:id error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /rules/{id}:
+ *   put:
+ *     summary: Update a rule
+ *     description: Only the given fields change; send null to clear a condition or an action.
+ *     tags: [Rule]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Rule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RuleUpdateRequest'
+ *     responses:
+ *       200:
+ *         description: Rule updated successfully
+ *       404:
+ *         description: Rule not found
+ *       422:
+ *         description: Validation error
+ */
+router.put(
+  "/:id",
+  verifyToken,
+  ledgerAccess("editor"),
+  validate({ params: IdParams, body: RuleUpdateRequest }),
+  async (req, res) => {
+    try {
+      const current = await knex("rule").where({ id: req.params.id, ledger_id: req.ledger.id }).first();
+      if (!current) {
+        return res.status(404).json({ error: "Rule not found" });
+      }
+
+      const fields = pickRuleFields(req.body);
+
+      const definitionErrors = ruleDefinitionErrors({ ...current, ...fields });
+      if (definitionErrors.length) {
+        return sendValidationError(res, definitionErrors);
+      }
+      const { errors } = await checkReferences(req, fields);
+      if (errors.length) {
+        return sendValidationError(res, errors);
+      }
+
+      const [updated] = await knex("rule")
+        .where({ id: current.id })
+        .update({ ...fields, updated_at: knex.fn.now() })
+        .returning("*");
+
+      res.json(updated);
+    } catch (error) {
+      console.error("PUT /rules/:id error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /rules/{id}:
+ *   delete:
+ *     summary: Delete a rule
+ *     description: Transactions already changed by the rule keep their changes.
+ *     tags: [Rule]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Rule ID
+ *     responses:
+ *       200:
+ *         description: Rule deleted successfully
+ *       404:
+ *         description: Rule not found
+ */
+router.delete("/:id", verifyToken, ledgerAccess("editor"), validate({ params: IdParams }), async (req, res) => {
+  try {
+    const deleted = await knex("rule").where({ id: req.params.id, ledger_id: req.ledger.id }).del();
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Rule not found" });
+    }
+
+    res.json({ message: "Rule deleted successfully" });
+  } catch (error) {
+    console.error("DELETE /rules/:id error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /rules/{id}/dry-run:
+ *   post:
+ *     summary: Show which existing transactions a rule would change
+ *     description: Transfers and deleted transactions are never changed by rules.
+ *     tags: [Rule]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - $ref: '#/components/parameters/RuleDryRunQuery.limit'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Rule ID
+ *     responses:
+ *       200:
+ *         description: Number of transactions that would change and examples with their changes
+ *       404:
+ *         description: Rule not found
+ */
+router.post(
+  "/:id/dry-run",
+  verifyToken,
+  ledgerAccess("viewer"),
+  validate({ params: IdParams, query: RuleDryRunQuery }),
+  async (req, res) => {
+    try {
+      const rule = await findRule(req.ledger.id, req.params.id);
+      if (!rule) {
+        return res.status(404).json({ error: "Rule not found" });
+      }
+
+      const changes = await findRuleChanges(rule, req.ledger.id);
+      res.json({ rule_id: rule.id, ...dryRunResponse(changes, req.query.limit) });
+    } catch (error) {
+      console.error("POST /rules/:id/dry-run error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /rules/{id}/apply:
+ *   post:
+ *     summary: Apply a rule to existing transactions
+ *     description: >
+ *       Changes every transaction the dry run lists, in one database transaction. The rule is
+ *       applied on its own, regardless of the priority of other rules; inactive rules can be applied too.
+ *     tags: [Rule]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Rule ID
+ *     responses:
+ *       200:
+ *         description: Number of updated and tagged transactions
+ *       404:
+ *         description: Rule not found
+ */
+router.post("/:id/apply", verifyToken, ledgerAccess("editor"), validate({ params: IdParams }), async (req, res) => {
+  try {
+    const rule = await findRule(req.ledger.id, req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: "Rule not found" });
+    }
+
+    const result = await knex.transaction(async (trx) => {
+      const changes = await findRuleChanges(rule, req.ledger.id, trx);
+
+      // aynı alanları değişen işlemler tek update ile güncellenir
+      const groups = new Map();
+      for (const { transaction, changes: fields } of changes) {
+        const key = Object.keys(fields).sort().join(",");
+        if (!key) continue;
+        if (!groups.has(key)) {
+          groups.set(key, { fields, ids: [] });
+        }
+        groups.get(key).ids.push(transaction.id);
+      }
+
+      let updated = 0;
+      for (const { fields, ids } of groups.values()) {
+        for (const part of chunk(ids)) {
+          const rows = await auditedUpdate(trx, req, "transaction", (query) => query.whereIn("id", part), {
+            ...fields,
+            updated_at: knex.fn.now(),
+          });
+          updated += rows.length;
+        }
+      }
+
+      const toTag = changes.filter(({ addTag }) => addTag).map(({ transaction }) => transaction.id);
+      for (const part of chunk(toTag)) {
+        await trx("transaction_tag")
+          .insert(part.map((transactionId) => ({ transaction_id: transactionId, tag_id: rule.add_tag_id })))
+          .onConflict(["transaction_id", "tag_id"])
+          .ignore();
+      }
+
+      return { matched: changes.length, updated, tagged: toTag.length };
+    });
+
+    res.json({ rule_id: rule.id, ...result });
+  } catch (error) {
+    console.error("POST /rules/:id/apply error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require("express");
+const router = express.Router();
+const verifyToken = require("../../middleware/verifyToken.js");
+const ledgerAccess = require("../../middleware/ledgerAccess");
+const validate = require("../../middleware/validate");
+const { sendValidationError } = validate;
+const { SyncQuery } = require("../../schemas/sync");
+const { getChanges } = require("../../services/sync");
+const { InvalidCursorError } = require("../../utils/pagination");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Sync
+ *   description: Incremental synchronization for offline clients
+ */
+
+/**
+ * @swagger
+ * /sync:
+ *   get:
+ *     summary: Get changed categories and transactions since a cursor
+ *     description: >
+ *       Returns every category and transaction of the ledger that was created, updated, moved to the
+ *       trash or restored since `since`, in its current state (trashed ones have `deleted_at` set), and
+ *       `purged` tombstones for records that were permanently deleted. Store `cursor` and send it as
+ *       `since` next time; while `has_more` is true, call again right away. A record may be returned
+ *       more than once, so apply changes as upserts.
+ *     tags: [Sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - $ref: '#/components/parameters/SyncQuery.since'
+ *       - $ref: '#/components/parameters/SyncQuery.limit'
+ *     responses:
+ *       200:
+ *         description: Changes, the next cursor and whether more changes are waiting
+ *       400:
+ *         description: Invalid query parameter or cursor
+ */
+router.get("/", verifyToken, ledgerAccess("viewer"), validate({ query: SyncQuery }), async (req, res) => {
+  try {
+    res.json(await getChanges(req.ledger.id, req.query));
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return sendValidationError(res, [{ field: "since", message: error.message }], 400);
+    }
+    console.error("GET /sync error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,320 @@
+const express = require("express");
+const router = express.Router();
+const knex = require("../../db");
+const { v4: uuidv4 } = require("uuid");
+const verifyToken = require("../../middleware/verifyToken.js");
+const validate = require("../../middleware/validate");
+const { sendValidationError } = validate;
+const { IdParams } = require("../../schemas/common").schemas;
+const {
+  TagCreateRequest,
+  TagListQuery,
+  TagMergeRequest,
+  TagUpdateRequest,
+} = require("../../schemas/tag");
+
+// tag (auth_user_id, lower(name)) unique index'i
+const isDuplicateName = (error) => error.code === "23505";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tag
+ *   description: Free-form labels on transactions, independent of categories
+ */
+
+/**
+ * @swagger
+ * /tag:
+ *   post:
+ *     summary: Create a new tag
+ *     tags: [Tag]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagCreateRequest'
+ *     responses:
+ *       201:
+ *         description: Tag created successfully
+ *       409:
+ *         description: A tag with this name already exists
+ *       422:
+ *         description: Validation error
+ */
+router.post("/", verifyToken, validate({ body: TagCreateRequest }), async (req, res) => {
+  try {
+    const newTag = await knex("tag")
+      .insert({
+        id: uuidv4(),
+        auth_user_id: req.user.id,
+        name: req.body.name.trim(),
+        created_at: knex.fn.now(),
+        updated_at: knex.fn.now(),
+      })
+      .returning("*");
+
+    res.status(201).json(newTag[0]);
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: "Tag already exists" });
+    }
+    console.error("POST /tag error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /tag:
+ *   get:
+ *     summary: Get all tags with the number of tagged transactions
+ *     tags: [Tag]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TagListQuery.name'
+ *     responses:
+ *       200:
+ *         description: List of tags
+ *       400:
+ *         description: Invalid path or query parameter
+ */
+router.get("/", verifyToken, validate({ query: TagListQuery }), async (req, res) => {
+  try {
+    let query = knex("tag")
+      .leftJoin("transaction_tag", "transaction_tag.tag_id", "tag.id")
+      .leftJoin("transaction", function () {
+        this.on("transaction.id", "transaction_tag.transaction_id").andOnNull("transaction.deleted_at");
+      })
+      .where("tag.auth_user_id", req.user.id)
+      .groupBy("tag.id")
+      .select("tag.*")
+      .count({ transaction_count: "transaction.id" })
+      .orderBy("tag.name");
+
+    if (req.query.name) {
+      query = query.andWhere("tag.name", "ilike", `%${req.query.name}%`);
+    }
+
+    const tags = await query;
+    res.json(tags.map((tag) => ({ ...tag, transaction_count: Number(tag.transaction_count) })));
+  } catch (error) {
+    console.error("GET /tag error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /tag/{id}:
+ *   get:
+ *     summary: Get a single tag by ID
+ *     tags: [Tag]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The tag ID
+ *     responses:
+ *       200:
+ *         description: The tag data
+ *       404:
+ *         description: Tag not found
+ */
+router.get("/:id", verifyToken, validate({ params: IdParams }), async (req, res) => {
+  try {
+    const tag = await knex("tag")
+      .where({ id: req.params.id, auth_user_id: req.user.id })
+      .first();
+
+    if (!tag) {
+      return res.status(404).json({ error: "Tag not found" });
+    }
+
+    res.json(tag);
+  } catch (error) {
+    console.error("GET /tag/:id error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /tag/{id}:
+ *   put:
+ *     summary: Rename a tag
+ *     tags: [Tag]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Tag ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagUpdateRequest'
+ *     responses:
+ *       200:
+ *         description: Tag renamed successfully
+ *       404:
+ *         description: Tag not found
+ *       409:
+ *         description: Another tag already has this name; merge them instead
+ */
+router.put("/:id", verifyToken, validate({ params: IdParams, body: TagUpdateRequest }), async (req, res) => {
+  try {
+    const updated = await knex("tag")
+      .where({ id: req.params.id, auth_user_id: req.user.id })
+      .update({ name: req.body.name.trim(), updated_at: knex.fn.now() })
+      .returning("*");
+
+    if (!updated.length) {
+      return res.status(404).json({ error: "Tag not found" });
+    }
+
+    res.json(updated[0]);
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: "Tag already exists" });
+    }
+    console.error("PUT /tag/:id error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /tag/{id}/merge:
+ *   post:
+ *     summary: Merge other tags into this tag
+ *     description: Transactions tagged with any of the source tags get this tag instead; the source tags are deleted.
+ *     tags: [Tag]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Target tag ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagMergeRequest'
+ *     responses:
+ *       200:
+ *         description: Tags merged successfully
+ *       404:
+ *         description: Tag not found
+ *       422:
+ *         description: Validation error
+ */
+router.post("/:id/merge", verifyToken, validate({ params: IdParams, body: TagMergeRequest }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const sourceIds = [...new Set(req.body.source_ids)];
+
+    if (sourceIds.includes(id)) {
+      return sendValidationError(res, [{ field: "source_ids", message: "must not contain the target tag" }]);
+    }
+
+    const result = await knex.transaction(async (trx) => {
+      const tags = await trx("tag")
+        .where({ auth_user_id: req.user.id })
+        .whereIn("id", [id, ...sourceIds])
+        .forUpdate()
+        .select("id");
+
+      if (!tags.some((tag) => tag.id === id)) {
+        return { status: 404, error: "Tag not found" };
+      }
+      if (tags.length !== sourceIds.length + 1) {
+        return {
+          status: 422,
+          details: [{ field: "source_ids", message: "must reference your tags" }],
+        };
+      }
+
+      const moved = await trx.raw(
+        `insert into transaction_tag (transaction_id, tag_id)
+         select distinct transaction_id, ? from transaction_tag where tag_id = any(?::uuid[])
+         on conflict do nothing`,
+        [id, sourceIds]
+      );
+      await trx("tag").whereIn("id", sourceIds).del();
+
+      const target = await trx("tag").where({ id }).first();
+      return { tag: target, moved: moved.rowCount };
+    });
+
+    if (result.details) {
+      return sendValidationError(res, result.details, result.status);
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ ...result.tag, merged: sourceIds.length, transactions_retagged: result.moved });
+  } catch (error) {
+    console.error("POST /tag/:id/merge error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /tag/{id}:
+ *   delete:
+ *     summary: Delete a tag
+ *     description: The tag is removed from its transactions; the transactions themselves are kept.
+ *     tags: [Tag]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Tag ID
+ *     responses:
+ *       200:
+ *         description: Tag deleted successfully
+ *       404:
+ *         description: Tag not found
+ */
+router.delete("/:id", verifyToken, validate({ params: IdParams }), async (req, res) => {
+  try {
+    const deleted = await knex("tag")
+      .where({ id: req.params.id, auth_user_id: req.user.id })
+      .del();
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Tag not found" });
+    }
+
+    res.json({ message: "Tag deleted successfully" });
+  } catch (error) {
+    console.error("DELETE /tag/:id error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,66 @@ const express = require("express");
 const router = express.Router();
 const knex = require("../../db");
 const { v4: uuidv4 } = require("uuid");
+const multer = require("multer");
+const { pipeline } = require("stream");
 const verifyToken = require("../../middleware/verifyToken.js");
+const ledgerAccess = require("../../middleware/ledgerAccess");
+const validate = require("../../middleware/validate");
+const { sendValidationError, validationErrors } = validate;
+const { IdParams } = require("../../schemas/common").schemas;
+const {
+  TransactionAttachmentParams,
+  TransactionBulkRequest,
+  TransactionCreateRequest,
+  TransactionExportQuery,
+  TransactionImportForm,
+  TransactionListQuery,
+  TransactionSearchQuery,
+  TransactionSummaryQuery,
+  TransactionUpdateRequest,
+} = require("../../schemas/transaction");
+const {
+  detectFormat,
+  parseCsv,
+  parseOfx,
+} = require("../../services/statementImport");
+const {
+  EXPORT_FORMATS,
+  createExportStream,
+} = require("../../services/transactionExport");
+const {
+  ExchangeRateNotFoundError,
+  createConverter,
+  getUserCurrency,
+  isCurrency,
+} = require("../../services/currency");
+const { resolveAccount } = require("../../services/account");
+const {
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_TYPES,
+  detectContentType,
+  saveAttachment,
+  sweepDeletedAttachments,
+} = require("../../services/attachment");
+const { auditedInsert, auditedUpdate } = require("../../services/audit");
+const { ancestorsById } = require("../../services/category");
+const { evaluateRules, loadRules } = require("../../services/rule");
+const {
+  TransactionOperationError,
+  createTransaction,
+  deleteTransactions,
+  recategorizeTransactions,
+  updateTransaction,
+} = require("../../services/transaction");
+const { StorageObjectNotFoundError, getStorage } = require("../../services/storage");
+const { etag } = require("../../services/sync");
+const { attachTags, whereHasTag } = require("../../services/tag");
+const {
+  InvalidCursorError,
+  countRows,
+  pageMeta,
+  paginate,
+} = require("../../utils/pagination");
 
 /**
  * @swagger
@@ -11,58 +70,96 @@ const verifyToken = require("../../middleware/verifyToken.js");
  *   description: Transaction management
  */
 
+// tekil route'larda servis hatası HTTP cevabına çevrilir
+const sendOperationError = (res, error) => {
+  if (error.current) {
+    return res
+      .status(error.status)
+      .set("ETag", etag(error.current))
+      .json({ error: error.message, current: error.current });
+  }
+  return error.details
+    ? sendValidationError(res, error.details, error.status)
+    : res.status(error.status).json({ error: error.message });
+};
+
 /**
  * @swagger
  * /transaction:
  *   post:
  *     summary: Create a new transaction
+ *     description: >
+ *       Active rules of the ledger run on the new transaction; the category and the title
+ *       given in the request take precedence over the rules. applied_rules lists the rules that changed it.
  *     tags: [Transaction]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - amount
- *               - description
- *               - category_id
- *             properties:
- *               amount:
- *                 type: number
- *               description:
- *                 type: string
- *               category_id:
- *                 type: string
+ *             $ref: '#/components/schemas/TransactionCreateRequest'
  *     responses:
  *       201:
  *         description: Transaction created successfully
+ *       422:
+ *         description: Validation error
  */
-router.post("/", verifyToken, async (req, res) => {
+router.post("/", verifyToken, ledgerAccess("editor"), validate({ body: TransactionCreateRequest }), async (req, res) => {
   try {
-    const { amount, description, category_id } = req.body;
-
-    const newTransaction = await knex("transaction")
-      .insert({
-        id: uuidv4(),
-        amount,
-        description,
-        category_id,
-        auth_user_id: req.user.id,
-        created_at: knex.fn.now(),
-        updated_at: knex.fn.now(),
-      })
-      .returning("*");
-
-    res.status(201).json(newTransaction[0]);
+    const newTransaction = await knex.transaction((trx) => createTransaction(trx, req, req.body));
+    res.status(201).json(newTransaction);
   } catch (error) {
+    if (error instanceof TransactionOperationError) {
+      return sendOperationError(res, error);
+    }
     console.error("POST /transaction error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// dönüşüm için hedef para birimi: ?currency= ya da kullanıcının varsayılanı
+const targetCurrency = async (req) =>
+  isCurrency(req.query.currency) ? req.query.currency : getUserCurrency(req.user.id);
+
+// GET /transaction ve export tarafından ortak kullanılan filtreler
+const applyTransactionFilters = (query, params) => {
+  const { description, from, to, minAmount, maxAmount, category_id, account_id, type, tag_id } = params;
+
+  if (description) {
+    query = query.andWhere("transaction.description", "ilike", `%${description}%`);
+  }
+  if (from) {
+    query = query.andWhere("transaction.created_at", ">=", from);
+  }
+  if (to) {
+    query = query.andWhere("transaction.created_at", "<", knex.raw("?::date + interval '1 day'", [to]));
+  }
+  if (minAmount !== undefined) {
+    query = query.andWhere("transaction.amount", ">=", minAmount);
+  }
+  if (maxAmount !== undefined) {
+    query = query.andWhere("transaction.amount", "<=", maxAmount);
+  }
+  if (category_id && category_id.length) {
+    query = query.whereIn("transaction.category_id", category_id);
+  }
+  if (account_id && account_id.length) {
+    query = query.whereIn("transaction.account_id", account_id);
+  }
+  if (type) {
+    query = query.andWhere("transaction.type", type);
+  }
+  if (tag_id && tag_id.length) {
+    query = whereHasTag(query, tag_id);
+  }
+
+  return query;
+};
+
 /**
  * @swagger
  * /transaction:
@@ -72,68 +169,863 @@ router.post("/", verifyToken, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *       - in: query
- *         name: pageSize
- *         schema:
- *           type: integer
- *       - in: query
- *         name: description
- *         schema:
- *           type: string
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *       - in: query
- *         name: order
- *         schema:
- *           type: string
- *           enum: [asc, desc]
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - $ref: '#/components/parameters/TransactionListQuery.page'
+ *       - $ref: '#/components/parameters/TransactionListQuery.pageSize'
+ *       - $ref: '#/components/parameters/TransactionListQuery.cursor'
+ *       - $ref: '#/components/parameters/TransactionListQuery.description'
+ *       - $ref: '#/components/parameters/TransactionListQuery.from'
+ *       - $ref: '#/components/parameters/TransactionListQuery.to'
+ *       - $ref: '#/components/parameters/TransactionListQuery.minAmount'
+ *       - $ref: '#/components/parameters/TransactionListQuery.maxAmount'
+ *       - $ref: '#/components/parameters/TransactionListQuery.category_id'
+ *       - $ref: '#/components/parameters/TransactionListQuery.account_id'
+ *       - $ref: '#/components/parameters/TransactionListQuery.type'
+ *       - $ref: '#/components/parameters/TransactionListQuery.tag_id'
+ *       - $ref: '#/components/parameters/TransactionListQuery.sortBy'
+ *       - $ref: '#/components/parameters/TransactionListQuery.order'
+ *       - $ref: '#/components/parameters/TransactionListQuery.convert'
+ *       - $ref: '#/components/parameters/TransactionListQuery.currency'
+ *       - $ref: '#/components/parameters/TransactionListQuery.rateDate'
  *     responses:
  *       200:
- *         description: List of transactions
+ *         description: >
+ *           Page of transactions with total count and income/expense totals of the filtered set
+ *           (transfers between accounts are listed but not counted in the totals)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       422:
+ *         description: Missing exchange rate for conversion
+ *       400:
+ *         description: Invalid path or query parameter
  */
-router.get("/", verifyToken, async (req, res) => {
+router.get("/", verifyToken, ledgerAccess("viewer"), validate({ query: TransactionListQuery }), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const pageSize = parseInt(req.query.pageSize) || 10;
-    const offset = (page - 1) * pageSize;
+    const { page, pageSize, sortBy, order, cursor } = req.query;
 
-    const sortBy = req.query.sortBy || "created_at";
-    const order = req.query.order === "desc" ? "desc" : "asc";
-    const descriptionFilter = req.query.description;
+    // description boş olabildiği için keyset sayfalamada kullanılamaz
+    if (cursor && sortBy === "description") {
+      return sendValidationError(
+        res,
+        [{ field: "cursor", message: "is not supported when sorting by description" }],
+        400
+      );
+    }
+
+    const query = applyTransactionFilters(
+      knex("transaction")
+        .where({ "transaction.ledger_id": req.ledger.id })
+        .whereNull("transaction.deleted_at"),
+      req.query
+    );
+
+    const total = await countRows(query);
 
-    let query = knex("transaction").where({ auth_user_id: req.user.id });
+    // filtrelenmiş kümenin para birimi bazında toplamları; transferler hesaplar arası para hareketi
+    // olduğu için gelir/gider sayılmaz
+    const totals = await query
+      .clone()
+      .whereNull("transaction.transfer_id")
+      .select(
+        "transaction.currency",
+        knex.raw("coalesce(sum(case when transaction.type = 'income' then transaction.amount else 0 end), 0) as income"),
+        knex.raw("coalesce(sum(case when transaction.type = 'expense' then transaction.amount else 0 end), 0) as expense")
+      )
+      .groupBy("transaction.currency")
+      .orderBy("transaction.currency");
 
-    if (descriptionFilter) {
-      query = query.andWhere("description", "like", `%${descriptionFilter}%`);
+    const { data, nextCursor } = await paginate(query, {
+      table: "transaction",
+      sortBy,
+      order,
+      page,
+      pageSize,
+      cursor,
+    });
+    const transactions = await attachTags(data);
+
+    const meta = {
+      ...pageMeta({ total, page, pageSize, cursor, nextCursor }),
+      totals: totals.map((row) => ({ currency: row.currency, ...toTotals(row) })),
+    };
+
+    if (!req.query.convert) {
+      return res.json({ data: transactions, meta });
     }
 
-    const transactions = await query
-      .orderBy(sortBy, order)
-      .limit(pageSize)
-      .offset(offset);
+    const target = await targetCurrency(req);
+    const convert = await createConverter(
+      [...transactions, ...totals].map((t) => t.currency),
+      target,
+      req.query.rateDate
+    );
 
-    res.json(transactions);
+    res.json({
+      data: transactions.map((t) => ({
+        ...t,
+        converted_amount: convert(t.amount, t.currency),
+        converted_currency: target,
+      })),
+      meta: {
+        ...meta,
+        converted_totals: {
+          currency: target,
+          ...toTotals({
+            income: totals.reduce((sum, row) => sum + convert(row.income, row.currency), 0),
+            expense: totals.reduce((sum, row) => sum + convert(row.expense, row.currency), 0),
+          }),
+        },
+      },
+    });
   } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return sendValidationError(res, [{ field: "cursor", message: error.message }], 400);
+    }
+    if (error instanceof ExchangeRateNotFoundError) {
+      return res.status(422).json({ error: error.message });
+    }
     console.error("GET /transaction error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// tam metin arama: kullanıcının yazdığı metin websearch sözdizimiyle sorguya çevrilir
+const SEARCH_CONFIG = "simple";
+const HEADLINE_OPTIONS = "StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5";
+
+const headline = (column, tsQuery) =>
+  knex.raw(`ts_headline('${SEARCH_CONFIG}', ??, ?, '${HEADLINE_OPTIONS}')`, [column, tsQuery]);
+
+/**
+ * @swagger
+ * /transaction/search:
+ *   get:
+ *     summary: Full-text search over transaction title, description, category name and tags
+ *     description: Results are ordered by relevance. Highlights wrap matched words in `<mark>` tags.
+ *     tags: [Transaction]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - $ref: '#/components/parameters/TransactionSearchQuery.q'
+ *       - $ref: '#/components/parameters/TransactionSearchQuery.page'
+ *       - $ref: '#/components/parameters/TransactionSearchQuery.pageSize'
+ *       - $ref: '#/components/parameters/TransactionSearchQuery.from'
+ *       - $ref: '#/components/parameters/TransactionSearchQuery.to'
+ *       - $ref: '#/components/parameters/TransactionSearchQuery.minAmount'
+ *       - $ref: '#/components/parameters/TransactionSearchQuery.maxAmount'
+ *       - $ref: '#/components/parameters/TransactionSearchQuery.category_id'
+ *       - $ref: '#/components/parameters/TransactionSearchQuery.account_id'
+ *       - $ref: '#/components/parameters/TransactionSearchQuery.type'
+ *       - $ref: '#/components/parameters/TransactionSearchQuery.tag_id'
+ *     responses:
+ *       200:
+ *         description: Matching transactions with rank and highlighted snippets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rank:
+ *                         type: number
+ *                       highlights:
+ *                         type: object
+ *                         properties:
+ *                           title:
+ *                             type: string
+ *                           description:
+ *                             type: string
+ *                             nullable: true
+ *                           category:
+ *                             type: string
+ *                             nullable: true
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       400:
+ *         description: Missing or invalid query parameter
+ */
+router.get("/search", verifyToken, ledgerAccess("viewer"), validate({ query: TransactionSearchQuery }), async (req, res) => {
+  try {
+    const { q, page, pageSize } = req.query;
+    const tsQuery = knex.raw(`websearch_to_tsquery('${SEARCH_CONFIG}', ?)`, [q]);
+
+    const query = applyTransactionFilters(
+      knex("transaction")
+        .join("transaction_search", "transaction_search.transaction_id", "transaction.id")
+        .leftJoin("category", "category.id", "transaction.category_id")
+        .where({ "transaction.ledger_id": req.ledger.id })
+        .whereNull("transaction.deleted_at")
+        .andWhere(knex.raw("transaction_search.search_vector @@ ?", [tsQuery])),
+      // description burada ayrı bir like filtresi değil, aramanın kendisi
+      { ...req.query, description: undefined }
+    );
+
+    const total = await countRows(query);
+    const rows = await query
+      .clone()
+      .select(
+        "transaction.*",
+        "category.name as category_name",
+        knex.raw("ts_rank_cd(transaction_search.search_vector, ?) as rank", [tsQuery]),
+        headline("transaction.title", tsQuery).wrap("", " as title_highlight"),
+        headline("transaction.description", tsQuery).wrap("", " as description_highlight"),
+        headline("category.name", tsQuery).wrap("", " as category_highlight")
+      )
+      .orderBy([
+        { column: "rank", order: "desc" },
+        { column: "transaction.created_at", order: "desc" },
+        { column: "transaction.id", order: "desc" },
+      ])
+      .limit(pageSize)
+      .offset((page - 1) * pageSize);
+
+    res.json({
+      data: (await attachTags(rows)).map(
+        ({ rank, title_highlight, description_highlight, category_highlight, ...row }) => ({
+          ...row,
+          rank: Number(rank),
+          highlights: {
+            title: title_highlight,
+            description: description_highlight,
+            category: category_highlight,
+          },
+        })
+      ),
+      meta: pageMeta({ total, page, pageSize, nextCursor: null }),
+    });
+  } catch (error) {
+    console.error("GET /transaction/search error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// gelir / gider toplamları kategori tipine göre ayrılır
+const SUMMARY_PERIODS = ["day", "week", "month", "year"];
+
+const incomeSum = () =>
+  knex.raw("coalesce(sum(case when c.type = 'income' then t.amount else 0 end), 0) as income");
+const expenseSum = () =>
+  knex.raw("coalesce(sum(case when c.type = 'expense' then t.amount else 0 end), 0) as expense");
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const toTotals = (row) => {
+  const income = roundAmount(Number(row.income));
+  const expense = roundAmount(Number(row.expense));
+  return { income, expense, net: roundAmount(income - expense) };
+};
+
+/**
+ * @swagger
+ * /transaction/summary:
+ *   get:
+ *     summary: Get income, expense and net totals for a date range
+ *     tags: [Transaction]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - $ref: '#/components/parameters/TransactionSummaryQuery.from'
+ *       - $ref: '#/components/parameters/TransactionSummaryQuery.to'
+ *       - $ref: '#/components/parameters/TransactionSummaryQuery.tag_id'
+ *       - $ref: '#/components/parameters/TransactionSummaryQuery.groupBy'
+ *       - $ref: '#/components/parameters/TransactionSummaryQuery.currency'
+ *       - $ref: '#/components/parameters/TransactionSummaryQuery.rateDate'
+ *     responses:
+ *       200:
+ *         description: >
+ *           Totals, per-period totals and per-category and per-tag breakdowns.
+ *           Category rows carry their own `total` and `rolled_up_total` including all subcategories.
+ *       422:
+ *         description: Missing exchange rate for one of the transaction currencies
+ *       400:
+ *         description: Invalid path or query parameter
+ */
+router.get("/summary", verifyToken, ledgerAccess("viewer"), validate({ query: TransactionSummaryQuery }), async (req, res) => {
+  try {
+    const { from, to, tag_id } = req.query;
+    const groupBy = SUMMARY_PERIODS.includes(req.query.groupBy)
+      ? req.query.groupBy
+      : "month";
+
+    let query = knex("transaction as t")
+      .join("category as c", "c.id", "t.category_id")
+      .where("t.ledger_id", req.ledger.id)
+      .whereNull("t.deleted_at");
+
+    if (from) {
+      query = query.andWhere("t.created_at", ">=", from);
+    }
+    if (to) {
+      query = query.andWhere("t.created_at", "<", knex.raw("?::date + interval '1 day'", [to]));
+    }
+    if (tag_id && tag_id.length) {
+      query = whereHasTag(query, tag_id, "t.id");
+    }
+
+    // toplamlar para birimi bazında SQL'de alınır, hedef para birimine burada çevrilir
+    const totalsByCurrency = await query
+      .clone()
+      .select("t.currency", incomeSum(), expenseSum())
+      .groupBy("t.currency");
+
+    // groupBy whitelist'ten geldiği için date_trunc'a doğrudan yazılabilir
+    const periodsByCurrency = await query
+      .clone()
+      .select(
+        knex.raw(`date_trunc('${groupBy}', t.created_at) as period`),
+        "t.currency",
+        incomeSum(),
+        expenseSum()
+      )
+      .groupBy("period", "t.currency")
+      .orderBy("period");
+
+    const categoriesByCurrency = await query
+      .clone()
+      .select("c.id as category_id", "c.name", "c.type", "t.currency")
+      .sum({ total: "t.amount" })
+      .count({ count: "t.id" })
+      .groupBy("c.id", "c.name", "c.type", "t.currency");
+
+    // birden fazla etiketi olan işlem her etiketin toplamına ayrı ayrı girer
+    const tagsByCurrency = await query
+      .clone()
+      .join("transaction_tag as tt", "tt.transaction_id", "t.id")
+      .join("tag as g", "g.id", "tt.tag_id")
+      .select("g.id as tag_id", "g.name", "t.currency", incomeSum(), expenseSum())
+      .count({ count: "t.id" })
+      .groupBy("g.id", "g.name", "t.currency");
+
+    const currency = await targetCurrency(req);
+    const convert = await createConverter(
+      totalsByCurrency.map((row) => row.currency),
+      currency,
+      req.query.rateDate
+    );
+
+    const addTotals = (target = { income: 0, expense: 0 }, row) => ({
+      income: target.income + convert(row.income, row.currency),
+      expense: target.expense + convert(row.expense, row.currency),
+    });
+
+    const periods = new Map();
+    for (const row of periodsByCurrency) {
+      const key = new Date(row.period).toISOString();
+      periods.set(key, { period: row.period, ...addTotals(periods.get(key), row) });
+    }
+
+    const categories = new Map();
+    for (const row of categoriesByCurrency) {
+      const existing = categories.get(row.category_id) || { total: 0, count: 0 };
+      categories.set(row.category_id, {
+        total: existing.total + convert(row.total, row.currency),
+        count: existing.count + Number(row.count),
+      });
+    }
+
+    // alt kategori toplamları tüm üst kategorilere eklenir (rolled_up_*)
+    const allCategories = await knex("category")
+      .where({ ledger_id: req.ledger.id })
+      .whereNull("deleted_at")
+      .select("id", "name", "type", "parent_id");
+    const ancestors = ancestorsById(allCategories);
+
+    const rolledUp = new Map();
+    for (const [categoryId, own] of categories) {
+      for (const id of [categoryId, ...(ancestors.get(categoryId) || [])]) {
+        const existing = rolledUp.get(id) || { total: 0, count: 0 };
+        rolledUp.set(id, { total: existing.total + own.total, count: existing.count + own.count });
+      }
+    }
+
+    const tags = new Map();
+    for (const row of tagsByCurrency) {
+      const existing = tags.get(row.tag_id) || { income: 0, expense: 0, count: 0 };
+      tags.set(row.tag_id, {
+        tag_id: row.tag_id,
+        name: row.name,
+        ...addTotals(existing, row),
+        count: existing.count + Number(row.count),
+      });
+    }
+
+    res.json({
+      from: from || null,
+      to: to || null,
+      groupBy,
+      currency,
+      totals: toTotals(totalsByCurrency.reduce(addTotals, { income: 0, expense: 0 })),
+      periods: [...periods.values()].map((row) => ({ period: row.period, ...toTotals(row) })),
+      categories: allCategories
+        .filter((category) => rolledUp.has(category.id))
+        .map((category) => {
+          const own = categories.get(category.id) || { total: 0, count: 0 };
+          const rolled = rolledUp.get(category.id);
+          return {
+            category_id: category.id,
+            name: category.name,
+            type: category.type,
+            parent_id: category.parent_id,
+            total: roundAmount(own.total),
+            count: own.count,
+            rolled_up_total: roundAmount(rolled.total),
+            rolled_up_count: rolled.count,
+          };
+        })
+        .sort((a, b) => b.rolled_up_total - a.rolled_up_total),
+      tags: [...tags.values()]
+        .map(({ income, expense, ...row }) => ({ ...row, ...toTotals({ income, expense }) }))
+        .sort((a, b) => b.expense + b.income - (a.expense + a.income)),
+    });
+  } catch (error) {
+    if (error instanceof ExchangeRateNotFoundError) {
+      return res.status(422).json({ error: error.message });
+    }
+    console.error("GET /transaction/summary error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /transaction/export:
+ *   get:
+ *     summary: Download all transactions as CSV, JSON or NDJSON
+ *     description: >
+ *       Rows are streamed from the database, so large histories are not loaded into memory. In CSV,
+ *       text cells starting with =, +, - or @ are prefixed with ' so spreadsheets do not run them as formulas.
+ *     tags: [Transaction]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - $ref: '#/components/parameters/TransactionExportQuery.format'
+ *       - $ref: '#/components/parameters/TransactionExportQuery.description'
+ *       - $ref: '#/components/parameters/TransactionExportQuery.from'
+ *       - $ref: '#/components/parameters/TransactionExportQuery.to'
+ *       - $ref: '#/components/parameters/TransactionExportQuery.minAmount'
+ *       - $ref: '#/components/parameters/TransactionExportQuery.maxAmount'
+ *       - $ref: '#/components/parameters/TransactionExportQuery.category_id'
+ *       - $ref: '#/components/parameters/TransactionExportQuery.account_id'
+ *       - $ref: '#/components/parameters/TransactionExportQuery.type'
+ *       - $ref: '#/components/parameters/TransactionExportQuery.tag_id'
+ *     responses:
+ *       200:
+ *         description: Transaction file
+ *       400:
+ *         description: Unsupported format
+ */
+router.get("/export", verifyToken, ledgerAccess("viewer"), validate({ query: TransactionExportQuery }), async (req, res) => {
+  try {
+    const format = req.query.format || "csv";
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+      return res.status(400).json({ error: "Unsupported export format" });
+    }
+
+    const query = applyTransactionFilters(
+      knex("transaction")
+        .leftJoin("category", "category.id", "transaction.category_id")
+        .leftJoin("account", "account.id", "transaction.account_id")
+        .where("transaction.ledger_id", req.ledger.id)
+        .whereNull("transaction.deleted_at"),
+      req.query
+    )
+      .select(
+        "transaction.*",
+        "category.name as category_name",
+        knex.raw("coalesce(category.type::text, transaction.type::text) as type"),
+        "account.name as account_name"
+      )
+      .orderBy("transaction.created_at", "asc");
+
+    const filename = `transactions-${new Date().toISOString().slice(0, 10)}.${exportFormat.extension}`;
+    res.setHeader("Content-Type", exportFormat.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    // istemci bağlantıyı keserse pipeline veritabanı stream'ini de kapatır
+    pipeline(query.stream(), createExportStream(format), res, (error) => {
+      if (error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+        console.error("GET /transaction/export stream error:", error);
+      }
+    });
+  } catch (error) {
+    console.error("GET /transaction/export error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+// aynı gün, tutar, para birimi ve açıklamaya sahip işlemler mükerrer sayılır
+const duplicateKey = (date, amount, currency, description) =>
+  `${date}|${Number(amount).toFixed(2)}|${currency}|${(description || "").trim().toLowerCase()}`;
+
+/**
+ * @swagger
+ * /transaction/import:
+ *   post:
+ *     summary: Import transactions from a CSV or OFX/QFX bank statement
+ *     description: >
+ *       Negative amounts are imported as expenses and positive amounts as income unless
+ *       a category column is mapped, in which case the category decides the type. Rows with
+ *       the same date, amount, currency and description as an existing transaction are skipped;
+ *       identical rows within the file are only skipped as many times as such transactions exist.
+ *       Rules of the ledger run on every row; a category column takes precedence over them.
+ *     tags: [Transaction]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/TransactionImportForm'
+ *               - type: object
+ *                 required:
+ *                   - file
+ *                 properties:
+ *                   file:
+ *                     type: string
+ *                     format: binary
+ *     responses:
+ *       200:
+ *         description: Parsed rows with their status and the number of inserted transactions
+ *       400:
+ *         description: Missing or unreadable file
+ *       422:
+ *         description: Validation error
+ */
+router.post(
+  "/import",
+  verifyToken,
+  ledgerAccess("editor"),
+  importUpload.single("file"),
+  validate({ form: TransactionImportForm }),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "File is required" });
+      }
+
+      let mapping = {};
+      if (req.body.mapping) {
+        try {
+          mapping = JSON.parse(req.body.mapping);
+        } catch (err) {
+          return res.status(400).json({ error: "Mapping must be valid JSON" });
+        }
+      }
+
+      const text = req.file.buffer.toString("utf8");
+      const format = req.body.format || detectFormat(req.file.originalname, text);
+
+      let parsed;
+      try {
+        parsed = format === "ofx" ? parseOfx(text) : parseCsv(text, mapping);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      const categories = await knex("category")
+        .where({ ledger_id: req.ledger.id })
+        .whereNull("deleted_at");
+      const categoriesById = new Map(categories.map((c) => [c.id, c]));
+      const categoriesByName = new Map(categories.map((c) => [c.name.trim().toLowerCase(), c]));
+      const incomeCategory = categoriesById.get(req.body.income_category_id);
+      const expenseCategory = categoriesById.get(req.body.expense_category_id);
+      const account = await resolveAccount(req.user.id, req.body.account_id);
+      if (!account) {
+        return res.status(404).json({ error: "Account not found" });
+      }
+      const defaultCurrency = req.body.currency || account.currency;
+
+      const dates = parsed.map((row) => row.date).filter(Boolean).sort();
+      const existing = dates.length
+        ? await knex("transaction")
+            .where({ ledger_id: req.ledger.id })
+            .whereNull("deleted_at")
+            .andWhere("created_at", ">=", dates[0])
+            .andWhere("created_at", "<", knex.raw("?::date + interval '1 day'", [dates[dates.length - 1]]))
+            .select("amount", "currency", "description", knex.raw("to_char(created_at, 'YYYY-MM-DD') as date"))
+        : [];
+      // dosyadaki aynı satırlar (ör. aynı gün iki kahve) birbirinin mükerreri değildir; her satır
+      // veritabanındaki eşleşmelerden birini tüketir
+      const existingCounts = new Map();
+      for (const t of existing) {
+        const key = duplicateKey(t.date, t.amount, t.currency, t.description);
+        existingCounts.set(key, (existingCounts.get(key) || 0) + 1);
+      }
+      const rules = await loadRules(req.ledger.id);
+      // kuralların eklediği etiketler yanıtta gösterilmez, sadece insert'te kullanılır
+      const ruleTags = new Map();
+
+      const rows = parsed.map((row) => {
+        const result = {
+          ...row,
+          amount: Math.abs(row.amount),
+          currency: row.currency || defaultCurrency,
+          category_id: null,
+          type: null,
+        };
+
+        if (!row.date) {
+          return { ...result, status: "invalid", error: "Invalid date" };
+        }
+        if (!Number.isFinite(row.amount) || row.amount === 0) {
+          return { ...result, status: "invalid", error: "Invalid amount" };
+        }
+        if (result.currency !== account.currency) {
+          return { ...result, status: "invalid", error: "Currency does not match the account" };
+        }
+
+        // dosyadaki kategori kolonu kuralların önüne geçer; kural kategorisi tutarın işaretine uymalı
+        const ruleResult = evaluateRules(
+          rules,
+          { title: row.description, description: row.description, amount: result.amount, account_id: account.id },
+          { type: row.amount < 0 ? "expense" : "income" }
+        );
+        const category = row.category
+          ? categoriesByName.get(row.category.toLowerCase())
+          : ruleResult.category_id
+            ? categoriesById.get(ruleResult.category_id)
+            : row.amount < 0
+              ? expenseCategory
+              : incomeCategory;
+        if (!category) {
+          return { ...result, status: "invalid", error: "Category not found" };
+        }
+
+        result.category_id = category.id;
+        result.type = category.type;
+        result.title = ruleResult.title || row.description || "Imported transaction";
+        result.applied_rules = ruleResult.ruleIds;
+
+        const key = duplicateKey(row.date, result.amount, result.currency, row.description);
+        if (existingCounts.get(key) > 0) {
+          existingCounts.set(key, existingCounts.get(key) - 1);
+          return { ...result, status: "duplicate" };
+        }
+
+        const newRow = { ...result, status: "new" };
+        ruleTags.set(newRow, ruleResult.tagIds);
+        return newRow;
+      });
+
+      const newRows = rows.filter((row) => row.status === "new");
+      const preview = req.body.preview === true;
+
+      if (!preview && newRows.length) {
+        await knex.transaction(async (trx) => {
+          const records = newRows.map((row) => ({
+            id: uuidv4(),
+            title: row.title.slice(0, 255),
+            description: row.description,
+            amount: row.amount,
+            currency: row.currency,
+            type: row.type,
+            category_id: row.category_id,
+            account_id: account.id,
+            ledger_id: req.ledger.id,
+            auth_user_id: req.user.id,
+            created_at: row.date,
+            updated_at: knex.fn.now(),
+          }));
+          await auditedInsert(trx, req, "transaction", records);
+
+          const tagRows = records.flatMap((record, index) =>
+            ruleTags.get(newRows[index]).map((tagId) => ({ transaction_id: record.id, tag_id: tagId }))
+          );
+          if (tagRows.length) {
+            await knex.batchInsert("transaction_tag", tagRows, 500).transacting(trx);
+          }
+        });
+      }
+
+      res.json({
+        format,
+        preview,
+        total: rows.length,
+        inserted: preview ? 0 : newRows.length,
+        duplicates: rows.filter((row) => row.status === "duplicate").length,
+        invalid: rows.filter((row) => row.status === "invalid").length,
+        rows,
+      });
+    } catch (error) {
+      console.error("POST /transaction/import error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// bulk işlemde her öğenin hangi alanlara ihtiyaç duyduğu; veri şemaları tekil route'larla aynı
+const BULK_REQUIREMENTS = {
+  create: { fields: ["data"], schema: TransactionCreateRequest },
+  update: { fields: ["id", "data"], schema: TransactionUpdateRequest },
+  delete: { fields: ["id"] },
+  recategorize: { fields: ["ids", "category_id"] },
+  delete_many: { fields: ["ids"] },
+};
+
+const bulkOperationErrors = (operation, index) => {
+  const { fields, schema } = BULK_REQUIREMENTS[operation.op];
+  const prefix = `operations.${index}`;
+
+  const missing = fields
+    .filter((field) => operation[field] === undefined)
+    .map((field) => ({ field: `${prefix}.${field}`, message: `is required for ${operation.op}` }));
+  if (missing.length || !schema) {
+    return missing;
+  }
+
+  return (validationErrors(schema, operation.data) || []).map((detail) => ({
+    field: [`${prefix}.data`, detail.field].filter(Boolean).join("."),
+    message: detail.message,
+  }));
+};
+
+const runBulkOperation = async (trx, req, operation, rules) => {
+  switch (operation.op) {
+    case "create":
+      return { transaction: await createTransaction(trx, req, operation.data, rules) };
+    case "update":
+      return {
+        transaction: await updateTransaction(trx, req, operation.id, operation.data, {
+          ifMatch: operation.version === undefined ? undefined : etag(operation),
+        }),
+      };
+    case "delete":
+      return { deleted: (await deleteTransactions(trx, req, [operation.id])).length };
+    case "recategorize":
+      return {
+        updated: (await recategorizeTransactions(trx, req, [...new Set(operation.ids)], operation.category_id)).length,
+      };
+    case "delete_many":
+      return { deleted: (await deleteTransactions(trx, req, [...new Set(operation.ids)])).length };
+  }
+};
+
+/**
+ * @swagger
+ * /transaction/bulk:
+ *   post:
+ *     summary: Run several create, update and delete operations at once
+ *     description: >
+ *       Operations run in order in one database transaction. If any of them fails nothing is
+ *       saved: the response is 422 with the failed operation's error, earlier operations marked
+ *       rolled_back and later ones skipped. Deleting a missing or already deleted transaction is
+ *       not an error (deleted is 0).
+ *     tags: [Transaction]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransactionBulkRequest'
+ *     responses:
+ *       200:
+ *         description: All operations succeeded; one result per operation in request order
+ *       422:
+ *         description: Validation error, or an operation failed and every change was rolled back
+ */
+router.post("/bulk", verifyToken, ledgerAccess("editor"), validate({ body: TransactionBulkRequest }), async (req, res) => {
+  try {
+    const { operations } = req.body;
+
+    // önce tüm öğelerin şekli kontrol edilir; biri bile hatalıysa hiçbiri çalıştırılmaz
+    const details = operations.flatMap(bulkOperationErrors);
+    if (details.length) {
+      return sendValidationError(res, details);
+    }
+
+    const results = [];
+    let failure = null;
+
+    try {
+      await knex.transaction(async (trx) => {
+        const rules = await loadRules(req.ledger.id, trx);
+
+        for (const [index, operation] of operations.entries()) {
+          const base = { index, op: operation.op, ref: operation.ref };
+          try {
+            results.push({ ...base, status: "ok", ...(await runBulkOperation(trx, req, operation, rules)) });
+          } catch (error) {
+            if (error instanceof TransactionOperationError) {
+              failure = {
+                ...base,
+                status: "failed",
+                error: error.message,
+                code: error.status,
+                ...(error.details && { details: error.details }),
+                ...(error.current && { current: error.current }),
+              };
+            }
+            // hata transaction'ı geri alır
+            throw error;
+          }
+        }
+      });
+    } catch (error) {
+      if (!failure) {
+        throw error;
+      }
+    }
+
+    if (failure) {
+      return res.status(422).json({
+        error: "Bulk operation failed; no changes were saved",
+        code: "BULK_OPERATION_FAILED",
+        results: operations.map((operation, index) => {
+          if (index === failure.index) return failure;
+          const status = index < failure.index ? "rolled_back" : "skipped";
+          return { index, op: operation.op, ref: operation.ref, status };
+        }),
+      });
+    }
+
+    res.json({ results });
+  } catch (error) {
+    console.error("POST /transaction/bulk error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 /**
  * @swagger
  * /transaction/{id}:
  *   get:
  *     summary: Get a single transaction by ID
+ *     description: The ETag response header carries the transaction version for `If-Match` on update.
  *     tags: [Transaction]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
  *       - in: path
  *         name: id
  *         schema:
@@ -143,19 +1035,22 @@ router.get("/", verifyToken, async (req, res) => {
  *     responses:
  *       200:
  *         description: The transaction data
+ *       400:
+ *         description: Invalid path or query parameter
  */
-router.get("/:id", verifyToken, async (req, res) => {
+router.get("/:id", verifyToken, ledgerAccess("viewer"), validate({ params: IdParams }), async (req, res) => {
   try {
     const { id } = req.params;
     const transaction = await knex("transaction")
-      .where({ id, auth_user_id: req.user.id })
+      .where({ id, ledger_id: req.ledger.id })
+      .whereNull("deleted_at")
       .first();
 
     if (!transaction) {
       return res.status(404).json({ error: "Transaction not found" });
     }
 
-    res.json(transaction);
+    res.set("ETag", etag(transaction)).json((await attachTags([transaction]))[0]);
   } catch (error) {
     console.error("GET /transaction/:id error:", error);
     res.status(500).json({ error: "Internal server error" });
@@ -165,15 +1060,75 @@ router.get("/:id", verifyToken, async (req, res) => {
 
 
 
+/**
+ * @swagger
+ * /transaction/{id}/history:
+ *   get:
+ *     summary: Get the change history of a transaction
+ *     description: Every insert, update, delete and restore of the transaction, oldest first. Also works for purged transactions.
+ *     tags: [Transaction]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The transaction ID
+ *     responses:
+ *       200:
+ *         description: Audit entries with before/after snapshots
+ *       404:
+ *         description: No history for this transaction
+ */
+router.get("/:id/history", verifyToken, ledgerAccess("viewer"), validate({ params: IdParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entries = knex("audit_log").where({ entity: "transaction", entity_id: id });
+
+    // yetki işlemin defteri üzerinden bir kez kontrol edilir; kalıcı olarak silinmiş işlemin defteri
+    // son audit anlık görüntüsünden okunur
+    const ledgerOf = "coalesce(after ->> 'ledger_id', before ->> 'ledger_id')";
+    const owner =
+      (await knex("transaction").where({ id }).first("ledger_id")) ||
+      (await entries
+        .clone()
+        .whereRaw(`${ledgerOf} is not null`)
+        .orderBy([
+          { column: "created_at", order: "desc" },
+          { column: "id", order: "desc" },
+        ])
+        .first(knex.raw(`${ledgerOf} as ledger_id`)));
+
+    if (!owner || owner.ledger_id !== req.ledger.id) {
+      return res.status(404).json({ error: "Transaction not found" });
+    }
+
+    const history = await entries.orderBy([{ column: "created_at" }, { column: "id" }]);
+
+    res.json(history);
+  } catch (error) {
+    console.error("GET /transaction/:id/history error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 /**
  * @swagger
  * /transaction/{id}:
  *   put:
  *     summary: Update a transaction
+ *     description: >
+ *       Send the ETag from `GET /transaction/{id}` (or the `version` field) in `If-Match` to update
+ *       only if nobody changed the transaction in the meantime. Without If-Match the update always wins.
  *     tags: [Transaction]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: id
  *         schema:
@@ -184,39 +1139,27 @@ router.get("/:id", verifyToken, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - amount
- *               - description
- *               - category_id
- *             properties:
- *               amount:
- *                 type: number
- *               description:
- *                 type: string
- *               category_id:
- *                 type: string
+ *             $ref: '#/components/schemas/TransactionUpdateRequest'
  *     responses:
  *       200:
  *         description: Transaction updated successfully
+ *       400:
+ *         description: Invalid path or query parameter
+ *       409:
+ *         description: The transaction was modified (If-Match did not match); `current` holds the latest version
+ *       422:
+ *         description: Validation error
  */
-router.put("/:id", verifyToken, async (req, res) => {
+router.put("/:id", verifyToken, ledgerAccess("editor"), validate({ params: IdParams, body: TransactionUpdateRequest }), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { amount, description, category_id } = req.body;
-
-    const updated = await knex("transaction")
-      .where({ id, auth_user_id: req.user.id })
-      .update({
-        amount,
-        description,
-        category_id,
-        updated_at: knex.fn.now(),
-      })
-      .returning("*");
-
-    res.json(updated[0]);
+    const updated = await knex.transaction((trx) =>
+      updateTransaction(trx, req, req.params.id, req.body, { ifMatch: req.get("If-Match") })
+    );
+    res.set("ETag", etag(updated)).json(updated);
   } catch (error) {
+    if (error instanceof TransactionOperationError) {
+      return sendOperationError(res, error);
+    }
     console.error("PUT /transaction/:id error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
@@ -226,11 +1169,13 @@ router.put("/:id", verifyToken, async (req, res) => {
  * @swagger
  * /transaction/{id}:
  *   delete:
- *     summary: Delete a transaction
+ *     summary: Move a transaction to the trash
+ *     description: Both legs of a transfer are moved together. See `POST /transaction/{id}/restore`.
  *     tags: [Transaction]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
  *       - in: path
  *         name: id
  *         schema:
@@ -239,14 +1184,12 @@ router.put("/:id", verifyToken, async (req, res) => {
  *     responses:
  *       200:
  *         description: Transaction deleted successfully
+ *       400:
+ *         description: Invalid path or query parameter
  */
-router.delete("/:id", verifyToken, async (req, res) => {
+router.delete("/:id", verifyToken, ledgerAccess("editor"), validate({ params: IdParams }), async (req, res) => {
   try {
-    const { id } = req.params;
-    await knex("transaction")
-      .where({ id, auth_user_id: req.user.id })
-      .del();
-
+    await knex.transaction((trx) => deleteTransactions(trx, req, [req.params.id]));
     res.json({ message: "Transaction deleted successfully" });
   } catch (error) {
     console.error("DELETE /transaction/:id error:", error);
@@ -254,4 +1197,326 @@ router.delete("/:id", verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /transaction/{id}/restore:
+ *   post:
+ *     summary: Restore a transaction from the trash
+ *     tags: [Transaction]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The restored transaction (both legs for a transfer)
+ *       404:
+ *         description: Transaction not found in the trash
+ *       409:
+ *         description: The transaction's category is deleted; restore the category first
+ */
+router.post("/:id/restore", verifyToken, ledgerAccess("editor"), validate({ params: IdParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const transaction = await knex("transaction")
+      .where({ id, ledger_id: req.ledger.id })
+      .whereNotNull("deleted_at")
+      .first();
+
+    if (!transaction) {
+      return res.status(404).json({ error: "Transaction not found in the trash" });
+    }
+
+    if (transaction.category_id) {
+      const category = await knex("category").where({ id: transaction.category_id }).first();
+      if (category.deleted_at) {
+        return res.status(409).json({ error: "Category is deleted; restore the category first" });
+      }
+    }
+
+    const restored = await knex.transaction((trx) =>
+      auditedUpdate(
+        trx,
+        req,
+        "transaction",
+        (query) =>
+          query
+            .where({ ledger_id: req.ledger.id })
+            .where(transaction.transfer_id ? { transfer_id: transaction.transfer_id } : { id })
+            .whereNotNull("deleted_at"),
+        { deleted_at: null },
+        "restore"
+      )
+    );
+
+    res.json(transaction.transfer_id ? restored : (await attachTags(restored))[0]);
+  } catch (error) {
+    console.error("POST /transaction/:id/restore error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_BYTES, files: 1 },
+});
+
+// ek dosya işlemleri sadece silinmemiş, çalışılan defterdeki işlemlerde yapılır
+const findLiveTransaction = (ledgerId, id) =>
+  knex("transaction").where({ id, ledger_id: ledgerId }).whereNull("deleted_at").first();
+
+/**
+ * @swagger
+ * /transaction/{id}/attachments:
+ *   post:
+ *     summary: Attach a receipt (image or PDF) to a transaction
+ *     description: >
+ *       The file type is detected from its content; JPEG, PNG, WebP, HEIC and PDF are accepted.
+ *       Attachments stay with the transaction in the trash and are removed when it is purged.
+ *     tags: [Transaction]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The transaction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: The stored attachment
+ *       400:
+ *         description: Missing file
+ *       404:
+ *         description: Transaction not found
+ *       413:
+ *         description: File is larger than ATTACHMENT_MAX_BYTES
+ *       415:
+ *         description: Unsupported file type
+ */
+router.post(
+  "/:id/attachments",
+  verifyToken,
+  ledgerAccess("editor"),
+  validate({ params: IdParams }),
+  attachmentUpload.single("file"),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "File is required" });
+      }
+
+      const contentType = detectContentType(req.file.buffer);
+      if (!contentType) {
+        return res
+          .status(415)
+          .json({ error: `Unsupported file type; allowed types are ${ATTACHMENT_TYPES.join(", ")}` });
+      }
+
+      const transaction = await findLiveTransaction(req.ledger.id, req.params.id);
+      if (!transaction) {
+        return res.status(404).json({ error: "Transaction not found" });
+      }
+
+      const attachment = await saveAttachment({ transaction, userId: req.user.id, file: req.file, contentType });
+      res.status(201).json(attachment);
+    } catch (error) {
+      console.error("POST /transaction/:id/attachments error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /transaction/{id}/attachments:
+ *   get:
+ *     summary: List the attachments of a transaction
+ *     tags: [Transaction]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The transaction ID
+ *     responses:
+ *       200:
+ *         description: Attachment metadata, oldest first
+ *       404:
+ *         description: Transaction not found
+ */
+router.get("/:id/attachments", verifyToken, ledgerAccess("viewer"), validate({ params: IdParams }), async (req, res) => {
+  try {
+    const transaction = await findLiveTransaction(req.ledger.id, req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ error: "Transaction not found" });
+    }
+
+    const attachments = await knex("attachment")
+      .where({ transaction_id: transaction.id })
+      .select("id", "transaction_id", "auth_user_id", "filename", "content_type", "size", "created_at")
+      .orderBy([{ column: "created_at" }, { column: "id" }]);
+
+    res.json(attachments);
+  } catch (error) {
+    console.error("GET /transaction/:id/attachments error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /transaction/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download an attachment
+ *     tags: [Transaction]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The transaction ID
+ *       - in: path
+ *         name: attachmentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The attachment ID
+ *     responses:
+ *       200:
+ *         description: The file
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Attachment (or its stored file) not found
+ */
+router.get(
+  "/:id/attachments/:attachmentId",
+  verifyToken,
+  ledgerAccess("viewer"),
+  validate({ params: TransactionAttachmentParams }),
+  async (req, res) => {
+    try {
+      const attachment = await knex("attachment")
+        .join("transaction", "transaction.id", "attachment.transaction_id")
+        .where({
+          "attachment.id": req.params.attachmentId,
+          "attachment.transaction_id": req.params.id,
+          "transaction.ledger_id": req.ledger.id,
+        })
+        .whereNull("transaction.deleted_at")
+        .first("attachment.*");
+
+      if (!attachment) {
+        return res.status(404).json({ error: "Attachment not found" });
+      }
+
+      const stream = await getStorage().get(attachment.storage_key);
+
+      res.attachment(attachment.filename);
+      res.set({ "Content-Type": attachment.content_type, "Content-Length": attachment.size });
+      pipeline(stream, res, (error) => {
+        if (error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+          console.error("GET /transaction/:id/attachments/:attachmentId stream error:", error);
+        }
+      });
+    } catch (error) {
+      if (error instanceof StorageObjectNotFoundError) {
+        console.error("GET /transaction/:id/attachments/:attachmentId missing file:", error.key);
+        return res.status(404).json({ error: "Attachment file not found" });
+      }
+      console.error("GET /transaction/:id/attachments/:attachmentId error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /transaction/{id}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Delete an attachment
+ *     tags: [Transaction]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The transaction ID
+ *       - in: path
+ *         name: attachmentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The attachment ID
+ *     responses:
+ *       200:
+ *         description: Attachment deleted successfully
+ *       404:
+ *         description: Attachment not found
+ */
+router.delete(
+  "/:id/attachments/:attachmentId",
+  verifyToken,
+  ledgerAccess("editor"),
+  validate({ params: TransactionAttachmentParams }),
+  async (req, res) => {
+    try {
+      const deleted = await knex("attachment")
+        .where({ id: req.params.attachmentId, transaction_id: req.params.id })
+        .whereIn(
+          "transaction_id",
+          knex("transaction").where({ ledger_id: req.ledger.id }).whereNull("deleted_at").select("id")
+        )
+        .del();
+
+      if (!deleted) {
+        return res.status(404).json({ error: "Attachment not found" });
+      }
+
+      // dosya trigger'ın kuyruğa yazdığı anahtardan hemen silinir; hata olursa purge job tekrar dener
+      await sweepDeletedAttachments().catch((error) => console.error("Attachment sweep error:", error));
+
+      res.json({ message: "Attachment deleted successfully" });
+    } catch (error) {
+      console.error("DELETE /transaction/:id/attachments/:attachmentId error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,62 @@
+const express = require("express");
+const router = express.Router();
+const knex = require("../../db");
+const verifyToken = require("../../middleware/verifyToken.js");
+const ledgerAccess = require("../../middleware/ledgerAccess");
+const { TRASH_RETENTION_DAYS, purgeAt } = require("../../services/trash");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Trash
+ *   description: Deleted categories and transactions waiting to be purged
+ */
+
+/**
+ * @swagger
+ * /trash:
+ *   get:
+ *     summary: List deleted categories and transactions of a ledger
+ *     description: >
+ *       Items are permanently deleted `retention_days` after deletion (`purge_at`). Restore them with
+ *       `POST /category/{id}/restore` or `POST /transaction/{id}/restore`.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/LedgerId'
+ *     responses:
+ *       200:
+ *         description: Deleted items, most recently deleted first
+ */
+router.get("/", verifyToken, ledgerAccess("viewer"), async (req, res) => {
+  try {
+    const categories = await knex("category")
+      .where({ ledger_id: req.ledger.id })
+      .whereNotNull("deleted_at")
+      .orderBy("deleted_at", "desc");
+
+    const transactions = await knex("transaction")
+      .leftJoin("category", "category.id", "transaction.category_id")
+      .where("transaction.ledger_id", req.ledger.id)
+      .whereNotNull("transaction.deleted_at")
+      .select("transaction.*", "category.name as category_name")
+      .orderBy([
+        { column: "transaction.deleted_at", order: "desc" },
+        { column: "transaction.created_at", order: "desc" },
+      ]);
+
+    const withPurgeAt = (row) => ({ ...row, purge_at: purgeAt(row.deleted_at) });
+
+    res.json({
+      retention_days: TRASH_RETENTION_DAYS,
+      categories: categories.map(withPurgeAt),
+      transactions: transactions.map(withPurgeAt),
+    });
+  } catch (error) {
+    console.error("GET /trash error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
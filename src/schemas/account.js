@@ -0,0 +1,87 @@
+const { amount, currency, date, page, pageSize, uuid } = require("./common");
+
+const ACCOUNT_TYPES = ["cash", "bank", "credit_card", "savings"];
+
+// decimal(14, 2) sınırları
+const openingBalance = { type: "number", minimum: -999999999999.99, maximum: 999999999999.99 };
+
+module.exports = {
+  ACCOUNT_TYPES,
+
+  Account: {
+    type: "object",
+    properties: {
+      id: uuid,
+      name: { type: "string" },
+      type: { type: "string", enum: ACCOUNT_TYPES },
+      currency,
+      opening_balance: { type: "number" },
+      balance: { type: "number", description: "Opening balance plus income minus expense" },
+      is_default: { type: "boolean" },
+      created_at: { type: "string", format: "date-time" },
+      updated_at: { type: "string", format: "date-time" },
+    },
+  },
+
+  AccountCreateRequest: {
+    type: "object",
+    required: ["name"],
+    properties: {
+      name: { type: "string", minLength: 1, maxLength: 255 },
+      type: { type: "string", enum: ACCOUNT_TYPES, default: "cash" },
+      currency: { ...currency, description: "Defaults to the user's default currency" },
+      opening_balance: { ...openingBalance, default: 0 },
+      is_default: {
+        type: "boolean",
+        default: false,
+        description: "Use this account when a transaction has no account_id",
+      },
+    },
+  },
+
+  // para birimi değiştirilemez; gönderilmeyen alanlar olduğu gibi kalır
+  AccountUpdateRequest: {
+    type: "object",
+    required: ["name"],
+    properties: {
+      name: { type: "string", minLength: 1, maxLength: 255 },
+      type: { type: "string", enum: ACCOUNT_TYPES },
+      opening_balance: openingBalance,
+      is_default: { type: "boolean" },
+    },
+  },
+
+  AccountTransactionsQuery: {
+    type: "object",
+    properties: {
+      page,
+      pageSize,
+    },
+  },
+
+  AccountTransferRequest: {
+    type: "object",
+    required: ["from_account_id", "to_account_id", "amount"],
+    properties: {
+      from_account_id: uuid,
+      to_account_id: uuid,
+      amount,
+      to_amount: {
+        ...amount,
+        description:
+          "Amount credited to the target account; only allowed between different currencies, " +
+          "defaults to the stored rate",
+      },
+      date,
+      description: { type: "string", maxLength: 255 },
+    },
+  },
+
+  AccountTransferParams: {
+    type: "object",
+    required: ["transferId"],
+    properties: {
+      transferId: uuid,
+    },
+  },
+};
@@ -0,0 +1,31 @@
+const { password } = require("./auth_users");
+
+module.exports = {
+  AdminPasswordResetRequest: {
+    type: "object",
+    properties: {
+      password: { ...password, description: "New password; a temporary one is generated when omitted" },
+    },
+  },
+
+  AdminRoleUpdateRequest: {
+    type: "object",
+    required: ["role"],
+    properties: {
+      role: { type: "string", enum: ["user", "admin"] },
+    },
+  },
+
+  AdminStatsQuery: {
+    type: "object",
+    properties: {
+      days: {
+        type: "integer",
+        minimum: 1,
+        maximum: 365,
+        default: 30,
+        description: "Length of the recent-activity window in days",
+      },
+    },
+  },
+};
@@ -0,0 +1,22 @@
+const { cursor, date, page, pageSize, uuid } = require("./common");
+
+module.exports = {
+  AuditListQuery: {
+    type: "object",
+    properties: {
+      page,
+      pageSize,
+      cursor,
+      entity: {
+        type: "string",
+        enum: ["auth_users", "category", "transaction"],
+        description: "Only changes to this kind of record",
+      },
+      entity_id: { ...uuid, description: "Only changes to this record" },
+      action: { type: "string", enum: ["insert", "update", "delete", "restore"] },
+      from: { ...date, description: "Start of the date range (inclusive)" },
+      to: { ...date, description: "End of the date range (inclusive)" },
+      order: { type: "string", enum: ["asc", "desc"], default: "desc", description: "Sort order" },
+    },
+  },
+};
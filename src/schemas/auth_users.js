@@ -0,0 +1,88 @@
+const { currency } = require("./common");
+
+const name = { type: "string", minLength: 1, maxLength: 255 };
+const email = { type: "string", format: "email", maxLength: 255 };
+const password = { type: "string", minLength: 8, maxLength: 72 };
+
+module.exports = {
+  password,
+
+  SignupRequest: {
+    type: "object",
+    required: ["name", "email", "password"],
+    properties: {
+      name,
+      email,
+      password,
+      default_currency: { ...currency, description: "Currency used for summaries (default TRY)" },
+    },
+  },
+
+  SigninRequest: {
+    type: "object",
+    required: ["email", "password"],
+    properties: {
+      email: { type: "string", minLength: 1 },
+      password: { type: "string", minLength: 1 },
+    },
+  },
+
+  RefreshRequest: {
+    type: "object",
+    required: ["refresh_token"],
+    properties: {
+      refresh_token: { type: "string", minLength: 1 },
+    },
+  },
+
+  ForgotPasswordRequest: {
+    type: "object",
+    required: ["email"],
+    properties: {
+      email,
+    },
+  },
+
+  ResetPasswordRequest: {
+    type: "object",
+    required: ["token", "password"],
+    properties: {
+      token: { type: "string", minLength: 1 },
+      password,
+    },
+  },
+
+  VerifyEmailRequest: {
+    type: "object",
+    required: ["token"],
+    properties: {
+      token: { type: "string", minLength: 1 },
+    },
+  },
+
+  LogoutRequest: {
+    type: "object",
+    properties: {
+      refresh_token: { type: "string", minLength: 1 },
+    },
+  },
+
+  UserUpdateRequest: {
+    type: "object",
+    minProperties: 1,
+    properties: {
+      name,
+      email: { ...email, description: "Changing the email address requires verifying it again" },
+      default_currency: currency,
+    },
+  },
+
+  ChangePasswordRequest: {
+    type: "object",
+    required: ["current_password", "new_password"],
+    properties: {
+      current_password: { type: "string", minLength: 1 },
+      new_password: password,
+    },
+  },
+};
@@ -0,0 +1,42 @@
+const { amount, date, uuid } = require("./common");
+
+const BUDGET_PERIODS = ["monthly", "weekly", "custom"];
+
+const BudgetRequest = {
+  type: "object",
+  required: ["category_id", "amount"],
+  properties: {
+    category_id: { ...uuid, description: "Expense category in one of your ledgers" },
+    amount: { ...amount, description: "Limit in the user's default currency" },
+    period: { type: "string", enum: BUDGET_PERIODS, default: "monthly" },
+    start_date: { ...date, description: "Required for custom budgets" },
+    end_date: { ...date, description: "Required for custom budgets" },
+  },
+};
+
+const referenceDate = {
+  ...date,
+  description: "Reference date used to pick the monthly/weekly period (default today)",
+};
+
+module.exports = {
+  BUDGET_PERIODS,
+
+  BudgetCreateRequest: BudgetRequest,
+  BudgetUpdateRequest: BudgetRequest,
+
+  BudgetStatusQuery: {
+    type: "object",
+    properties: {
+      date: referenceDate,
+      overOnly: { type: "boolean", description: "Only return budgets that have gone over limit" },
+    },
+  },
+
+  BudgetItemStatusQuery: {
+    type: "object",
+    properties: {
+      date: referenceDate,
+    },
+  },
+};
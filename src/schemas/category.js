@@ -0,0 +1,66 @@
+const { cursor, order, page, pageSize, uuid } = require("./common");
+
+const CATEGORY_SORT_FIELDS = ["name", "type", "created_at", "updated_at"];
+
+const CategoryRequest = {
+  type: "object",
+  required: ["name", "type"],
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: 255 },
+    type: { type: "string", enum: ["income", "expense"] },
+    parent_id: {
+      ...uuid,
+      nullable: true,
+      description: "Parent category of the same type; null makes it a top-level category",
+    },
+  },
+};
+
+module.exports = {
+  CATEGORY_SORT_FIELDS,
+
+  CategoryCreateRequest: CategoryRequest,
+  CategoryUpdateRequest: CategoryRequest,
+
+  CategoryTreeQuery: {
+    type: "object",
+    properties: {
+      type: { type: "string", enum: ["income", "expense"], description: "Only trees of this type" },
+    },
+  },
+
+  CategoryDeleteQuery: {
+    type: "object",
+    properties: {
+      children: {
+        type: "string",
+        enum: ["reparent", "delete"],
+        description:
+          "Required when the category has subcategories: move them (reparent) or delete the whole subtree (delete)",
+      },
+      reparent_to: {
+        ...uuid,
+        description: "New parent for the subcategories (default the deleted category's parent)",
+      },
+    },
+  },
+
+  CategoryListQuery: {
+    type: "object",
+    properties: {
+      page,
+      pageSize,
+      cursor,
+      name: { type: "string", description: "Filter by category name (case-insensitive)" },
+      type: { type: "string", enum: ["income", "expense"], description: "Filter by category type" },
+      parent_id: { ...uuid, description: "Only direct subcategories of this category" },
+      sortBy: {
+        type: "string",
+        enum: CATEGORY_SORT_FIELDS,
+        default: "created_at",
+        description: "Field to sort by",
+      },
+      order,
+    },
+  },
+};
@@ -0,0 +1,72 @@
+// Doğrulama (ajv) ve Swagger (components.schemas) tarafından ortak kullanılan parçalar.
+// OpenAPI 3.0 ile uyumlu kalması için sadece iki tarafın da anladığı anahtar kelimeler kullanılır.
+
+const uuid = { type: "string", format: "uuid" };
+const date = { type: "string", format: "date", example: "2025-07-01" };
+const currency = { type: "string", pattern: "^[A-Z]{3}$", example: "TRY" };
+const amount = { type: "number", minimum: 0.01, example: 125.5 };
+
+const page = { type: "integer", minimum: 1, default: 1, description: "Page number" };
+const pageSize = {
+  type: "integer",
+  minimum: 1,
+  maximum: 100,
+  default: 10,
+  description: "Number of items per page",
+};
+const cursor = {
+  type: "string",
+  description: "Opaque cursor from meta.nextCursor; replaces page for keyset pagination",
+};
+const order = { type: "string", enum: ["asc", "desc"], default: "asc", description: "Sort order" };
+
+const IdParams = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: uuid,
+  },
+};
+
+const ValidationError = {
+  type: "object",
+  properties: {
+    error: { type: "string", example: "Validation failed" },
+    code: { type: "string", example: "VALIDATION_ERROR" },
+    details: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          field: { type: "string", example: "amount" },
+          message: { type: "string", example: "must be >= 0.01" },
+        },
+      },
+    },
+  },
+};
+
+module.exports = {
+  amount,
+  currency,
+  cursor,
+  date,
+  order,
+  page,
+  pageSize,
+  uuid,
+  schemas: {
+    IdParams,
+    PageMeta: {
+      type: "object",
+      properties: {
+        total: { type: "integer" },
+        page: { type: "integer", nullable: true },
+        pageSize: { type: "integer" },
+        pageCount: { type: "integer" },
+        nextCursor: { type: "string", nullable: true },
+      },
+    },
+    ValidationError,
+  },
+};
@@ -0,0 +1,43 @@
+const { currency, date } = require("./common");
+
+const ExchangeRateRequest = {
+  type: "object",
+  required: ["base_currency", "quote_currency", "rate", "date"],
+  properties: {
+    base_currency: { ...currency, example: "USD" },
+    quote_currency: { ...currency, example: "TRY" },
+    rate: { type: "number", minimum: 0.00000001, description: "1 base_currency = rate quote_currency" },
+    date,
+    source: { type: "string", maxLength: 255 },
+  },
+};
+
+module.exports = {
+  ExchangeRateRequest,
+
+  // tek kur ya da kur dizisi; aynı çift ve tarih birden fazla gelirse sonuncusu geçerli olur
+  ExchangeRateCreateRequest: {
+    oneOf: [ExchangeRateRequest, { type: "array", minItems: 1, maxItems: 1000, items: ExchangeRateRequest }],
+  },
+
+  ExchangeRateListQuery: {
+    type: "object",
+    properties: {
+      base_currency: currency,
+      quote_currency: currency,
+      from: { ...date, description: "Earliest rate date" },
+      to: { ...date, description: "Latest rate date" },
+    },
+  },
+
+  ExchangeRateConvertQuery: {
+    type: "object",
+    required: ["amount", "from", "to"],
+    properties: {
+      amount: { type: "number", example: 100 },
+      from: { ...currency, example: "USD" },
+      to: currency,
+      date: { ...date, description: "Rate date (default today, falls back to the latest earlier rate)" },
+    },
+  },
+};
@@ -0,0 +1,51 @@
+const { amount, currency, date, uuid } = require("./common");
+
+const goalFields = {
+  name: { type: "string", minLength: 1, maxLength: 255 },
+  target_amount: { ...amount, description: "Amount to save, in the goal currency" },
+  currency: {
+    ...currency,
+    description: "Goal currency; defaults to the linked account's currency or your default currency",
+  },
+  initial_amount: { type: "number", minimum: 0, description: "Amount already saved before start_date (default 0)" },
+  start_date: { ...date, description: "Contributions are counted from this day on (default today)" },
+  target_date: { ...date, description: "Day the target amount should be reached" },
+  category_id: {
+    ...uuid,
+    nullable: true,
+    description: "Transactions in this category (and its subcategories) count as contributions",
+  },
+  account_id: {
+    ...uuid,
+    nullable: true,
+    description:
+      "Net inflow into this account within the goal's ledger counts as contributions; the goal takes the account currency",
+  },
+};
+
+module.exports = {
+  GoalCreateRequest: {
+    type: "object",
+    required: ["name", "target_amount", "target_date"],
+    properties: goalFields,
+  },
+
+  GoalUpdateRequest: {
+    type: "object",
+    minProperties: 1,
+    properties: goalFields,
+  },
+
+  GoalProgressQuery: {
+    type: "object",
+    properties: {
+      pace_days: {
+        type: "integer",
+        minimum: 7,
+        maximum: 365,
+        default: 90,
+        description: "Number of recent days the saving pace (and the projected completion date) is based on",
+      },
+    },
+  },
+};
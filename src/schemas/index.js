@@ -0,0 +1,37 @@
+const common = require("./common");
+const account = require("./account");
+const admin = require("./admin");
+const audit = require("./audit");
+const authUsers = require("./auth_users");
+const budget = require("./budget");
+const category = require("./category");
+const exchangeRate = require("./exchange_rate");
+const goal = require("./goal");
+const ledger = require("./ledger");
+const recurringTransaction = require("./recurring_transaction");
+const rule = require("./rule");
+const sync = require("./sync");
+const tag = require("./tag");
+const transaction = require("./transaction");
+
+// sadece şema nesneleri (büyük harfle başlayan isimler) Swagger'a aktarılır
+const pickSchemas = (module) =>
+  Object.fromEntries(Object.entries(module).filter(([name]) => /^[A-Z][a-z]/.test(name)));
+
+module.exports = {
+  ...common.schemas,
+  ...pickSchemas(account),
+  ...pickSchemas(admin),
+  ...pickSchemas(audit),
+  ...pickSchemas(authUsers),
+  ...pickSchemas(budget),
+  ...pickSchemas(category),
+  ...pickSchemas(exchangeRate),
+  ...pickSchemas(goal),
+  ...pickSchemas(ledger),
+  ...pickSchemas(recurringTransaction),
+  ...pickSchemas(rule),
+  ...pickSchemas(sync),
+  ...pickSchemas(tag),
+  ...pickSchemas(transaction),
+};
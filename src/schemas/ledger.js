@@ -0,0 +1,59 @@
+const { uuid } = require("./common");
+
+const name = { type: "string", minLength: 1, maxLength: 255, pattern: "\\S", example: "Household" };
+
+const LedgerRequest = {
+  type: "object",
+  required: ["name"],
+  properties: {
+    name,
+  },
+};
+
+module.exports = {
+  LedgerCreateRequest: LedgerRequest,
+  LedgerUpdateRequest: LedgerRequest,
+
+  LedgerInvitationRequest: {
+    type: "object",
+    required: ["email"],
+    properties: {
+      email: { type: "string", format: "email", maxLength: 255 },
+      role: { type: "string", enum: ["editor", "viewer"], default: "editor" },
+    },
+  },
+
+  LedgerInvitationAcceptRequest: {
+    type: "object",
+    required: ["token"],
+    properties: {
+      token: { type: "string", minLength: 1 },
+    },
+  },
+
+  LedgerMemberUpdateRequest: {
+    type: "object",
+    required: ["role"],
+    properties: {
+      role: { type: "string", enum: ["owner", "editor", "viewer"] },
+    },
+  },
+
+  LedgerMemberParams: {
+    type: "object",
+    required: ["id", "userId"],
+    properties: {
+      id: uuid,
+      userId: uuid,
+    },
+  },
+
+  LedgerInvitationParams: {
+    type: "object",
+    required: ["id", "invitationId"],
+    properties: {
+      id: uuid,
+      invitationId: uuid,
+    },
+  },
+};
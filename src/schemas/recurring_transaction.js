@@ -0,0 +1,42 @@
+const { amount, currency, date, uuid } = require("./common");
+
+const FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+
+const RecurringTransactionRequest = {
+  type: "object",
+  required: ["category_id", "title", "amount", "frequency", "start_date"],
+  properties: {
+    category_id: { ...uuid, description: "Category in a ledger where you are at least an editor" },
+    account_id: {
+      ...uuid,
+      nullable: true,
+      description:
+        "Defaults to the user's default account when the transaction is generated; on update an omitted " +
+        "account_id keeps the current one and null switches to the default account",
+    },
+    title: { type: "string", minLength: 1, maxLength: 255 },
+    description: { type: "string", maxLength: 255, nullable: true },
+    amount,
+    currency: { ...currency, description: "Must match the account currency (default)" },
+    frequency: { type: "string", enum: FREQUENCIES },
+    interval: { type: "integer", minimum: 1, default: 1, description: "Repeat every N periods" },
+    day_of_month: {
+      type: "integer",
+      minimum: 1,
+      maximum: 31,
+      nullable: true,
+      description: "Day of month for monthly rules (clamped to the month's last day)",
+    },
+    start_date: date,
+    end_date: { ...date, nullable: true },
+    max_occurrences: { type: "integer", minimum: 1, nullable: true },
+    active: { type: "boolean", default: true },
+  },
+};
+
+module.exports = {
+  FREQUENCIES,
+
+  RecurringTransactionCreateRequest: RecurringTransactionRequest,
+  RecurringTransactionUpdateRequest: RecurringTransactionRequest,
+};
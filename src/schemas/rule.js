@@ -0,0 +1,60 @@
+const { uuid } = require("./common");
+
+const ruleFields = {
+  name: { type: "string", minLength: 1, maxLength: 255 },
+  priority: { type: "integer", description: "Lower numbers run first (default 0)" },
+  active: { type: "boolean" },
+
+  description_contains: {
+    type: "string",
+    minLength: 1,
+    maxLength: 255,
+    nullable: true,
+    description: "Case-insensitive text the description (or the title when there is none) must contain",
+  },
+  description_regex: {
+    type: "string",
+    minLength: 1,
+    maxLength: 255,
+    nullable: true,
+    description:
+      "Case-insensitive regular expression (RE2 syntax, no backreferences or lookarounds) tested against the description",
+  },
+  amount_min: { type: "number", minimum: 0, nullable: true, description: "Minimum amount (inclusive)" },
+  amount_max: { type: "number", minimum: 0, nullable: true, description: "Maximum amount (inclusive)" },
+  account_id: { ...uuid, nullable: true, description: "Only transactions of this account" },
+
+  set_category_id: { ...uuid, nullable: true, description: "Category to assign; the type follows the category" },
+  add_tag_id: { ...uuid, nullable: true, description: "One of your tags to add" },
+  set_title: { type: "string", minLength: 1, maxLength: 255, nullable: true, description: "New title" },
+};
+
+module.exports = {
+  RULE_CONDITIONS: ["description_contains", "description_regex", "amount_min", "amount_max", "account_id"],
+  RULE_ACTIONS: ["set_category_id", "add_tag_id", "set_title"],
+
+  RuleCreateRequest: {
+    type: "object",
+    required: ["name"],
+    properties: ruleFields,
+  },
+
+  RuleUpdateRequest: {
+    type: "object",
+    minProperties: 1,
+    properties: ruleFields,
+  },
+
+  RuleDryRunQuery: {
+    type: "object",
+    properties: {
+      limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: 500,
+        default: 50,
+        description: "Maximum number of example transactions in the response",
+      },
+    },
+  },
+};
@@ -0,0 +1,18 @@
+module.exports = {
+  SyncQuery: {
+    type: "object",
+    properties: {
+      since: {
+        type: "string",
+        description: "Cursor from the previous sync response; omit for a full initial sync",
+      },
+      limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: 1000,
+        default: 500,
+        description: "Maximum number of changed records in the response",
+      },
+    },
+  },
+};
@@ -0,0 +1,38 @@
+const { uuid } = require("./common");
+
+const tagName = { type: "string", minLength: 1, maxLength: 64, pattern: "\\S", example: "vacation-2026" };
+
+const TagRequest = {
+  type: "object",
+  required: ["name"],
+  properties: {
+    name: tagName,
+  },
+};
+
+module.exports = {
+  tagName,
+
+  TagCreateRequest: TagRequest,
+  TagUpdateRequest: TagRequest,
+
+  TagMergeRequest: {
+    type: "object",
+    required: ["source_ids"],
+    properties: {
+      source_ids: {
+        type: "array",
+        minItems: 1,
+        items: uuid,
+        description: "Tags merged into the target tag and then deleted",
+      },
+    },
+  },
+
+  TagListQuery: {
+    type: "object",
+    properties: {
+      name: { type: "string", description: "Filter by tag name (case-insensitive)" },
+    },
+  },
+};
@@ -0,0 +1,213 @@
+const { amount, currency, cursor, date, order, page, pageSize, uuid } = require("./common");
+const { tagName } = require("./tag");
+
+const TRANSACTION_SORT_FIELDS = ["created_at", "updated_at", "amount", "title", "description"];
+const BULK_OPERATIONS = ["create", "update", "delete", "recategorize", "delete_many"];
+
+const transactionFields = {
+  amount,
+  title: { type: "string", minLength: 1, maxLength: 255, description: "Defaults to the description" },
+  description: { type: "string", maxLength: 255 },
+  category_id: { ...uuid, description: "On create, may be omitted when a rule sets the category" },
+  type: {
+    type: "string",
+    enum: ["income", "expense"],
+    description: "Derived from the category; rejected when it does not match",
+  },
+  account_id: { ...uuid, description: "Defaults to the user's default account" },
+  currency: { ...currency, description: "Must match the account currency (default)" },
+  tags: {
+    type: "array",
+    maxItems: 20,
+    items: tagName,
+    description: "Tag names; missing tags are created. On update the list replaces the current tags",
+  },
+};
+
+const dateRange = {
+  from: { ...date, description: "Start of the date range (inclusive)" },
+  to: { ...date, description: "End of the date range (inclusive)" },
+};
+
+// GET /transaction ve export için ortak filtreler
+const filters = {
+  description: { type: "string", description: "Filter by description (case-insensitive)" },
+  ...dateRange,
+  minAmount: { type: "number", description: "Minimum amount (inclusive)" },
+  maxAmount: { type: "number", description: "Maximum amount (inclusive)" },
+  category_id: {
+    type: "array",
+    items: uuid,
+    description: "Only these categories (repeat the parameter for several)",
+  },
+  account_id: {
+    type: "array",
+    items: uuid,
+    description: "Only these accounts (repeat the parameter for several)",
+  },
+  type: { type: "string", enum: ["income", "expense"] },
+  tag_id: {
+    type: "array",
+    items: uuid,
+    description: "Only transactions with at least one of these tags",
+  },
+};
+
+const conversion = {
+  currency: { ...currency, description: "Target currency (default the user's default currency)" },
+  rateDate: { ...date, description: "Date of the exchange rates used for conversion (default today)" },
+};
+
+module.exports = {
+  BULK_OPERATIONS,
+  TRANSACTION_SORT_FIELDS,
+
+  TransactionCreateRequest: {
+    type: "object",
+    required: ["amount", "description"],
+    properties: transactionFields,
+  },
+
+  TransactionUpdateRequest: {
+    type: "object",
+    required: ["amount", "description", "category_id"],
+    properties: transactionFields,
+  },
+
+  TransactionListQuery: {
+    type: "object",
+    properties: {
+      page,
+      pageSize,
+      cursor,
+      ...filters,
+      sortBy: {
+        type: "string",
+        enum: TRANSACTION_SORT_FIELDS,
+        default: "created_at",
+        description: "Field to sort by",
+      },
+      order,
+      convert: {
+        type: "boolean",
+        description: "Add converted_amount in the target currency to every row",
+      },
+      ...conversion,
+    },
+  },
+
+  TransactionSearchQuery: {
+    type: "object",
+    required: ["q"],
+    properties: {
+      q: {
+        type: "string",
+        minLength: 1,
+        maxLength: 200,
+        description: 'Search text; supports "quoted phrases", OR and -excluded words',
+      },
+      page,
+      pageSize,
+      ...filters,
+    },
+  },
+
+  TransactionSummaryQuery: {
+    type: "object",
+    properties: {
+      ...dateRange,
+      tag_id: filters.tag_id,
+      groupBy: {
+        type: "string",
+        enum: ["day", "week", "month", "year"],
+        default: "month",
+        description: "Period to group totals by",
+      },
+      ...conversion,
+    },
+  },
+
+  TransactionExportQuery: {
+    type: "object",
+    properties: {
+      format: {
+        type: "string",
+        enum: ["csv", "json", "ndjson"],
+        default: "csv",
+        description: "Output format",
+      },
+      ...filters,
+    },
+  },
+
+  TransactionImportForm: {
+    type: "object",
+    properties: {
+      format: {
+        type: "string",
+        enum: ["csv", "ofx"],
+        description: "Detected from the file extension when omitted",
+      },
+      mapping: {
+        type: "string",
+        description:
+          'JSON column mapping for CSV files, e.g. {"date":"Tarih","amount":"Tutar","description":"Açıklama","category":"Kategori","currency":"Döviz","dateFormat":"DD.MM.YYYY","decimalSeparator":",","delimiter":";"}. ' +
+          "Without decimalSeparator, amounts such as 1.234 that could use either separator are rejected",
+      },
+      account_id: {
+        ...uuid,
+        description: "Account the rows are imported into (default the user's default account)",
+      },
+      income_category_id: { ...uuid, description: "Category used for positive rows without a category" },
+      expense_category_id: { ...uuid, description: "Category used for negative rows without a category" },
+      currency: { ...currency, description: "Currency for rows without one (default the account currency)" },
+      preview: { type: "boolean", description: "Only parse and return rows, do not insert anything" },
+    },
+  },
+
+  TransactionBulkRequest: {
+    type: "object",
+    required: ["operations"],
+    properties: {
+      operations: {
+        type: "array",
+        minItems: 1,
+        maxItems: 200,
+        items: {
+          type: "object",
+          required: ["op"],
+          properties: {
+            op: {
+              type: "string",
+              enum: BULK_OPERATIONS,
+              description:
+                "create (data), update (id, data), delete (id), recategorize (ids, category_id) or delete_many (ids)",
+            },
+            ref: { type: "string", maxLength: 100, description: "Client reference echoed back in the result" },
+            id: uuid,
+            ids: { type: "array", minItems: 1, maxItems: 1000, items: uuid },
+            category_id: uuid,
+            version: {
+              type: "integer",
+              minimum: 1,
+              description: "update only: fail unless the transaction still has this version (like If-Match)",
+            },
+            data: {
+              type: "object",
+              description: "TransactionCreateRequest for create, TransactionUpdateRequest for update",
+            },
+          },
+        },
+      },
+    },
+  },
+
+  TransactionAttachmentParams: {
+    type: "object",
+    required: ["id", "attachmentId"],
+    properties: {
+      id: uuid,
+      attachmentId: uuid,
+    },
+  },
+};
@@ -0,0 +1,71 @@
+const knex = require("../db");
+const { v4: uuidv4 } = require("uuid");
+const { getUserCurrency } = require("./currency");
+const { ACCOUNT_TYPES } = require("../schemas/account");
+
+// gelir bakiyeyi artırır, gider azaltır
+const signedAmount = (alias = "transaction") =>
+  `case when ${alias}.type = 'income' then ${alias}.amount when ${alias}.type = 'expense' then -${alias}.amount else 0 end`;
+
+/**
+ * Kullanıcının varsayılan hesabını döndürür, yoksa "Cash" adıyla oluşturur.
+ * Hesap belirtilmeden gelen işlemler (POST /transaction, import, recurring) bu hesaba yazılır.
+ */
+const getDefaultAccount = async (userId, trx = knex) => {
+  const existing = await trx("account")
+    .where({ auth_user_id: userId })
+    .orderBy([{ column: "is_default", order: "desc" }, { column: "created_at" }])
+    .first();
+
+  if (existing) {
+    return existing;
+  }
+
+  const created = await trx("account")
+    .insert({
+      id: uuidv4(),
+      auth_user_id: userId,
+      name: "Cash",
+      type: "cash",
+      currency: await getUserCurrency(userId, trx),
+      is_default: true,
+      created_at: knex.fn.now(),
+      updated_at: knex.fn.now(),
+    })
+    .returning("*");
+
+  return created[0];
+};
+
+/**
+ * İstekte gelen account_id'yi kullanıcıya ait hesapla eşler.
+ * account_id yoksa varsayılan hesap, başkasına aitse null döner.
+ */
+const resolveAccount = async (userId, accountId, trx = knex) => {
+  if (!accountId) {
+    return getDefaultAccount(userId, trx);
+  }
+
+  const account = await trx("account").where({ id: accountId, auth_user_id: userId }).first();
+  return account || null;
+};
+
+const accountsWithBalance = (userId, trx = knex) =>
+  trx("account")
+    .leftJoin("transaction", function () {
+      this.on("transaction.account_id", "account.id").andOnNull("transaction.deleted_at");
+    })
+    .where("account.auth_user_id", userId)
+    .groupBy("account.id")
+    .select(
+      "account.*",
+      trx.raw(`account.opening_balance + coalesce(sum(${signedAmount()}), 0) as balance`)
+    );
+
+module.exports = {
+  ACCOUNT_TYPES,
+  accountsWithBalance,
+  getDefaultAccount,
+  resolveAccount,
+  signedAmount,
+};
@@ -0,0 +1,94 @@
+const knex = require("../db");
+const { v4: uuidv4 } = require("uuid");
+const { getStorage } = require("./storage");
+
+const ATTACHMENT_MAX_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+// istemcinin gönderdiği mimetype yerine dosyanın ilk baytlarına bakılır
+const SIGNATURES = [
+  { type: "application/pdf", test: (b) => b.subarray(0, 5).toString("latin1") === "%PDF-" },
+  { type: "image/jpeg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: "image/png", test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  {
+    type: "image/webp",
+    test: (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+  {
+    type: "image/heic",
+    test: (b) => b.subarray(4, 8).toString("latin1") === "ftyp" && /^(heic|heix|mif1)$/.test(b.subarray(8, 12).toString("latin1")),
+  },
+];
+
+const ATTACHMENT_TYPES = SIGNATURES.map((signature) => signature.type);
+
+const detectContentType = (buffer) => {
+  const match = SIGNATURES.find((signature) => signature.test(buffer));
+  return match ? match.type : null;
+};
+
+// Content-Disposition başlığını bozmayacak dosya adı
+const safeFilename = (name) => (name || "attachment").replace(/[\r\n"\\/]/g, "_").slice(0, 255);
+
+/**
+ * Dosyayı storage'a yazar ve attachment satırını ekler. Satır eklenemezse dosya geri silinir.
+ *
+ * @param {{ transaction: object, userId: string, file: { buffer: Buffer, originalname: string }, contentType: string }} input
+ */
+const saveAttachment = async ({ transaction, userId, file, contentType }) => {
+  const id = uuidv4();
+  const storageKey = `${transaction.ledger_id}/${transaction.id}/${id}`;
+  const storage = getStorage();
+
+  await storage.put(storageKey, file.buffer, contentType);
+
+  try {
+    const [attachment] = await knex("attachment")
+      .insert({
+        id,
+        transaction_id: transaction.id,
+        auth_user_id: userId,
+        filename: safeFilename(file.originalname),
+        content_type: contentType,
+        size: file.buffer.length,
+        storage_key: storageKey,
+        created_at: knex.fn.now(),
+      })
+      .returning("*");
+    return attachment;
+  } catch (error) {
+    await storage.remove(storageKey).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Silinen attachment satırlarının (trigger ile attachment_deletion'a yazılır) dosyalarını storage'dan siler.
+ * Silinemeyen dosyalar kuyrukta kalır ve sonraki çalıştırmada tekrar denenir.
+ */
+const sweepDeletedAttachments = async (limit = 500) => {
+  const pending = await knex("attachment_deletion").orderBy("created_at").limit(limit).pluck("storage_key");
+  const storage = pending.length ? getStorage() : null;
+
+  const removed = [];
+  for (const key of pending) {
+    try {
+      await storage.remove(key);
+      removed.push(key);
+    } catch (error) {
+      console.error(`Attachment file ${key} could not be removed:`, error.message);
+    }
+  }
+
+  if (removed.length) {
+    await knex("attachment_deletion").whereIn("storage_key", removed).del();
+  }
+  return removed.length;
+};
+
+module.exports = {
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_TYPES,
+  detectContentType,
+  saveAttachment,
+  sweepDeletedAttachments,
+};
@@ -0,0 +1,114 @@
+const knex = require("../db");
+const { v4: uuidv4 } = require("uuid");
+
+const AUDIT_ACTIONS = ["insert", "update", "delete", "restore"];
+
+// şifre hash'i gibi alanlar audit kaydına yazılmaz
+const HIDDEN_FIELDS = ["password"];
+
+const snapshot = (row) => {
+  if (!row) {
+    return null;
+  }
+  const copy = { ...row };
+  for (const field of HIDDEN_FIELDS) {
+    delete copy[field];
+  }
+  return copy;
+};
+
+// auth_users satırında sahip kullanıcının kendisidir
+const ownerOf = (entity, row) => (entity === "auth_users" ? row.id : row.auth_user_id);
+
+/**
+ * Değişiklikleri audit_log'a yazar. Değişikliği yapan sorguyla aynı trx verilmelidir;
+ * böylece işlem geri alınırsa audit kaydı da geri alınır.
+ *
+ * @param {import("knex").Knex.Transaction} trx
+ * @param {import("express").Request} req
+ * @param {string} entity tablo adı
+ * @param {"insert"|"update"|"delete"|"restore"} action
+ * @param {Array<{ before?: object, after?: object }>} changes
+ */
+const recordAudit = async (trx, req, entity, action, changes) => {
+  if (!changes.length) {
+    return;
+  }
+
+  const rows = changes.map(({ before, after }) => {
+    const current = after || before;
+    return {
+      id: uuidv4(),
+      auth_user_id: ownerOf(entity, current),
+      actor_id: req.user ? req.user.id : ownerOf(entity, current),
+      entity,
+      entity_id: current.id,
+      action,
+      before: before ? JSON.stringify(snapshot(before)) : null,
+      after: after ? JSON.stringify(snapshot(after)) : null,
+      ip: req.ip || null,
+      user_agent: (req.get("user-agent") || "").slice(0, 255) || null,
+      created_at: knex.fn.now(),
+    };
+  });
+
+  await knex.batchInsert("audit_log", rows, 500).transacting(trx);
+};
+
+/**
+ * Satırları ekler ve her biri için "insert" kaydı yazar. Eklenen satırları döndürür.
+ */
+const auditedInsert = async (trx, req, table, rows) => {
+  const list = Array.isArray(rows) ? rows : [rows];
+  const inserted = await knex.batchInsert(table, list, 500).transacting(trx).returning("*");
+
+  await recordAudit(trx, req, table, "insert", inserted.map((after) => ({ after })));
+  return inserted;
+};
+
+/**
+ * where(query) ile seçilen satırları günceller, önceki ve sonraki hallerini kaydeder.
+ * Soft delete ve restore da update'tir; action ile ayrılır.
+ */
+const auditedUpdate = async (trx, req, table, where, changes, action = "update") => {
+  const before = await where(trx(table)).select("*").forUpdate();
+  if (!before.length) {
+    return [];
+  }
+
+  const after = await trx(table)
+    .whereIn(
+      "id",
+      before.map((row) => row.id)
+    )
+    .update(changes)
+    .returning("*");
+
+  const beforeById = new Map(before.map((row) => [row.id, row]));
+  await recordAudit(
+    trx,
+    req,
+    table,
+    action,
+    after.map((row) => ({ before: beforeById.get(row.id), after: row }))
+  );
+  return after;
+};
+
+/**
+ * where(query) ile seçilen satırları kalıcı olarak siler ve silinen halleri kaydeder.
+ */
+const auditedDelete = async (trx, req, table, where) => {
+  const deleted = await where(trx(table)).del().returning("*");
+
+  await recordAudit(trx, req, table, "delete", deleted.map((before) => ({ before })));
+  return deleted;
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  auditedDelete,
+  auditedInsert,
+  auditedUpdate,
+  recordAudit,
+};
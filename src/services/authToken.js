@@ -0,0 +1,63 @@
+const crypto = require("crypto");
+const knex = require("../db");
+const { v4: uuidv4 } = require("uuid");
+
+// amaç başına geçerlilik süresi (dakika)
+const TOKEN_TTL_MINUTES = {
+  password_reset: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  email_verification: Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 48 * 60,
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Kullanıcı için yeni token üretir; aynı amaçla verilmiş kullanılmamış eski tokenlar geçersiz olur.
+ * Düz token sadece burada döner, veritabanında özeti tutulur.
+ *
+ * @param {string} userId
+ * @param {"password_reset"|"email_verification"} purpose
+ */
+const createAuthToken = async (userId, purpose, trx = knex) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await trx("auth_token")
+    .where({ auth_user_id: userId, purpose })
+    .whereNull("used_at")
+    .update({ used_at: knex.fn.now() });
+
+  await trx("auth_token").insert({
+    id: uuidv4(),
+    auth_user_id: userId,
+    purpose,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000),
+    created_at: knex.fn.now(),
+  });
+
+  return token;
+};
+
+/**
+ * Geçerli (kullanılmamış, süresi dolmamış) token'ı kullanıldı olarak işaretler ve satırı döndürür;
+ * token geçersizse null. Aynı token'ın iki kez kullanılmaması için satır kilitlenir.
+ */
+const consumeAuthToken = async (token, purpose, trx) => {
+  const row = await trx("auth_token")
+    .where({ token_hash: hashToken(token || ""), purpose })
+    .whereNull("used_at")
+    .where("expires_at", ">", knex.fn.now())
+    .forUpdate()
+    .first();
+
+  if (!row) {
+    return null;
+  }
+
+  await trx("auth_token").where({ id: row.id }).update({ used_at: knex.fn.now() });
+  return row;
+};
+
+module.exports = {
+  consumeAuthToken,
+  createAuthToken,
+};
@@ -0,0 +1,79 @@
+const knex = require("../db");
+
+/**
+ * Kategori ve tüm alt kategorilerinin id'leri (whereIn içinde alt sorgu olarak kullanılır).
+ */
+const subtreeIds = (categoryId, trx = knex) =>
+  trx.raw(
+    `with recursive subtree as (
+      select id from category where id = ?
+      union all
+      select c.id from category c join subtree s on c.parent_id = s.id
+    ) select id from subtree`,
+    [categoryId]
+  );
+
+/**
+ * parentId, categoryId'nin kendisi ya da alt kategorilerinden biriyse döngü oluşur.
+ */
+const createsCycle = async (categoryId, parentId, trx = knex) => {
+  if (!parentId) {
+    return false;
+  }
+
+  const row = await trx("category")
+    .whereIn("id", subtreeIds(categoryId, trx))
+    .andWhere({ id: parentId })
+    .first("id");
+
+  return Boolean(row);
+};
+
+/**
+ * Düz kategori listesini iç içe { ...category, children: [] } yapısına çevirir.
+ * Ebeveyni listede olmayan kategoriler köke yerleşir.
+ */
+const buildTree = (categories) => {
+  const nodes = new Map(categories.map((category) => [category.id, { ...category, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id && nodes.get(node.parent_id);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+};
+
+/**
+ * Her kategori id'si için üst kategorilerinin id'leri (en yakından köke doğru).
+ * Summary'de alt kategori toplamlarını üst kategorilere eklemek için kullanılır.
+ */
+const ancestorsById = (categories) => {
+  const parents = new Map(categories.map((category) => [category.id, category.parent_id]));
+
+  return new Map(
+    categories.map((category) => {
+      const ancestors = [];
+      const seen = new Set([category.id]);
+      let parentId = parents.get(category.id);
+      while (parentId && !seen.has(parentId)) {
+        ancestors.push(parentId);
+        seen.add(parentId);
+        parentId = parents.get(parentId);
+      }
+      return [category.id, ancestors];
+    })
+  );
+};
+
+module.exports = {
+  ancestorsById,
+  buildTree,
+  createsCycle,
+  subtreeIds,
+};
@@ -0,0 +1,150 @@
+const knex = require("../db");
+const { v4: uuidv4 } = require("uuid");
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const isCurrency = (value) => typeof value === "string" && CURRENCY_PATTERN.test(value);
+
+class ExchangeRateNotFoundError extends Error {
+  constructor(from, to, date) {
+    super(`Exchange rate not found for ${from}/${to} on ${date}`);
+    this.name = "ExchangeRateNotFoundError";
+    this.from = from;
+    this.to = to;
+    this.date = date;
+  }
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Verilen tarihte (ya da öncesindeki en yakın tarihte) geçerli kuru bulur.
+ * Ters yöndeki kayıt da kullanılabilir (USD/TRY varsa TRY/USD = 1 / kur).
+ *
+ * @returns {Promise<number|null>}
+ */
+const findRate = async (from, to, date = today(), trx = knex) => {
+  if (from === to) {
+    return 1;
+  }
+
+  const row = await trx("exchange_rate")
+    .where(function () {
+      this.where({ base_currency: from, quote_currency: to }).orWhere({
+        base_currency: to,
+        quote_currency: from,
+      });
+    })
+    .andWhere("date", "<=", date)
+    .orderBy("date", "desc")
+    .first();
+
+  if (!row) {
+    return null;
+  }
+
+  return row.base_currency === from ? Number(row.rate) : 1 / Number(row.rate);
+};
+
+/**
+ * Birden fazla para birimini tek bir hedef para birimine çeviren fonksiyon döndürür.
+ * Eksik kur varsa ExchangeRateNotFoundError fırlatır.
+ *
+ * @param {string[]} currencies
+ * @param {string} target
+ * @param {string} [date] YYYY-MM-DD
+ * @returns {Promise<(amount: number|string, currency: string) => number>}
+ */
+const createConverter = async (currencies, target, date = today(), trx = knex) => {
+  const rates = new Map();
+
+  for (const currency of new Set(currencies)) {
+    const rate = await findRate(currency, target, date, trx);
+    if (rate === null) {
+      throw new ExchangeRateNotFoundError(currency, target, date);
+    }
+    rates.set(currency, rate);
+  }
+
+  return (amount, currency) => Math.round(Number(amount) * rates.get(currency) * 100) / 100;
+};
+
+const getUserCurrency = async (userId, trx = knex) => {
+  const user = await trx("auth_users").where({ id: userId }).select("default_currency").first();
+  return (user && user.default_currency) || "TRY";
+};
+
+/**
+ * Kur kayıtlarını ekler, aynı gün ve çift için var olan kaydı günceller.
+ * Listede aynı çift ve gün birden fazla varsa sonuncusu kullanılır (Postgres aynı satırı
+ * tek bir ON CONFLICT içinde iki kez güncelleyemez).
+ *
+ * @param {{ base_currency: string, quote_currency: string, rate: number, date: string, source?: string }[]} rates
+ */
+const upsertRates = (rates, trx = knex) => {
+  const unique = new Map(
+    rates.map((rate) => [`${rate.base_currency}/${rate.quote_currency}/${rate.date}`, rate])
+  );
+
+  return trx("exchange_rate")
+    .insert(
+      [...unique.values()].map((rate) => ({
+        id: uuidv4(),
+        base_currency: rate.base_currency,
+        quote_currency: rate.quote_currency,
+        rate: rate.rate,
+        date: rate.date,
+        source: rate.source || null,
+        created_at: knex.fn.now(),
+        updated_at: knex.fn.now(),
+      }))
+    )
+    .onConflict(["base_currency", "quote_currency", "date"])
+    .merge(["rate", "source", "updated_at"])
+    .returning("*");
+};
+
+const validateRate = (rate) => {
+  if (!isCurrency(rate.base_currency) || !isCurrency(rate.quote_currency)) {
+    return "Currencies must be 3-letter ISO codes (e.g. USD)";
+  }
+  if (rate.base_currency === rate.quote_currency) {
+    return "Base and quote currency must differ";
+  }
+  if (!(Number(rate.rate) > 0)) {
+    return "Rate must be a positive number";
+  }
+  if (!rate.date || isNaN(new Date(rate.date))) {
+    return "A valid date is required";
+  }
+  return null;
+};
+
+// JSON dizi ya da "date,base_currency,quote_currency,rate" başlıklı CSV kabul eder
+const parseRateFile = (text, filename = "") => {
+  const content = text.replace(/^\uFEFF/, "").trim();
+
+  if (filename.endsWith(".json") || content.startsWith("[")) {
+    return JSON.parse(content);
+  }
+
+  const [header, ...lines] = content.split(/\r?\n/).filter(Boolean);
+  const delimiter = header.includes(";") ? ";" : ",";
+  const columns = header.split(delimiter).map((column) => column.trim().toLowerCase());
+
+  return lines.map((line) => {
+    const values = line.split(delimiter).map((value) => value.trim());
+    return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+  });
+};
+
+module.exports = {
+  ExchangeRateNotFoundError,
+  createConverter,
+  findRate,
+  getUserCurrency,
+  isCurrency,
+  parseRateFile,
+  upsertRates,
+  validateRate,
+};
@@ -0,0 +1,140 @@
+const knex = require("../db");
+const { signedAmount } = require("./account");
+const { subtreeIds } = require("./category");
+const { createConverter } = require("./currency");
+const { toDate, toDateString } = require("./recurring");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AVERAGE_MONTH_DAYS = 365.25 / 12;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// takvim günü farkı (yaz saati geçişlerinden etkilenmez)
+const daysBetween = (from, to) => Math.round((to - from) / DAY_MS);
+
+/**
+ * Hedefe katkı sayılan işlemler ve tutar ifadesi: hesaba bağlı hedefte hesabın bu defterdeki net girişi
+ * (gelir + gelen transfer - gider - giden transfer), kategoriye bağlı hedefte defterdeki o kategori
+ * ve alt kategorilerindeki işlemlerin tutarı. Bağlantısız hedefte katkı yoktur. Hesap birden çok
+ * defterde kullanılabildiği için diğer defterlerdeki hareketler sayılmaz.
+ */
+const contributionSource = (goal, trx) => {
+  if (goal.account_id) {
+    return {
+      query: trx("transaction")
+        .where("transaction.ledger_id", goal.ledger_id)
+        .andWhere("transaction.account_id", goal.account_id),
+      amount: signedAmount(),
+    };
+  }
+  if (goal.category_id) {
+    return {
+      query: trx("transaction")
+        .where("transaction.ledger_id", goal.ledger_id)
+        .whereIn("transaction.category_id", subtreeIds(goal.category_id, trx)),
+      amount: "transaction.amount",
+    };
+  }
+  return null;
+};
+
+/**
+ * Hedefin ilerlemesi: aylık katkılar, biriken tutar, hedef tarihe yetişmek için gereken aylık katkı
+ * ve son `paceDays` gündeki hıza göre tahmini tamamlanma tarihi. Tutarlar hedefin para birimine çevrilir;
+ * kur eksikse ExchangeRateNotFoundError fırlatılır.
+ *
+ * @param {object} goal
+ * @param {{ paceDays: number, today?: Date }} options
+ */
+const goalProgress = async (goal, { paceDays, today = new Date() }, trx = knex) => {
+  const todayDate = toDate(today);
+  const start = toDate(goal.start_date);
+  const target = toDate(goal.target_date);
+  // hız penceresi hedefin başlangıcından önceye taşmaz
+  const paceStart = new Date(Math.max(start, addDays(todayDate, 1 - paceDays)));
+
+  const source = contributionSource(goal, trx);
+  const rows = source
+    ? await source.query
+        .whereNull("transaction.deleted_at")
+        .andWhere("transaction.created_at", ">=", start)
+        .select(
+          "transaction.currency",
+          trx.raw(`to_char(transaction.created_at, 'YYYY-MM') as month`),
+          trx.raw(`sum(${source.amount}) as amount`),
+          trx.raw(`coalesce(sum(${source.amount}) filter (where transaction.created_at >= ?), 0) as recent`, [
+            paceStart,
+          ])
+        )
+        .groupBy("transaction.currency", "month")
+        .orderBy("month")
+    : [];
+
+  const convert = await createConverter(
+    rows.map((row) => row.currency),
+    goal.currency,
+    toDateString(todayDate),
+    trx
+  );
+
+  const byMonth = new Map();
+  let contributed = 0;
+  let recent = 0;
+  for (const row of rows) {
+    const amount = convert(row.amount, row.currency);
+    byMonth.set(row.month, round((byMonth.get(row.month) || 0) + amount));
+    contributed += amount;
+    recent += convert(row.recent, row.currency);
+  }
+
+  const targetAmount = Number(goal.target_amount);
+  const saved = round(Number(goal.initial_amount) + contributed);
+  const remaining = round(Math.max(targetAmount - saved, 0));
+  const completed = remaining === 0;
+
+  const daysLeft = daysBetween(todayDate, target);
+  // son ay kalsa bile gereken tutar bir ayda tamamlanacak şekilde hesaplanır; tarih geçtiyse null
+  let requiredMonthly = null;
+  if (completed) {
+    requiredMonthly = 0;
+  } else if (daysLeft > 0) {
+    requiredMonthly = round(remaining / Math.max(daysLeft / AVERAGE_MONTH_DAYS, 1));
+  }
+
+  const paceWindow = daysBetween(paceStart, todayDate) + 1;
+  const dailyPace = paceWindow > 0 ? recent / paceWindow : 0;
+
+  let projected = null;
+  if (!completed && dailyPace > 0) {
+    projected = addDays(todayDate, Math.ceil(remaining / dailyPace));
+  }
+
+  return {
+    goal,
+    currency: goal.currency,
+    target_amount: targetAmount,
+    initial_amount: Number(goal.initial_amount),
+    contributed: round(contributed),
+    saved,
+    remaining,
+    percent_complete: targetAmount > 0 ? Math.min(round((saved / targetAmount) * 100), 100) : null,
+    completed,
+    days_left: daysLeft,
+    required_monthly_contribution: requiredMonthly,
+    pace: {
+      days: Math.max(paceWindow, 0),
+      contributed: round(recent),
+      monthly: round(dailyPace * AVERAGE_MONTH_DAYS),
+    },
+    // hız sıfır ya da negatifse tahmin yapılamaz
+    projected_completion_date: projected && toDateString(projected),
+    on_track: completed || (projected !== null && projected <= target),
+    contributions: [...byMonth].map(([month, amount]) => ({ month, amount })),
+  };
+};
+
+module.exports = {
+  goalProgress,
+};
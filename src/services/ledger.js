@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const knex = require("../db");
+const { v4: uuidv4 } = require("uuid");
+
+const LEDGER_ROLES = ["viewer", "editor", "owner"];
+const INVITATION_TTL_DAYS = Number(process.env.LEDGER_INVITATION_TTL_DAYS) || 7;
+
+// rol en az istenen seviyede mi? (viewer < editor < owner)
+const hasRole = (role, minRole) => LEDGER_ROLES.indexOf(role) >= LEDGER_ROLES.indexOf(minRole);
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const createLedger = async (userId, name, trx = knex) => {
+  const [ledger] = await trx("ledger")
+    .insert({
+      id: uuidv4(),
+      name,
+      created_by: userId,
+      created_at: knex.fn.now(),
+      updated_at: knex.fn.now(),
+    })
+    .returning("*");
+
+  await trx("ledger_member").insert({
+    ledger_id: ledger.id,
+    auth_user_id: userId,
+    role: "owner",
+    created_at: knex.fn.now(),
+    updated_at: knex.fn.now(),
+  });
+
+  return { ...ledger, role: "owner" };
+};
+
+/**
+ * Kullanıcının varsayılan defteri: sahibi olduğu ilk defter, yoksa "Personal" adıyla oluşturulur.
+ * X-Ledger-Id gönderilmeyen istekler ve transfer/recurring gibi kullanıcıya bağlı işlemler bu defteri kullanır.
+ */
+const getDefaultLedger = async (userId, trx = knex) => {
+  const existing = await trx("ledger")
+    .join("ledger_member", "ledger_member.ledger_id", "ledger.id")
+    .where({ "ledger_member.auth_user_id": userId, "ledger_member.role": "owner" })
+    .orderBy([{ column: "ledger.created_at" }, { column: "ledger.id" }])
+    .first("ledger.*", "ledger_member.role");
+
+  return existing || createLedger(userId, "Personal", trx);
+};
+
+/**
+ * Kullanıcının üyesi olduğu defter ve rolü; üye değilse null.
+ */
+const findMembership = (userId, ledgerId, trx = knex) =>
+  trx("ledger")
+    .join("ledger_member", "ledger_member.ledger_id", "ledger.id")
+    .where({ "ledger.id": ledgerId, "ledger_member.auth_user_id": userId })
+    .first("ledger.*", "ledger_member.role");
+
+// whereIn("ledger_id", memberLedgerIds(userId)) için alt sorgu
+const memberLedgerIds = (userId, trx = knex) =>
+  trx("ledger_member").where({ auth_user_id: userId }).select("ledger_id");
+
+const createInvitation = async ({ ledgerId, email, role, invitedBy }, trx = knex) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  const [invitation] = await trx("ledger_invitation")
+    .insert({
+      id: uuidv4(),
+      ledger_id: ledgerId,
+      email: email.toLowerCase(),
+      role,
+      token_hash: hashToken(token),
+      invited_by: invitedBy,
+      expires_at: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+      created_at: knex.fn.now(),
+    })
+    .returning(["id", "ledger_id", "email", "role", "expires_at", "created_at"]);
+
+  return { ...invitation, token };
+};
+
+const findInvitationByToken = (token, trx = knex) =>
+  trx("ledger_invitation").where({ token_hash: hashToken(token || "") }).first();
+
+module.exports = {
+  LEDGER_ROLES,
+  createInvitation,
+  createLedger,
+  findInvitationByToken,
+  findMembership,
+  getDefaultLedger,
+  hasRole,
+  memberLedgerIds,
+};
@@ -0,0 +1,108 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const MAIL_FROM = process.env.MAIL_FROM || "Tracker <no-reply@localhost>";
+const APP_URL = (process.env.APP_URL || "http://localhost:3000").replace(/\/$/, "");
+
+/**
+ * Taşıyıcılar `send({ from, to, subject, text })` fonksiyonu döndüren fabrikalardır.
+ * MAIL_TRANSPORT ile seçilir; registerTransport ile yenisi eklenebilir.
+ */
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+    return (message) => transporter.sendMail(message);
+  },
+
+  // yerel geliştirme ve testler için: her mail MAIL_DIR altına ayrı bir JSON dosyası olarak yazılır
+  file: () => {
+    const dir = process.env.MAIL_DIR || path.join(process.cwd(), "tmp", "mail");
+    return async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, "_")}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    };
+  },
+
+  console: () => async (message) => {
+    console.log(`[mail] to=${message.to} subject=${message.subject}\n${message.text}`);
+  },
+};
+
+let send = null;
+
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  send = null;
+};
+
+// console taşıyıcısı doğrulama/sıfırlama token'larını loga yazar; varsayılan olarak sadece geliştirmede kullanılır
+const transportName = () => {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+  if (process.env.NODE_ENV === "development") {
+    return "console";
+  }
+  throw new Error("MAIL_TRANSPORT must be set outside development");
+};
+
+const getTransport = () => {
+  if (!send) {
+    const name = transportName();
+    if (!transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    }
+    send = transports[name]();
+  }
+  return send;
+};
+
+const sendMail = ({ to, subject, text }) => getTransport()({ from: MAIL_FROM, to, subject, text });
+
+// mail gönderimi asıl işlemi bozmasın diye hata sadece loglanır; taşıyıcı seçimindeki
+// senkron hatalar da promise zincirine alınır
+const sendMailSafely = (message) =>
+  Promise.resolve()
+    .then(() => sendMail(message))
+    .catch((error) => {
+      console.error(`Mail to ${message.to} failed:`, error.message);
+    });
+
+const templates = {
+  emailVerification: (user, token) => ({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.name},\n\nConfirm your email address by opening the link below:\n\n${APP_URL}/verify-email?token=${token}\n`,
+  }),
+
+  passwordReset: (user, token) => ({
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `Hi ${user.name},\n\nSomeone asked to reset the password of your account. ` +
+      `If it was you, open the link below to choose a new password:\n\n${APP_URL}/reset-password?token=${token}\n\n` +
+      "If it wasn't you, you can ignore this email.\n",
+  }),
+
+  ledgerInvitation: (invitation, ledger, inviter) => ({
+    to: invitation.email,
+    subject: `${inviter.name} invited you to "${ledger.name}"`,
+    text:
+      `${inviter.name} invited you to the "${ledger.name}" ledger as ${invitation.role}.\n\n` +
+      `Open the link below after signing in with this email address:\n\n${APP_URL}/ledger-invitation?token=${invitation.token}\n`,
+  }),
+};
+
+module.exports = {
+  registerTransport,
+  sendMail,
+  sendMailSafely,
+  templates,
+};
@@ -0,0 +1,224 @@
+const knex = require("../db");
+const { v4: uuidv4 } = require("uuid");
+const { getDefaultAccount } = require("./account");
+const { findMembership, hasRole } = require("./ledger");
+const { FREQUENCIES } = require("../schemas/recurring_transaction");
+
+// pg "date" kolonlarını yerel gece yarısı olarak döndürür, hesaplar da yerel saatle yapılır
+const toDate = (value) => {
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split("-").map(Number);
+    return new Date(year, month - 1, day);
+  }
+  const date = new Date(value);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+const toDateString = (date) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// ay sonunu aşan günler (ör. 31) o ayın son gününe çekilir
+const monthDay = (year, month, day) =>
+  new Date(year, month, Math.min(day, daysInMonth(year, month)));
+
+const firstOccurrence = (rule) => {
+  const start = toDate(rule.start_date);
+
+  if (rule.frequency === "monthly" && rule.day_of_month) {
+    const candidate = monthDay(start.getFullYear(), start.getMonth(), rule.day_of_month);
+    if (candidate >= start) {
+      return candidate;
+    }
+    return monthDay(start.getFullYear(), start.getMonth() + 1, rule.day_of_month);
+  }
+
+  return start;
+};
+
+const nextOccurrence = (rule, date) => {
+  const interval = rule.interval || 1;
+  const start = toDate(rule.start_date);
+
+  switch (rule.frequency) {
+    case "daily":
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate() + interval);
+    case "weekly":
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7 * interval);
+    case "monthly":
+      return monthDay(
+        date.getFullYear(),
+        date.getMonth() + interval,
+        rule.day_of_month || start.getDate()
+      );
+    case "yearly":
+      return monthDay(date.getFullYear() + interval, start.getMonth(), start.getDate());
+    default:
+      throw new Error(`Unknown frequency: ${rule.frequency}`);
+  }
+};
+
+const isFinished = (rule, date, count) =>
+  (rule.end_date && date > toDate(rule.end_date)) ||
+  (rule.max_occurrences && count >= rule.max_occurrences);
+
+// kural için henüz üretilmemiş ilk tarihi bulur (kural güncellendiğinde kullanılır)
+const computeNextRunDate = async (rule, trx = knex) => {
+  const last = await trx("transaction")
+    .where({ recurring_transaction_id: rule.id })
+    .max({ occurrence_date: "occurrence_date" })
+    .first();
+
+  let next = firstOccurrence(rule);
+  if (last && last.occurrence_date) {
+    const lastDate = toDate(last.occurrence_date);
+    while (next <= lastDate) {
+      next = nextOccurrence(rule, next);
+    }
+  }
+
+  return toDateString(next);
+};
+
+const materializeRule = async (ruleId, today) =>
+  knex.transaction(async (trx) => {
+    // aynı anda çalışan başka bir zamanlayıcı varsa bu kuralı atla
+    const rule = await trx("recurring_transaction")
+      .where({ id: ruleId, active: true })
+      .forUpdate()
+      .skipLocked()
+      .first();
+
+    if (!rule || !rule.next_run_date) {
+      return 0;
+    }
+
+    const category = await trx("category")
+      .where({ id: rule.category_id })
+      .whereNull("deleted_at")
+      .first();
+    if (!category) {
+      return 0;
+    }
+
+    // kural sahibinin defterde yazma yetkisi kalmadıysa (üyelikten çıkarıldı, viewer yapıldı) kural durdurulur
+    const membership = await findMembership(rule.auth_user_id, category.ledger_id, trx);
+    if (!membership || !hasRole(membership.role, "editor")) {
+      await trx("recurring_transaction")
+        .where({ id: rule.id })
+        .update({ active: false, updated_at: knex.fn.now() });
+      return 0;
+    }
+
+    const account = rule.account_id
+      ? await trx("account").where({ id: rule.account_id }).first()
+      : await getDefaultAccount(rule.auth_user_id, trx);
+
+    // hesabı silinen ya da varsayılan hesabı değişen kuralın para birimi hesapla uyuşmayabilir;
+    // işlem yanlış para birimiyle yazılıp bakiyeyi bozmasın diye kural durdurulur
+    if (account.currency !== rule.currency) {
+      await trx("recurring_transaction")
+        .where({ id: rule.id })
+        .update({ active: false, updated_at: knex.fn.now() });
+      return 0;
+    }
+
+    let next = toDate(rule.next_run_date);
+    let count = rule.occurrences_count;
+    let created = 0;
+
+    while (next <= today && !isFinished(rule, next, count)) {
+      const inserted = await trx("transaction")
+        .insert({
+          id: uuidv4(),
+          title: rule.title,
+          description: rule.description,
+          amount: rule.amount,
+          currency: rule.currency,
+          type: category.type,
+          category_id: rule.category_id,
+          account_id: account.id,
+          ledger_id: category.ledger_id,
+          auth_user_id: rule.auth_user_id,
+          recurring_transaction_id: rule.id,
+          occurrence_date: toDateString(next),
+          created_at: next,
+          updated_at: knex.fn.now(),
+        })
+        .onConflict(["recurring_transaction_id", "occurrence_date"])
+        .ignore()
+        .returning("id");
+
+      created += inserted.length;
+      count += 1;
+      next = nextOccurrence(rule, next);
+    }
+
+    await trx("recurring_transaction")
+      .where({ id: rule.id })
+      .update({
+        next_run_date: toDateString(next),
+        occurrences_count: count,
+        active: !isFinished(rule, next, count),
+        updated_at: knex.fn.now(),
+      });
+
+    return created;
+  });
+
+/**
+ * Vadesi gelmiş tüm tekrarlayan işlemler için transaction satırlarını üretir.
+ * Aynı gün için ikinci kez çalıştırılması yeni satır oluşturmaz.
+ *
+ * @param {{ userId?: string, date?: Date }} [options]
+ * @returns {Promise<number>} oluşturulan transaction sayısı
+ */
+const materializeDue = async ({ userId, date = new Date() } = {}) => {
+  const today = toDate(date);
+
+  let query = knex("recurring_transaction")
+    .where({ active: true })
+    .andWhere("next_run_date", "<=", toDateString(today));
+
+  if (userId) {
+    query = query.andWhere({ auth_user_id: userId });
+  }
+
+  const rules = await query.select("id");
+
+  let created = 0;
+  for (const { id } of rules) {
+    created += await materializeRule(id, today);
+  }
+
+  return created;
+};
+
+const startRecurringScheduler = () => {
+  const minutes = Number(process.env.RECURRING_INTERVAL_MINUTES ?? 60);
+  if (!minutes) {
+    return null;
+  }
+
+  const run = () =>
+    materializeDue()
+      .then((created) => {
+        if (created) console.log(`Recurring scheduler created ${created} transaction(s)`);
+      })
+      .catch((error) => console.error("Recurring scheduler error:", error));
+
+  run();
+  return setInterval(run, minutes * 60 * 1000);
+};
+
+module.exports = {
+  FREQUENCIES,
+  computeNextRunDate,
+  materializeDue,
+  startRecurringScheduler,
+  toDate,
+  toDateString,
+};
@@ -0,0 +1,188 @@
+const RE2 = require("re2");
+const knex = require("../db");
+const { RULE_ACTIONS, RULE_CONDITIONS } = require("../schemas/rule");
+
+// kuralın eşleştiği metin: açıklama, yoksa başlık
+const matchText = (transaction) => transaction.description || transaction.title || "";
+
+// kullanıcı regex'leri RE2 ile çalışır: doğrusal zamanlıdır, iç içe niceleyicilerle (ReDoS) sunucu kilitlenmez.
+// Geri referans ve lookaround desteklenmez; bunları içeren desen geçersiz sayılır.
+const compileRegex = (pattern) => {
+  try {
+    return new RE2(pattern, "i");
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Kural tanımındaki (veritabanına bağlı olmayan) hataları döndürür: en az bir koşul ve bir eylem,
+ * geçerli regex ve tutarlı tutar aralığı.
+ */
+const ruleDefinitionErrors = (rule) => {
+  const errors = [];
+  const isSet = (field) => rule[field] !== undefined && rule[field] !== null;
+
+  if (!RULE_CONDITIONS.some(isSet)) {
+    errors.push({ field: null, message: `must have at least one condition (${RULE_CONDITIONS.join(", ")})` });
+  }
+  if (!RULE_ACTIONS.some(isSet)) {
+    errors.push({ field: null, message: `must have at least one action (${RULE_ACTIONS.join(", ")})` });
+  }
+  if (isSet("description_regex") && !compileRegex(rule.description_regex)) {
+    errors.push({ field: "description_regex", message: "must be a valid regular expression" });
+  }
+  if (isSet("amount_min") && isSet("amount_max") && Number(rule.amount_min) > Number(rule.amount_max)) {
+    errors.push({ field: "amount_max", message: "must be greater than or equal to amount_min" });
+  }
+
+  return errors;
+};
+
+/**
+ * Kuralı işlem nesnesi ({ title, description, amount, account_id }) üzerinde çalışan bir fonksiyona çevirir.
+ */
+const compileRule = (rule) => {
+  const contains = rule.description_contains ? rule.description_contains.toLowerCase() : null;
+  const regex = rule.description_regex ? compileRegex(rule.description_regex) : null;
+  const min = rule.amount_min === null || rule.amount_min === undefined ? null : Number(rule.amount_min);
+  const max = rule.amount_max === null || rule.amount_max === undefined ? null : Number(rule.amount_max);
+
+  return (transaction) => {
+    const text = matchText(transaction);
+    const amount = Number(transaction.amount);
+
+    if (contains && !text.toLowerCase().includes(contains)) return false;
+    if (rule.description_regex && !(regex && regex.test(text))) return false;
+    if (min !== null && !(amount >= min)) return false;
+    if (max !== null && !(amount <= max)) return false;
+    if (rule.account_id && rule.account_id !== transaction.account_id) return false;
+    return true;
+  };
+};
+
+/**
+ * Defterin aktif kurallarını öncelik sırasıyla getirir. Silinmiş kategoriye giden kategori eylemi yok sayılır;
+ * set_category_type hedef kategorinin tipidir.
+ */
+const loadRules = async (ledgerId, trx = knex) => {
+  const rules = await trx("rule")
+    .leftJoin("category", function () {
+      this.on("category.id", "rule.set_category_id").andOnNull("category.deleted_at");
+    })
+    .where({ "rule.ledger_id": ledgerId, "rule.active": true })
+    .select("rule.*", "category.type as set_category_type")
+    .orderBy([{ column: "rule.priority" }, { column: "rule.created_at" }, { column: "rule.id" }]);
+
+  return rules.map((rule) => ({
+    ...rule,
+    set_category_id: rule.set_category_type ? rule.set_category_id : null,
+    matches: compileRule(rule),
+  }));
+};
+
+/**
+ * Kuralları öncelik sırasıyla işleme uygular. Her eylemi onu belirleyen ilk eşleşen kural verir,
+ * etiketler birikir. `type` verilirse tipi uyuşmayan kategoriler atlanır.
+ *
+ * @returns {{ category_id?: string, type?: string, title?: string, tagIds: string[], ruleIds: string[] }}
+ */
+const evaluateRules = (rules, transaction, { type } = {}) => {
+  const result = { tagIds: [], ruleIds: [] };
+
+  for (const rule of rules) {
+    if (!rule.matches(transaction)) continue;
+
+    let applied = false;
+    if (rule.set_category_id && result.category_id === undefined && (!type || type === rule.set_category_type)) {
+      result.category_id = rule.set_category_id;
+      result.type = rule.set_category_type;
+      applied = true;
+    }
+    if (rule.set_title && result.title === undefined) {
+      result.title = rule.set_title;
+      applied = true;
+    }
+    if (rule.add_tag_id && !result.tagIds.includes(rule.add_tag_id)) {
+      result.tagIds.push(rule.add_tag_id);
+      applied = true;
+    }
+    if (applied) {
+      result.ruleIds.push(rule.id);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Tek bir kuralın defterdeki mevcut (silinmemiş, transfer olmayan) işlemlerden hangilerini değiştireceğini bulur.
+ * Kolay koşullar SQL'de, regex JavaScript'te uygulanır. evaluateRules'taki gibi kategori yalnızca aynı
+ * tipteki işlemlere atanır; gelir gidere (ya da tersi) çevrilmez, etiket ve başlık yine uygulanır.
+ *
+ * @returns {Promise<Array<{ transaction: object, changes: object, addTag: boolean }>>}
+ */
+const findRuleChanges = async (rule, ledgerId, trx = knex) => {
+  let query = trx("transaction")
+    .where({ ledger_id: ledgerId })
+    .whereNull("deleted_at")
+    .whereNull("transfer_id")
+    .select("id", "title", "description", "amount", "type", "category_id", "account_id", "created_at")
+    .orderBy([{ column: "created_at", order: "desc" }, { column: "id" }]);
+
+  if (rule.description_contains) {
+    query = query.whereRaw("coalesce(nullif(description, ''), title) ilike ?", [
+      `%${rule.description_contains.replace(/[\\%_]/g, "\\$&")}%`,
+    ]);
+  }
+  if (rule.amount_min !== null && rule.amount_min !== undefined) {
+    query = query.andWhere("amount", ">=", rule.amount_min);
+  }
+  if (rule.amount_max !== null && rule.amount_max !== undefined) {
+    query = query.andWhere("amount", "<=", rule.amount_max);
+  }
+  if (rule.account_id) {
+    query = query.andWhere("account_id", rule.account_id);
+  }
+
+  const matches = compileRule(rule);
+  const candidates = (await query).filter(matches);
+
+  const tagged = new Set();
+  if (rule.add_tag_id && candidates.length) {
+    const rows = await trx("transaction_tag")
+      .where({ tag_id: rule.add_tag_id })
+      .whereIn(
+        "transaction_id",
+        candidates.map((t) => t.id)
+      )
+      .pluck("transaction_id");
+    rows.forEach((id) => tagged.add(id));
+  }
+
+  return candidates
+    .map((transaction) => {
+      const changes = {};
+      if (
+        rule.set_category_id &&
+        transaction.type === rule.set_category_type &&
+        transaction.category_id !== rule.set_category_id
+      ) {
+        changes.category_id = rule.set_category_id;
+      }
+      if (rule.set_title && transaction.title !== rule.set_title) {
+        changes.title = rule.set_title;
+      }
+      const addTag = Boolean(rule.add_tag_id) && !tagged.has(transaction.id);
+      return { transaction, changes, addTag };
+    })
+    .filter(({ changes, addTag }) => addTag || Object.keys(changes).length);
+};
+
+module.exports = {
+  compileRule,
+  evaluateRules,
+  findRuleChanges,
+  loadRules,
+  ruleDefinitionErrors,
+};
@@ -0,0 +1,155 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const knex = require("../db");
+const { v4: uuidv4 } = require("uuid");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+class InvalidRefreshTokenError extends Error {
+  constructor(message = "Invalid refresh token") {
+    super(message);
+    this.name = "InvalidRefreshTokenError";
+  }
+}
+
+// refresh token veritabanında sadece sha256 özeti olarak tutulur
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign({ id: user.id, email: user.email, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+const issueRefreshToken = async (userId, sessionId, req, trx = knex) => {
+  const token = crypto.randomBytes(48).toString("base64url");
+  const id = uuidv4();
+
+  await trx("refresh_token").insert({
+    id,
+    auth_user_id: userId,
+    session_id: sessionId,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    user_agent: req ? (req.get("user-agent") || "").slice(0, 255) : null,
+    ip: req ? req.ip : null,
+    created_at: knex.fn.now(),
+  });
+
+  return { id, token };
+};
+
+/**
+ * Yeni oturum açar: kısa ömürlü access token + refresh token.
+ */
+const createSession = async (user, req) => {
+  const sessionId = uuidv4();
+  const { token: refreshToken } = await issueRefreshToken(user.id, sessionId, req);
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_TTL,
+  };
+};
+
+const revokeSession = (sessionId, trx = knex) =>
+  trx("refresh_token")
+    .where({ session_id: sessionId })
+    .whereNull("revoked_at")
+    .update({ revoked_at: knex.fn.now() });
+
+const revokeAllSessions = (userId, trx = knex) =>
+  trx("refresh_token")
+    .where({ auth_user_id: userId })
+    .whereNull("revoked_at")
+    .update({ revoked_at: knex.fn.now() });
+
+// şifre değişikliğinde mevcut oturum açık kalır, diğerleri kapatılır
+const revokeOtherSessions = (userId, sessionId, trx = knex) =>
+  trx("refresh_token")
+    .where({ auth_user_id: userId })
+    .whereNot({ session_id: sessionId })
+    .whereNull("revoked_at")
+    .update({ revoked_at: knex.fn.now() });
+
+/**
+ * Refresh token'ı tek kullanımlık olarak yenisiyle değiştirir.
+ * Daha önce kullanılmış bir token tekrar gelirse çalınmış kabul edilir ve oturum kapatılır.
+ * Hata transaction içinde fırlatılmaz, sonuç olarak döner; aksi halde rollback oturum kapatmayı da geri alırdı.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const result = await knex.transaction(async (trx) => {
+    const current = await trx("refresh_token")
+      .where({ token_hash: hashToken(refreshToken || "") })
+      .forUpdate()
+      .first();
+
+    if (!current) {
+      return { error: new InvalidRefreshTokenError() };
+    }
+
+    if (current.revoked_at) {
+      if (current.replaced_by) {
+        await revokeSession(current.session_id, trx);
+      }
+      return { error: new InvalidRefreshTokenError("Refresh token has been revoked") };
+    }
+
+    if (new Date(current.expires_at) <= new Date()) {
+      return { error: new InvalidRefreshTokenError("Refresh token has expired") };
+    }
+
+    const user = await trx("auth_users").where({ id: current.auth_user_id }).first();
+    if (!user || user.active === false) {
+      await revokeSession(current.session_id, trx);
+      return { error: new InvalidRefreshTokenError("Account is deactivated") };
+    }
+
+    const next = await issueRefreshToken(user.id, current.session_id, req, trx);
+    await trx("refresh_token")
+      .where({ id: current.id })
+      .update({ revoked_at: knex.fn.now(), replaced_by: next.id });
+
+    return {
+      session: {
+        token: signAccessToken(user, current.session_id),
+        refresh_token: next.token,
+        expires_in: ACCESS_TOKEN_TTL,
+      },
+    };
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+  return result.session;
+};
+
+const findSessionByRefreshToken = (refreshToken) =>
+  knex("refresh_token").where({ token_hash: hashToken(refreshToken || "") }).first();
+
+/**
+ * Access token'daki oturum hâlâ geçerli mi ve kullanıcı aktif mi?
+ */
+const isSessionActive = async (userId, sessionId) => {
+  const row = await knex("refresh_token")
+    .join("auth_users", "auth_users.id", "refresh_token.auth_user_id")
+    .where({ "refresh_token.session_id": sessionId, "refresh_token.auth_user_id": userId })
+    .whereNull("refresh_token.revoked_at")
+    .andWhere("auth_users.active", true)
+    .first("refresh_token.id");
+
+  return Boolean(row);
+};
+
+module.exports = {
+  InvalidRefreshTokenError,
+  createSession,
+  findSessionByRefreshToken,
+  isSessionActive,
+  revokeAllSessions,
+  revokeOtherSessions,
+  revokeSession,
+  rotateRefreshToken,
+};
@@ -0,0 +1,235 @@
+// Banka ekstresi (CSV, OFX/QFX) ayrıştırıcıları
+
+const DEFAULT_CSV_MAPPING = {
+  date: "date",
+  amount: "amount",
+  description: "description",
+  category: null,
+  currency: null,
+  dateFormat: null,
+  decimalSeparator: null,
+  delimiter: null,
+};
+
+const detectDelimiter = (line) => {
+  const candidates = [",", ";", "\t"];
+  return candidates.reduce((best, candidate) =>
+    line.split(candidate).length > line.split(best).length ? candidate : best
+  );
+};
+
+// tırnaklı alanları ve alan içindeki satır sonlarını destekleyen basit CSV okuyucu
+const parseCsvRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+// ayırıcı belirtilmemişse tutarın kendisinden çıkarılır: iki ayırıcı varsa sondaki ondalıktır,
+// tekrar eden ayırıcı binlik ayırıcısıdır. "1.234" ya da "1,234" gibi (tek ayırıcı, ardından üç hane)
+// tutarlar hem binlik hem ondalık olabileceği için undefined döner.
+const inferDecimalSeparator = (text) => {
+  const lastComma = text.lastIndexOf(",");
+  const lastDot = text.lastIndexOf(".");
+  if (lastComma === -1 && lastDot === -1) return ".";
+  if (lastComma !== -1 && lastDot !== -1) return lastComma > lastDot ? "," : ".";
+
+  const separator = lastComma !== -1 ? "," : ".";
+  if (text.indexOf(separator) !== text.lastIndexOf(separator)) {
+    return separator === "," ? "." : ",";
+  }
+  return text.length - text.lastIndexOf(separator) - 1 === 3 ? undefined : separator;
+};
+
+// ondalık ayırıcısına göre geçerli tutar biçimi: binlik ayırıcısı varsa üçlü gruplar halinde olmalı
+const AMOUNT_PATTERNS = {
+  ".": /^(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/,
+  ",": /^(\d{1,3}(\.\d{3})+|\d+)(,\d+)?$/,
+};
+
+/**
+ * "1.234,56", "1,234.56", "-12.5", "+12.5" ve "(12.50)" biçimlerini sayıya çevirir; para birimi simgeleri
+ * ve boşluklar atılır. Sondaki eksi ("12-"), üçlü gruplanmamış binlik ayırıcısı ve ayırıcı verilmeden
+ * belirsiz kalan tutarlar NaN döner.
+ *
+ * @param {string|number} value
+ * @param {","|"."} [decimalSeparator]
+ */
+const parseAmount = (value, decimalSeparator) => {
+  if (typeof value === "number") return value;
+  if (!value) return NaN;
+
+  let text = String(value).replace(/[^\d,.+\-()]/g, "");
+  let negative = false;
+
+  const parenthesized = text.match(/^\((.*)\)$/);
+  if (parenthesized) {
+    negative = true;
+    text = parenthesized[1];
+  } else if (/^[+-]/.test(text)) {
+    negative = text[0] === "-";
+    text = text.slice(1);
+  }
+  if (!/^[\d.,]+$/.test(text)) return NaN;
+
+  const decimal = decimalSeparator || inferDecimalSeparator(text);
+  if (!decimal) return NaN;
+
+  if (!AMOUNT_PATTERNS[decimal].test(text)) return NaN;
+
+  const amount = Number(text.replace(decimal === "," ? /\./g : /,/g, "").replace(decimal, "."));
+  return negative ? -amount : amount;
+};
+
+const DATE_FORMATS = {
+  "YYYY-MM-DD": /^(?<y>\d{4})-(?<m>\d{1,2})-(?<d>\d{1,2})/,
+  "DD.MM.YYYY": /^(?<d>\d{1,2})\.(?<m>\d{1,2})\.(?<y>\d{4})/,
+  "DD/MM/YYYY": /^(?<d>\d{1,2})\/(?<m>\d{1,2})\/(?<y>\d{4})/,
+  "MM/DD/YYYY": /^(?<m>\d{1,2})\/(?<d>\d{1,2})\/(?<y>\d{4})/,
+  YYYYMMDD: /^(?<y>\d{4})(?<m>\d{2})(?<d>\d{2})/,
+};
+
+const parseDate = (value, format) => {
+  const text = String(value || "").trim();
+  const formats = format ? [format] : Object.keys(DATE_FORMATS);
+
+  for (const name of formats) {
+    const pattern = DATE_FORMATS[name];
+    const match = pattern && text.match(pattern);
+    if (match) {
+      const [y, m, d] = ["y", "m", "d"].map((part) => Number(match.groups[part]));
+      // 31.02.2025 gibi takvimde olmayan günler Date'te sonraki aya taşar; bu biçimle eşleşmemiş sayılır
+      const date = new Date(y, m - 1, d);
+      if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) {
+        continue;
+      }
+      const pad = (n) => String(n).padStart(2, "0");
+      return `${y}-${pad(m)}-${pad(d)}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * CSV metnini kolon eşlemesine göre ham satırlara çevirir.
+ * Eşleme değerleri başlık adı (büyük/küçük harf duyarsız) ya da 0 tabanlı kolon indeksidir.
+ */
+const parseCsv = (text, mapping = {}) => {
+  const options = { ...DEFAULT_CSV_MAPPING, ...mapping };
+  const content = text.replace(/^\uFEFF/, "");
+  const delimiter = options.delimiter || detectDelimiter(content.split(/\r?\n/)[0] || "");
+  const [header = [], ...rows] = parseCsvRows(content, delimiter);
+  const headers = header.map((name) => name.trim().toLowerCase());
+
+  const columnIndex = (column) => {
+    if (column === null || column === undefined) return -1;
+    if (Number.isInteger(column)) return column;
+    return headers.indexOf(String(column).trim().toLowerCase());
+  };
+
+  const columns = {
+    date: columnIndex(options.date),
+    amount: columnIndex(options.amount),
+    description: columnIndex(options.description),
+    category: columnIndex(options.category),
+    currency: columnIndex(options.currency),
+  };
+
+  if (options.decimalSeparator && !AMOUNT_PATTERNS[options.decimalSeparator]) {
+    throw new Error('decimalSeparator must be "," or "."');
+  }
+
+  for (const key of ["date", "amount", "description"]) {
+    if (columns[key] === -1) {
+      throw new Error(`CSV column for "${key}" not found`);
+    }
+  }
+
+  return rows.map((row, index) => ({
+    line: index + 2,
+    date: parseDate(row[columns.date], options.dateFormat),
+    amount: parseAmount(row[columns.amount], options.decimalSeparator),
+    description: (row[columns.description] || "").trim(),
+    category: columns.category === -1 ? null : (row[columns.category] || "").trim() || null,
+    currency:
+      columns.currency === -1 ? null : (row[columns.currency] || "").trim().toUpperCase() || null,
+  }));
+};
+
+// OFX 1.x (SGML, kapanış etiketi olmayabilir) ve OFX 2.x (XML) için ortak okuyucu
+const ofxField = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  return match ? match[1].trim() : null;
+};
+
+const parseOfx = (text) => {
+  const currency = ofxField(text, "CURDEF");
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  return blocks.map((block, index) => {
+    const name = ofxField(block, "NAME");
+    const memo = ofxField(block, "MEMO");
+
+    return {
+      line: index + 1,
+      date: parseDate(ofxField(block, "DTPOSTED"), "YYYYMMDD"),
+      amount: parseAmount(ofxField(block, "TRNAMT"), "."),
+      description: [name, memo].filter(Boolean).join(" - "),
+      category: null,
+      currency: (ofxField(block, "CURSYM") || currency || "").toUpperCase() || null,
+    };
+  });
+};
+
+const detectFormat = (filename = "", text = "") => {
+  const extension = filename.split(".").pop().toLowerCase();
+  if (["ofx", "qfx"].includes(extension)) return "ofx";
+  if (extension === "csv") return "csv";
+  return /<OFX>/i.test(text) ? "ofx" : "csv";
+};
+
+module.exports = {
+  DATE_FORMATS,
+  detectFormat,
+  parseAmount,
+  parseCsv,
+  parseDate,
+  parseOfx,
+};
@@ -0,0 +1,110 @@
+const fs = require("fs");
+const path = require("path");
+
+class StorageObjectNotFoundError extends Error {
+  constructor(key) {
+    super(`Storage object not found: ${key}`);
+    this.name = "StorageObjectNotFoundError";
+    this.key = key;
+  }
+}
+
+/**
+ * Dosya depolama sürücüleri: her biri { put(key, buffer, contentType), get(key), remove(key) } döner.
+ * get okunabilir bir stream döndürür, dosya yoksa StorageObjectNotFoundError fırlatır (yanıt
+ * başlıkları gönderilmeden önce anlaşılsın diye). STORAGE_DRIVER ile seçilir; registerDriver ile
+ * yenisi eklenebilir.
+ */
+const drivers = {
+  local: () => {
+    const root = path.resolve(process.env.STORAGE_DIR || path.join(process.cwd(), "storage"));
+    // anahtarlar uygulama tarafından üretilir, yine de kök dizinin dışına çıkılmasına izin verilmez
+    const resolve = (key) => {
+      const file = path.resolve(root, key);
+      if (!file.startsWith(root + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return file;
+    };
+
+    return {
+      put: async (key, buffer) => {
+        const file = resolve(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer);
+      },
+      get: async (key) => {
+        // dosya önce açılır; stream'in açılış hatası ancak yanıt başladıktan sonra fark edilirdi
+        let handle;
+        try {
+          handle = await fs.promises.open(resolve(key));
+        } catch (error) {
+          if (error.code === "ENOENT") {
+            throw new StorageObjectNotFoundError(key);
+          }
+          throw error;
+        }
+        return handle.createReadStream();
+      },
+      remove: (key) => fs.promises.rm(resolve(key), { force: true }),
+    };
+  },
+
+  // AWS S3 ya da S3 uyumlu servisler (MinIO vb. için S3_ENDPOINT ve S3_FORCE_PATH_STYLE=true)
+  s3: () => {
+    const { DeleteObjectCommand, GetObjectCommand, PutObjectCommand, S3Client } = require("@aws-sdk/client-s3");
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+      throw new Error("S3_BUCKET is required for the s3 storage driver");
+    }
+
+    const client = new S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined,
+    });
+
+    return {
+      put: (key, buffer, contentType) =>
+        client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType })),
+      get: async (key) => {
+        try {
+          return (await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }))).Body;
+        } catch (error) {
+          if (error.name === "NoSuchKey") {
+            throw new StorageObjectNotFoundError(key);
+          }
+          throw error;
+        }
+      },
+      remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+    };
+  },
+};
+
+let storage = null;
+
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+  storage = null;
+};
+
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || "local";
+    if (!drivers[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+    }
+    storage = drivers[name]();
+  }
+  return storage;
+};
+
+module.exports = {
+  StorageObjectNotFoundError,
+  getStorage,
+  registerDriver,
+};
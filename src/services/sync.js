@@ -0,0 +1,116 @@
+const knex = require("../db");
+const { InvalidCursorError } = require("../utils/pagination");
+const { attachTags } = require("./tag");
+
+const etag = (row) => `"${row.version}"`;
+
+/**
+ * If-Match başlığı yoksa ya da kaydın güncel version'ını içeriyorsa true döner.
+ * `"3"`, `W/"3"`, tırnaksız `3` ve `*` kabul edilir.
+ */
+const ifMatchSatisfied = (header, row) => {
+  if (header === undefined) {
+    return true;
+  }
+
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, "").replace(/^"(.*)"$/, "$1"))
+    .some((tag) => tag === "*" || tag === String(row.version));
+};
+
+// Cursor iki biçimdedir: sayfa ortasında son dönen kayıt [xid, entity, id],
+// son sayfada ise o ana kadar tamamlanmış tüm transaction'ları kapsayan sınır [xid].
+const encodeSyncCursor = (parts) => Buffer.from(JSON.stringify(parts)).toString("base64url");
+
+const decodeSyncCursor = (cursor) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (err) {
+    throw new InvalidCursorError();
+  }
+
+  if (
+    !Array.isArray(decoded) ||
+    ![1, 3].includes(decoded.length) ||
+    !decoded.every((part) => typeof part === "string") ||
+    !/^\d+$/.test(decoded[0])
+  ) {
+    throw new InvalidCursorError();
+  }
+
+  return decoded;
+};
+
+/**
+ * Defterde cursor'dan sonra oluşturulan, değişen, çöp kutusuna taşınan ya da kalıcı silinen
+ * kategori ve işlemleri döndürür.
+ *
+ * Sıralama kaydı değiştiren veritabanı transaction'ının id'sine (xid8) göredir. Hâlâ açık olan
+ * bir transaction'dan daha yeni değişiklikler dönmez (pg_snapshot_xmin); böylece geç commit
+ * edilen eski bir transaction'ın değişiklikleri cursor'un gerisinde kalıp kaybolmaz.
+ *
+ * @param {string} ledgerId
+ * @param {{ since?: string, limit: number }} options
+ */
+const getChanges = async (ledgerId, { since, limit }) => {
+  const position = since ? decodeSyncCursor(since) : null;
+
+  // tüm okumalar aynı snapshot'tan yapılır
+  return knex.transaction(
+    async (trx) => {
+      const { watermark } = await trx.first(trx.raw("pg_snapshot_xmin(pg_current_snapshot())::text as watermark"));
+
+      let query = trx("sync_change")
+        .where({ ledger_id: ledgerId })
+        .andWhere("changed_xid", "<", trx.raw("?::xid8", [watermark]))
+        .select("entity", "record_id", trx.raw("changed_xid::text as changed_xid"), "purged_at")
+        .orderBy([{ column: "changed_xid" }, { column: "entity" }, { column: "record_id" }])
+        .limit(limit + 1);
+
+      if (position && position.length === 3) {
+        query = query.andWhere(
+          trx.raw("(changed_xid, entity, record_id) > (?::xid8, ?, ?::uuid)", position)
+        );
+      } else if (position) {
+        query = query.andWhere("changed_xid", ">=", trx.raw("?::xid8", [position[0]]));
+      }
+
+      const changes = await query;
+      const hasMore = changes.length > limit;
+      const page = changes.slice(0, limit);
+
+      const idsOf = (entity) =>
+        page.filter((change) => change.entity === entity && !change.purged_at).map((change) => change.record_id);
+
+      const categories = await trx("category").whereIn("id", idsOf("category")).orderBy("id");
+      const transactions = await attachTags(
+        await trx("transaction").whereIn("id", idsOf("transaction")).orderBy("id"),
+        trx
+      );
+
+      const last = page[page.length - 1];
+      const cursor = hasMore
+        ? encodeSyncCursor([last.changed_xid, last.entity, last.record_id])
+        : encodeSyncCursor([watermark]);
+
+      return {
+        categories,
+        transactions,
+        purged: page
+          .filter((change) => change.purged_at)
+          .map((change) => ({ entity: change.entity, id: change.record_id, purged_at: change.purged_at })),
+        cursor,
+        has_more: hasMore,
+      };
+    },
+    { isolationLevel: "repeatable read", readOnly: true }
+  );
+};
+
+module.exports = {
+  etag,
+  getChanges,
+  ifMatchSatisfied,
+};
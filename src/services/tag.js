@@ -0,0 +1,111 @@
+const knex = require("../db");
+const { v4: uuidv4 } = require("uuid");
+
+// aynı isim farklı yazımlarla gelse de tek etiket sayılır
+const normalizeTagNames = (names = []) => {
+  const seen = new Map();
+  for (const raw of names) {
+    const name = String(raw).trim();
+    if (name && !seen.has(name.toLowerCase())) {
+      seen.set(name.toLowerCase(), name);
+    }
+  }
+  return [...seen.values()];
+};
+
+/**
+ * Etiket adlarını kullanıcının etiket id'lerine çevirir, olmayanları oluşturur.
+ */
+const resolveTagIds = async (userId, names, trx = knex) => {
+  const wanted = normalizeTagNames(names);
+  if (!wanted.length) {
+    return [];
+  }
+
+  await trx("tag")
+    .insert(
+      wanted.map((name) => ({
+        id: uuidv4(),
+        auth_user_id: userId,
+        name,
+        created_at: knex.fn.now(),
+        updated_at: knex.fn.now(),
+      }))
+    )
+    .onConflict(knex.raw("(auth_user_id, lower(name))"))
+    .ignore();
+
+  const rows = await trx("tag")
+    .where({ auth_user_id: userId })
+    .whereIn(
+      knex.raw("lower(name)"),
+      wanted.map((name) => name.toLowerCase())
+    )
+    .select("id");
+
+  return rows.map((row) => row.id);
+};
+
+/**
+ * İşlemdeki kullanıcıya ait etiketleri verilen listeyle değiştirir.
+ * Paylaşılan defterde diğer üyelerin eklediği etiketlere dokunulmaz.
+ */
+const setTransactionTags = async (userId, transactionId, tagIds, trx = knex) => {
+  await trx("transaction_tag")
+    .where({ transaction_id: transactionId })
+    .whereIn("tag_id", trx("tag").where({ auth_user_id: userId }).select("id"))
+    .whereNotIn("tag_id", tagIds)
+    .del();
+
+  if (tagIds.length) {
+    await trx("transaction_tag")
+      .insert(tagIds.map((tagId) => ({ transaction_id: transactionId, tag_id: tagId })))
+      .onConflict(["transaction_id", "tag_id"])
+      .ignore();
+  }
+};
+
+/**
+ * İşlem satırlarına `tags: [{ id, name }]` ekler (tek sorguda).
+ */
+const attachTags = async (transactions, trx = knex) => {
+  if (!transactions.length) {
+    return transactions;
+  }
+
+  const rows = await trx("transaction_tag")
+    .join("tag", "tag.id", "transaction_tag.tag_id")
+    .whereIn(
+      "transaction_tag.transaction_id",
+      transactions.map((t) => t.id)
+    )
+    .orderBy("tag.name")
+    .select("transaction_tag.transaction_id", "tag.id", "tag.name");
+
+  const byTransaction = new Map();
+  for (const { transaction_id, ...tag } of rows) {
+    if (!byTransaction.has(transaction_id)) {
+      byTransaction.set(transaction_id, []);
+    }
+    byTransaction.get(transaction_id).push(tag);
+  }
+
+  return transactions.map((t) => ({ ...t, tags: byTransaction.get(t.id) || [] }));
+};
+
+// GET /transaction, export, search ve summary için: verilen etiketlerden en az birini taşıyan işlemler
+const whereHasTag = (query, tagIds, transactionColumn = "transaction.id") =>
+  query.whereExists(function () {
+    this.select(knex.raw("1"))
+      .from("transaction_tag")
+      .whereRaw("transaction_tag.transaction_id = ??", [transactionColumn])
+      .whereIn("transaction_tag.tag_id", tagIds);
+  });
+
+module.exports = {
+  attachTags,
+  normalizeTagNames,
+  resolveTagIds,
+  setTransactionTags,
+  whereHasTag,
+};
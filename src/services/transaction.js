@@ -0,0 +1,242 @@
+const knex = require("../db");
+const { v4: uuidv4 } = require("uuid");
+const { resolveAccount } = require("./account");
+const { auditedInsert, auditedUpdate } = require("./audit");
+const { evaluateRules, loadRules } = require("./rule");
+const { ifMatchSatisfied } = require("./sync");
+const { attachTags, resolveTagIds, setTransactionTags } = require("./tag");
+
+/**
+ * Yazma işlemlerinin iş kuralı hataları. details varsa doğrulama hatası olarak
+ * ({ error: "Validation failed", details }) gönderilir.
+ */
+class TransactionOperationError extends Error {
+  constructor(status, message, details = null) {
+    super(message);
+    this.name = "TransactionOperationError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const validationError = (details) => new TransactionOperationError(422, "Validation failed", details);
+
+// If-Match uyuşmazlığı; istemci birleştirme yapabilsin diye kaydın güncel hâli de gönderilir
+const conflictError = (current) => {
+  const error = new TransactionOperationError(409, "Transaction has been modified since it was last fetched");
+  error.current = current;
+  return error;
+};
+
+// etiket değişiklikleri version'ı artırdığı için (trigger) dönen satır yeniden okunur
+const reloadTransaction = async (id, trx) => (await attachTags(await trx("transaction").where({ id }), trx))[0];
+
+// kategori çalışılan defterde olmalı; işlem tipi kategoriden türetilir
+const checkCategory = async (ledgerId, categoryId, type, trx = knex) => {
+  const category = await trx("category")
+    .where({ id: categoryId, ledger_id: ledgerId })
+    .whereNull("deleted_at")
+    .first();
+
+  if (!category) {
+    return { error: { field: "category_id", message: "must reference a category in this ledger" } };
+  }
+  if (type && type !== category.type) {
+    return { error: { field: "type", message: `must match the category type (${category.type})` } };
+  }
+
+  return { category };
+};
+
+/**
+ * Yeni işlem ekler; defterin kuralları çalıştırılır, istekte verilen kategori ve başlık kuralın önüne geçer.
+ * Aynı trx'te birden çok işlem eklenecekse kurallar bir kez yüklenip `rules` ile verilebilir.
+ */
+const createTransaction = async (trx, req, body, rules = null) => {
+  const { amount, description, title } = body;
+
+  const account = await resolveAccount(req.user.id, body.account_id, trx);
+  if (!account) {
+    throw new TransactionOperationError(404, "Account not found");
+  }
+
+  const ruleResult = evaluateRules(
+    rules || (await loadRules(req.ledger.id, trx)),
+    { title, description, amount, account_id: account.id },
+    { type: body.type }
+  );
+  const categoryId = body.category_id || ruleResult.category_id;
+  if (!categoryId) {
+    throw validationError([{ field: "category_id", message: "is required when no rule sets a category" }]);
+  }
+
+  const { category, error } = await checkCategory(req.ledger.id, categoryId, body.type, trx);
+  if (error) {
+    throw validationError([error]);
+  }
+
+  // hesap bakiyesi tek para biriminde tutulur
+  const currency = body.currency || account.currency;
+  if (currency !== account.currency) {
+    throw new TransactionOperationError(400, "Transaction currency must match the account currency");
+  }
+
+  const rows = await auditedInsert(trx, req, "transaction", {
+    id: uuidv4(),
+    title: title || ruleResult.title || description,
+    amount,
+    currency,
+    type: category.type,
+    description,
+    category_id: categoryId,
+    account_id: account.id,
+    ledger_id: req.ledger.id,
+    auth_user_id: req.user.id,
+    created_at: knex.fn.now(),
+    updated_at: knex.fn.now(),
+  });
+
+  const tagIds = body.tags ? await resolveTagIds(req.user.id, body.tags, trx) : [];
+  const allTagIds = [...new Set([...tagIds, ...ruleResult.tagIds])];
+  if (!allTagIds.length) {
+    return { ...(await attachTags(rows, trx))[0], applied_rules: ruleResult.ruleIds };
+  }
+
+  await setTransactionTags(req.user.id, rows[0].id, allTagIds, trx);
+  return { ...(await reloadTransaction(rows[0].id, trx)), applied_rules: ruleResult.ruleIds };
+};
+
+/**
+ * Çalışılan defterdeki silinmemiş bir işlemi günceller. Transfer bacakları buradan düzenlenemez.
+ * `ifMatch` (If-Match başlığı) verilirse işlemin version'ı eşleşmediğinde 409 fırlatılır.
+ */
+const updateTransaction = async (trx, req, id, body, { ifMatch } = {}) => {
+  const { amount, description, category_id, account_id, title } = body;
+  let { currency } = body;
+
+  const existing = await trx("transaction")
+    .where({ id, ledger_id: req.ledger.id })
+    .whereNull("deleted_at")
+    .forUpdate()
+    .first();
+  if (!existing) {
+    throw new TransactionOperationError(404, "Transaction not found");
+  }
+  if (!ifMatchSatisfied(ifMatch, existing)) {
+    throw conflictError((await attachTags([existing], trx))[0]);
+  }
+  if (existing.transfer_id) {
+    throw new TransactionOperationError(409, "Transfers cannot be edited as regular transactions");
+  }
+
+  const { category, error } = await checkCategory(req.ledger.id, category_id, body.type, trx);
+  if (error) {
+    throw validationError([error]);
+  }
+
+  // hesap değişmese de para birimi değişebilir; kontrol her zaman işlemin yazılacağı hesapla yapılır.
+  // Mevcut hesap paylaşılan defterde başka bir üyeye ait olabilir.
+  const account =
+    account_id !== undefined
+      ? await resolveAccount(req.user.id, account_id, trx)
+      : existing.account_id && (await trx("account").where({ id: existing.account_id }).first());
+  if (account_id !== undefined && !account) {
+    throw new TransactionOperationError(404, "Account not found");
+  }
+  if (account) {
+    currency = currency || account.currency;
+    if (currency !== account.currency) {
+      throw new TransactionOperationError(400, "Transaction currency must match the account currency");
+    }
+  }
+
+  const rows = await auditedUpdate(
+    trx,
+    req,
+    "transaction",
+    (query) => query.where({ id, ledger_id: req.ledger.id }).whereNull("deleted_at"),
+    {
+      title,
+      amount,
+      currency,
+      type: category.type,
+      description,
+      category_id,
+      account_id,
+      updated_at: knex.fn.now(),
+    }
+  );
+
+  // tags gönderilmediyse mevcut etiketler korunur
+  if (body.tags) {
+    const tagIds = await resolveTagIds(req.user.id, body.tags, trx);
+    await setTransactionTags(req.user.id, id, tagIds, trx);
+    return reloadTransaction(id, trx);
+  }
+
+  return (await attachTags(rows, trx))[0];
+};
+
+/**
+ * İşlemleri çöp kutusuna taşır; transfer bacağı silinirse karşı bacak da silinir.
+ * Bulunamayan ya da zaten silinmiş id'ler yok sayılır. Silinen satırları döndürür.
+ */
+const deleteTransactions = (trx, req, ids) =>
+  auditedUpdate(
+    trx,
+    req,
+    "transaction",
+    (query) =>
+      query
+        .where({ ledger_id: req.ledger.id })
+        .whereNull("deleted_at")
+        .where(function () {
+          this.whereIn("id", ids).orWhereIn(
+            "transfer_id",
+            trx("transaction").whereIn("id", ids).whereNotNull("transfer_id").select("transfer_id")
+          );
+        }),
+    { deleted_at: knex.fn.now() },
+    "delete"
+  );
+
+/**
+ * Verilen işlemlerin hepsini aynı kategoriye taşır; tip kategoriden gelir.
+ * Bulunamayan id ya da transfer varsa hiçbiri değişmez.
+ */
+const recategorizeTransactions = async (trx, req, ids, categoryId) => {
+  const { category, error } = await checkCategory(req.ledger.id, categoryId, null, trx);
+  if (error) {
+    throw validationError([error]);
+  }
+
+  const found = await trx("transaction")
+    .where({ ledger_id: req.ledger.id })
+    .whereNull("deleted_at")
+    .whereIn("id", ids)
+    .select("id", "transfer_id");
+
+  const foundIds = new Set(found.map((row) => row.id));
+  const missing = ids.filter((id) => !foundIds.has(id));
+  if (missing.length) {
+    throw new TransactionOperationError(404, `Transactions not found: ${missing.join(", ")}`);
+  }
+  if (found.some((row) => row.transfer_id)) {
+    throw new TransactionOperationError(409, "Transfers cannot be recategorized");
+  }
+
+  return auditedUpdate(trx, req, "transaction", (query) => query.whereIn("id", ids), {
+    category_id: category.id,
+    type: category.type,
+    updated_at: knex.fn.now(),
+  });
+};
+
+module.exports = {
+  TransactionOperationError,
+  checkCategory,
+  createTransaction,
+  deleteTransactions,
+  recategorizeTransactions,
+  updateTransaction,
+};
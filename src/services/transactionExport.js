@@ -0,0 +1,92 @@
+const { Transform } = require("stream");
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" },
+};
+
+const EXPORT_COLUMNS = [
+  "id",
+  "date",
+  "title",
+  "description",
+  "amount",
+  "currency",
+  "type",
+  "category_id",
+  "category_name",
+  "account_id",
+  "account_name",
+  "transfer_id",
+];
+
+const toRecord = (row) => ({
+  id: row.id,
+  date: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at,
+  title: row.title,
+  description: row.description,
+  amount: Number(row.amount),
+  currency: row.currency,
+  type: row.type,
+  category_id: row.category_id,
+  category_name: row.category_name,
+  account_id: row.account_id,
+  account_name: row.account_name,
+  transfer_id: row.transfer_id,
+});
+
+// =, +, -, @ (ve tab/CR) ile başlayan metinleri tablolama programları formül olarak çalıştırır;
+// başlarına ' eklenerek düz metin olarak açılmaları sağlanır. Sayılar (tutar) olduğu gibi yazılır.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "string" && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Veritabanı satırlarını seçilen biçimde metne çeviren Transform stream döndürür.
+ * CSV, Excel'in UTF-8 olarak açabilmesi için BOM ile başlar.
+ *
+ * @param {"csv"|"json"|"ndjson"} format
+ * @returns {Transform}
+ */
+const createExportStream = (format) => {
+  let first = true;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      const record = toRecord(row);
+      let chunk = "";
+
+      if (format === "csv") {
+        if (first) chunk += `\uFEFF${EXPORT_COLUMNS.join(",")}\r\n`;
+        chunk += `${EXPORT_COLUMNS.map((column) => csvValue(record[column])).join(",")}\r\n`;
+      } else if (format === "json") {
+        chunk += `${first ? "[" : ","}\n${JSON.stringify(record)}`;
+      } else {
+        chunk += `${JSON.stringify(record)}\n`;
+      }
+
+      first = false;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (format === "json") {
+        callback(null, first ? "[]" : "\n]");
+      } else if (format === "csv" && first) {
+        callback(null, `\uFEFF${EXPORT_COLUMNS.join(",")}\r\n`);
+      } else {
+        callback();
+      }
+    },
+  });
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  createExportStream,
+};
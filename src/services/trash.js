@@ -0,0 +1,61 @@
+const knex = require("../db");
+const { sweepDeletedAttachments } = require("./attachment");
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+
+// çöp kutusundaki kaydın kalıcı olarak silineceği zaman
+const purgeAt = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Saklama süresi dolmuş silinmiş işlem ve kategorileri kalıcı olarak siler.
+ * Kategori silinince (foreign key cascade) içindeki işlemler de gider; ardından
+ * silinen işlemlerin ek dosyaları (ve başka yollardan silinmiş olanlar) storage'dan kaldırılır.
+ */
+const purgeTrash = async (retentionDays = TRASH_RETENTION_DAYS) => {
+  const purged = await knex.transaction(async (trx) => {
+    const cutoff = trx.raw("now() - ?::integer * interval '1 day'", [retentionDays]);
+
+    const transactions = await trx("transaction").where("deleted_at", "<", cutoff).del();
+
+    const expired = trx("category").where("deleted_at", "<", cutoff).select("id");
+    // silinecek kategorilere hâlâ bağlı alt kategoriler köke taşınır
+    await trx("category")
+      .whereIn("parent_id", expired.clone())
+      .whereNotIn("id", expired.clone())
+      .update({ parent_id: null });
+    const categories = await trx("category").where("deleted_at", "<", cutoff).del();
+
+    return { transactions, categories };
+  });
+
+  return { ...purged, attachments: await sweepDeletedAttachments() };
+};
+
+const startTrashPurgeScheduler = () => {
+  const minutes = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES ?? 24 * 60);
+  if (!minutes) {
+    return null;
+  }
+
+  const run = () =>
+    purgeTrash()
+      .then(({ transactions, categories, attachments }) => {
+        if (transactions || categories || attachments) {
+          console.log(
+            `Trash purge removed ${transactions} transaction(s), ${categories} category(ies) and ${attachments} attachment file(s)`
+          );
+        }
+      })
+      .catch((error) => console.error("Trash purge error:", error));
+
+  run();
+  return setInterval(run, minutes * 60 * 1000);
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeAt,
+  purgeTrash,
+  startTrashPurgeScheduler,
+};
@@ -0,0 +1,19 @@
+const knex = require("../db");
+
+// yanıtlarda dönen kullanıcı alanları (şifre hash'i hariç)
+const USER_FIELDS = ["id", "name", "email", "email_verified_at", "role", "active", "default_currency"];
+
+const pickUserFields = (user) => Object.fromEntries(USER_FIELDS.map((field) => [field, user[field]]));
+
+// email karşılaştırmaları büyük/küçük harf duyarsızdır (auth_users_email_unique index'i)
+const findUserByEmail = (email, trx = knex) =>
+  trx("auth_users").whereRaw("lower(email) = ?", [email.toLowerCase()]).first();
+
+const isDuplicateEmail = (error) => error.code === "23505" && error.constraint === "auth_users_email_unique";
+
+module.exports = {
+  USER_FIELDS,
+  findUserByEmail,
+  isDuplicateEmail,
+  pickUserFields,
+};
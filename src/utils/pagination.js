@@ -0,0 +1,88 @@
+// Liste endpoint'leri için offset ve keyset (cursor) sayfalama yardımcıları.
+// Cursor, sıralama alanının veritabanındaki metin hâli + id'den oluşur; böylece
+// mikro saniyeli timestamp'ler JS Date'e çevrilirken hassasiyet kaybolmaz.
+
+class InvalidCursorError extends Error {
+  constructor() {
+    super("Invalid cursor");
+    this.name = "InvalidCursorError";
+  }
+}
+
+const encodeCursor = (sortBy, order, value, id) =>
+  Buffer.from(JSON.stringify([sortBy, order, value, id])).toString("base64url");
+
+const decodeCursor = (cursor, sortBy, order) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (err) {
+    throw new InvalidCursorError();
+  }
+
+  if (!Array.isArray(decoded) || decoded[0] !== sortBy || decoded[1] !== order || !decoded[3]) {
+    throw new InvalidCursorError();
+  }
+
+  return { value: decoded[2], id: decoded[3] };
+};
+
+/**
+ * Sorguya sıralama, limit ve sayfalama uygular. cursor verilmişse offset yerine keyset kullanılır.
+ * Dönen satırlardaki yardımcı `cursor_value` kolonu paginate() içinde temizlenir.
+ *
+ * @param {import("knex").Knex.QueryBuilder} query
+ * @param {{ table: string, sortBy: string, order: "asc"|"desc", page?: number, pageSize: number, cursor?: string }} options
+ */
+const paginate = async (query, { table, sortBy, order, page = 1, pageSize, cursor }) => {
+  const column = `${table}.${sortBy}`;
+  const idColumn = `${table}.id`;
+
+  let pageQuery = query
+    .clone()
+    .select(`${table}.*`, query.client.raw("??::text as cursor_value", [column]))
+    .orderBy([
+      { column, order },
+      { column: idColumn, order },
+    ])
+    .limit(pageSize + 1);
+
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor, sortBy, order);
+    pageQuery = pageQuery.andWhere(
+      query.client.raw(`(??, ??) ${order === "desc" ? "<" : ">"} (?, ?)`, [column, idColumn, value, id])
+    );
+  } else {
+    pageQuery = pageQuery.offset((page - 1) * pageSize);
+  }
+
+  const rows = await pageQuery;
+  const hasMore = rows.length > pageSize;
+  const data = rows.slice(0, pageSize);
+  const last = data[data.length - 1];
+
+  return {
+    data: data.map(({ cursor_value, ...row }) => row),
+    nextCursor: hasMore && last ? encodeCursor(sortBy, order, last.cursor_value, last.id) : null,
+  };
+};
+
+const countRows = async (query) => {
+  const [{ total }] = await query.clone().clearSelect().clearOrder().count({ total: "*" });
+  return Number(total);
+};
+
+const pageMeta = ({ total, page, pageSize, cursor, nextCursor }) => ({
+  total,
+  page: cursor ? null : page,
+  pageSize,
+  pageCount: Math.ceil(total / pageSize),
+  nextCursor,
+});
+
+module.exports = {
+  InvalidCursorError,
+  countRows,
+  pageMeta,
+  paginate,
+};
@@ -0,0 +1,157 @@
+const { after, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { app, createCategory, knex, request, resetDatabase, signUp } = require("./helpers");
+
+describe("account", () => {
+  let user;
+  let cash;
+  let bank;
+
+  const createAccount = (owner, body) => request(app).post("/api/account").set(owner.auth).send(body).expect(201);
+  const transfer = (body) => request(app).post("/api/account/transfer").set(user.auth).send(body);
+  const balanceOf = async (account) =>
+    (await request(app).get(`/api/account/${account.id}`).set(user.auth).expect(200)).body.balance;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    user = await signUp();
+    cash = (await createAccount(user, { name: "Wallet", opening_balance: 500 })).body;
+    bank = (await createAccount(user, { name: "Bank", type: "bank" })).body;
+  });
+
+  after(() => knex.destroy());
+
+  test("transfers move the balance, are audited and stay out of the listed totals", async () => {
+    const food = await createCategory(user, { name: "Food" });
+    await request(app)
+      .post("/api/transaction")
+      .set(user.auth)
+      .send({ amount: 40, description: "Lunch", category_id: food.id, account_id: cash.id })
+      .expect(201);
+
+    const res = await transfer({ from_account_id: cash.id, to_account_id: bank.id, amount: 100 }).expect(201);
+    assert.deepEqual(
+      res.body.transactions.map((leg) => [leg.type, Number(leg.amount)]),
+      [
+        ["expense", 100],
+        ["income", 100],
+      ]
+    );
+
+    assert.equal(await balanceOf(cash), 360);
+    assert.equal(await balanceOf(bank), 100);
+
+    const audited = await knex("audit_log")
+      .whereIn(
+        "entity_id",
+        res.body.transactions.map((leg) => leg.id)
+      )
+      .select("action");
+    assert.deepEqual(
+      audited.map((row) => row.action),
+      ["insert", "insert"]
+    );
+
+    const list = await request(app).get("/api/transaction").set(user.auth).expect(200);
+    assert.equal(list.body.meta.total, 3);
+    assert.deepEqual(list.body.meta.totals, [{ currency: "TRY", income: 0, expense: 40, net: -40 }]);
+  });
+
+  test("to_amount is only accepted between different currencies", async () => {
+    const rejected = await transfer({
+      from_account_id: cash.id,
+      to_account_id: bank.id,
+      amount: 100,
+      to_amount: 150,
+    }).expect(422);
+    assert.deepEqual(
+      rejected.body.details.map((detail) => detail.field),
+      ["to_amount"]
+    );
+
+    const dollars = (await createAccount(user, { name: "Dollars", currency: "USD" })).body;
+    await knex("exchange_rate").insert({
+      id: "00000000-0000-4000-8000-000000000001",
+      base_currency: "USD",
+      quote_currency: "TRY",
+      rate: 40,
+      date: "2025-01-01",
+    });
+
+    const converted = await transfer({ from_account_id: cash.id, to_account_id: dollars.id, amount: 400 }).expect(201);
+    assert.equal(Number(converted.body.transactions[1].amount), 10);
+
+    const explicit = await transfer({
+      from_account_id: cash.id,
+      to_account_id: dollars.id,
+      amount: 400,
+      to_amount: 9.5,
+    }).expect(201);
+    assert.equal(Number(explicit.body.transactions[1].amount), 9.5);
+    assert.equal(await balanceOf(dollars), 19.5);
+  });
+
+  test("deleting a transfer trashes both legs once", async () => {
+    const res = await transfer({ from_account_id: cash.id, to_account_id: bank.id, amount: 100 }).expect(201);
+
+    await request(app).delete(`/api/account/transfer/${res.body.transfer_id}`).set(user.auth).expect(200);
+    await request(app).delete(`/api/account/transfer/${res.body.transfer_id}`).set(user.auth).expect(404);
+    await request(app).delete("/api/account/transfer/not-a-uuid").set(user.auth).expect(400);
+
+    assert.equal(await balanceOf(cash), 500);
+    const deletes = await knex("audit_log").where({ entity: "transaction", action: "delete" }).count("id as count");
+    assert.equal(deletes[0].count, "2");
+  });
+
+  test("delete returns 404 for accounts of other users without revealing their transactions", async () => {
+    const other = await signUp();
+    const otherAccount = (await createAccount(other, { name: "Other" })).body;
+    const category = await createCategory(other, { name: "Food" });
+    await request(app)
+      .post("/api/transaction")
+      .set(other.auth)
+      .send({ amount: 10, description: "Lunch", category_id: category.id, account_id: otherAccount.id })
+      .expect(201);
+
+    await request(app).delete(`/api/account/${otherAccount.id}`).set(user.auth).expect(404);
+    await request(app).delete("/api/account/not-a-uuid").set(user.auth).expect(400);
+    assert.ok(await knex("account").where({ id: otherAccount.id }).first());
+  });
+
+  test("delete refuses used accounts and purges trashed transactions with an audit trail", async () => {
+    const res = await transfer({ from_account_id: cash.id, to_account_id: bank.id, amount: 100 }).expect(201);
+
+    await request(app).delete(`/api/account/${bank.id}`).set(user.auth).expect(409);
+
+    await request(app).delete(`/api/account/transfer/${res.body.transfer_id}`).set(user.auth).expect(200);
+    await request(app).delete(`/api/account/${bank.id}`).set(user.auth).expect(200);
+    await request(app).delete(`/api/account/${bank.id}`).set(user.auth).expect(404);
+
+    const income = res.body.transactions[1];
+    assert.equal(await knex("transaction").where({ id: income.id }).first(), undefined);
+    const purged = await knex("audit_log").where({ entity_id: income.id }).orderBy("created_at").select("action");
+    assert.deepEqual(
+      purged.map((row) => row.action),
+      ["insert", "delete", "delete"]
+    );
+  });
+
+  test("validates account bodies and pagination", async () => {
+    await request(app).post("/api/account").set(user.auth).send({ type: "cash" }).expect(422);
+    await request(app).post("/api/account").set(user.auth).send({ name: "Gold", type: "gold" }).expect(422);
+    await request(app).post("/api/account").set(user.auth).send({ name: "Euro", currency: "eur" }).expect(422);
+
+    const currency = await request(app)
+      .put(`/api/account/${cash.id}`)
+      .set(user.auth)
+      .send({ name: "Wallet", currency: "USD" })
+      .expect(422);
+    assert.deepEqual(
+      currency.body.details.map((detail) => detail.field),
+      ["currency"]
+    );
+
+    await request(app).get(`/api/account/${cash.id}/transactions`).query({ page: -1 }).set(user.auth).expect(400);
+    await request(app).get("/api/account/not-a-uuid/transactions").set(user.auth).expect(400);
+  });
+});
@@ -0,0 +1,47 @@
+const { after, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { app, createCategory, knex, request, resetDatabase, signUp } = require("./helpers");
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from("receipt")]);
+
+describe("attachment (local storage)", () => {
+  let user;
+  let transaction;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    user = await signUp();
+    const food = await createCategory(user, { name: "Food" });
+    transaction = (
+      await request(app)
+        .post("/api/transaction")
+        .set(user.auth)
+        .send({ amount: 25, description: "Lunch", category_id: food.id })
+        .expect(201)
+    ).body;
+  });
+
+  after(() => knex.destroy());
+
+  test("downloads the stored file and returns 404 once the file is gone", async () => {
+    const attachment = (
+      await request(app)
+        .post(`/api/transaction/${transaction.id}/attachments`)
+        .set(user.auth)
+        .attach("file", PNG, "receipt.png")
+        .expect(201)
+    ).body;
+    const url = `/api/transaction/${transaction.id}/attachments/${attachment.id}`;
+
+    const res = await request(app).get(url).set(user.auth).buffer(true).expect(200);
+    assert.equal(res.headers["content-type"], "image/png");
+    assert.deepEqual(res.body, PNG);
+
+    await fs.promises.rm(path.join(process.env.STORAGE_DIR, attachment.storage_key));
+
+    const missing = await request(app).get(url).set(user.auth).expect(404);
+    assert.equal(missing.body.error, "Attachment file not found");
+  });
+});
@@ -0,0 +1,95 @@
+const { after, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { app, createCategory, knex, request, resetDatabase, signUp } = require("./helpers");
+
+describe("budget", () => {
+  let user;
+  let food;
+  let groceries;
+
+  const createBudget = (body) => request(app).post("/api/budget").set(user.auth).send(body);
+
+  beforeEach(async () => {
+    await resetDatabase();
+    user = await signUp();
+    food = await createCategory(user, { name: "Food" });
+    groceries = await createCategory(user, { name: "Groceries", parent_id: food.id });
+  });
+
+  after(() => knex.destroy());
+
+  test("status counts spending in subcategories against the limit", async () => {
+    const budget = (await createBudget({ category_id: food.id, amount: 100 }).expect(201)).body;
+    for (const [category, amount] of [
+      [food, 30],
+      [groceries, 90],
+    ]) {
+      await request(app)
+        .post("/api/transaction")
+        .set(user.auth)
+        .send({ amount, description: "Shopping", category_id: category.id })
+        .expect(201);
+    }
+
+    const res = await request(app).get(`/api/budget/${budget.id}/status`).set(user.auth).expect(200);
+
+    assert.equal(res.body.spent, 120);
+    assert.equal(res.body.remaining, -20);
+    assert.equal(res.body.over_budget, true);
+
+    const overOnly = await request(app).get("/api/budget/status").query({ overOnly: true }).set(user.auth).expect(200);
+    assert.deepEqual(
+      overOnly.body.map((status) => status.id),
+      [budget.id]
+    );
+  });
+
+  test("rejects a missing or malformed category_id", async () => {
+    const missing = await createBudget({ amount: 100 }).expect(422);
+    assert.deepEqual(
+      missing.body.details.map((detail) => detail.field),
+      ["category_id"]
+    );
+
+    await createBudget({ category_id: "not-a-uuid", amount: 100 }).expect(422);
+  });
+
+  test("rejects invalid dates on custom budgets", async () => {
+    await createBudget({ category_id: food.id, amount: 100, period: "custom", start_date: "2025-02-30" }).expect(422);
+
+    const missing = await createBudget({ category_id: food.id, amount: 100, period: "custom" }).expect(422);
+    assert.deepEqual(
+      missing.body.details.map((detail) => detail.field),
+      ["start_date", "end_date"]
+    );
+
+    await createBudget({
+      category_id: food.id,
+      amount: 100,
+      period: "custom",
+      start_date: "2025-03-01",
+      end_date: "2025-02-01",
+    }).expect(422);
+  });
+
+  test("rejects income categories and categories of other users", async () => {
+    const salary = await createCategory(user, { name: "Salary", type: "income" });
+    await createBudget({ category_id: salary.id, amount: 100 }).expect(422);
+
+    const other = await signUp();
+    const otherFood = await createCategory(other, { name: "Food" });
+    await createBudget({ category_id: otherFood.id, amount: 100 }).expect(422);
+  });
+
+  test("delete returns 404 for a missing budget and 400 for a malformed id", async () => {
+    const budget = (await createBudget({ category_id: food.id, amount: 100 }).expect(201)).body;
+
+    await request(app).delete(`/api/budget/${budget.id}`).set(user.auth).expect(200);
+    await request(app).delete(`/api/budget/${budget.id}`).set(user.auth).expect(404);
+    await request(app).delete("/api/budget/not-a-uuid").set(user.auth).expect(400);
+  });
+
+  test("rejects a malformed status date", async () => {
+    await request(app).get("/api/budget/status").query({ date: "yesterday" }).set(user.auth).expect(400);
+  });
+});
@@ -0,0 +1,112 @@
+const { after, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { app, knex, request, resetDatabase, signUp } = require("./helpers");
+
+describe("exchange rate", () => {
+  let admin;
+  let user;
+
+  const postRates = (body) => request(app).post("/api/exchange_rate").set(admin.auth).send(body);
+
+  beforeEach(async () => {
+    await resetDatabase();
+    admin = await signUp({ name: "Admin" });
+    user = await signUp();
+    await knex("auth_users").where({ id: admin.id }).update({ role: "admin" });
+  });
+
+  after(() => knex.destroy());
+
+  test("upserts rates and keeps the last entry for a repeated pair and date", async () => {
+    await postRates({ base_currency: "USD", quote_currency: "TRY", rate: 30, date: "2025-07-01" }).expect(201);
+
+    const res = await postRates([
+      { base_currency: "USD", quote_currency: "TRY", rate: 31, date: "2025-07-01" },
+      { base_currency: "EUR", quote_currency: "TRY", rate: 35, date: "2025-07-01" },
+      { base_currency: "USD", quote_currency: "TRY", rate: 32, date: "2025-07-01", source: "manual" },
+    ]).expect(201);
+    assert.equal(res.body.length, 2);
+
+    const rows = await knex("exchange_rate").orderBy("base_currency").select("base_currency", "rate", "source");
+    assert.deepEqual(
+      rows.map((row) => [row.base_currency, Number(row.rate), row.source]),
+      [
+        ["EUR", 35, null],
+        ["USD", 32, "manual"],
+      ]
+    );
+  });
+
+  test("rejects an empty body, invalid rates and identical currencies", async () => {
+    await request(app).post("/api/exchange_rate").set(admin.auth).expect(422);
+    await postRates([]).expect(422);
+    await postRates({ base_currency: "usd", quote_currency: "TRY", rate: 30, date: "2025-07-01" }).expect(422);
+    await postRates({ base_currency: "USD", quote_currency: "TRY", rate: 0, date: "2025-07-01" }).expect(422);
+
+    const same = await postRates([
+      { base_currency: "USD", quote_currency: "TRY", rate: 30, date: "2025-07-01" },
+      { base_currency: "TRY", quote_currency: "TRY", rate: 1, date: "2025-07-01" },
+    ]).expect(422);
+    assert.deepEqual(
+      same.body.details.map((detail) => detail.field),
+      ["1.quote_currency"]
+    );
+    assert.equal((await knex("exchange_rate").count("id as count").first()).count, "0");
+  });
+
+  test("only admins can change rates", async () => {
+    await request(app)
+      .post("/api/exchange_rate")
+      .set(user.auth)
+      .send({ base_currency: "USD", quote_currency: "TRY", rate: 30, date: "2025-07-01" })
+      .expect(403);
+  });
+
+  test("converts with the latest earlier rate, also in the inverse direction", async () => {
+    await postRates([
+      { base_currency: "USD", quote_currency: "TRY", rate: 30, date: "2025-07-01" },
+      { base_currency: "USD", quote_currency: "TRY", rate: 40, date: "2025-08-01" },
+    ]).expect(201);
+
+    const direct = await request(app)
+      .get("/api/exchange_rate/convert")
+      .query({ amount: 10, from: "USD", to: "TRY", date: "2025-07-15" })
+      .set(user.auth)
+      .expect(200);
+    assert.equal(direct.body.converted, 300);
+
+    const inverse = await request(app)
+      .get("/api/exchange_rate/convert")
+      .query({ amount: 400, from: "TRY", to: "USD", date: "2025-08-02" })
+      .set(user.auth)
+      .expect(200);
+    assert.equal(inverse.body.converted, 10);
+
+    await request(app)
+      .get("/api/exchange_rate/convert")
+      .query({ amount: 10, from: "USD", to: "TRY", date: "2025-06-30" })
+      .set(user.auth)
+      .expect(404);
+  });
+
+  test("rejects malformed query parameters", async () => {
+    await request(app).get("/api/exchange_rate").query({ from: "yesterday" }).set(user.auth).expect(400);
+    await request(app).get("/api/exchange_rate").query({ base_currency: "dollar" }).set(user.auth).expect(400);
+    await request(app)
+      .get("/api/exchange_rate/convert")
+      .query({ amount: 10, from: "USD", to: "TRY", date: "2025-13-01" })
+      .set(user.auth)
+      .expect(400);
+    await request(app).get("/api/exchange_rate/convert").query({ from: "USD", to: "TRY" }).set(user.auth).expect(400);
+  });
+
+  test("delete returns 404 for missing rates and 400 for malformed ids", async () => {
+    const [rate] = (
+      await postRates({ base_currency: "USD", quote_currency: "TRY", rate: 30, date: "2025-07-01" }).expect(201)
+    ).body;
+
+    await request(app).delete(`/api/exchange_rate/${rate.id}`).set(admin.auth).expect(200);
+    await request(app).delete(`/api/exchange_rate/${rate.id}`).set(admin.auth).expect(404);
+    await request(app).delete("/api/exchange_rate/not-a-uuid").set(admin.auth).expect(400);
+  });
+});
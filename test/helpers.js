@@ -0,0 +1,54 @@
+const request = require("supertest");
+const knex = require("../src/db");
+const app = require("../src/app");
+
+/**
+ * knex_migrations dışındaki tüm tabloları boşaltır; her test temiz bir veritabanıyla başlar.
+ */
+const resetDatabase = async () => {
+  const { rows } = await knex.raw(
+    "select tablename from pg_tables where schemaname = 'public' and tablename not like 'knex_migrations%'"
+  );
+  await knex.raw(`truncate ${rows.map((row) => `"${row.tablename}"`).join(", ")} restart identity cascade`);
+};
+
+let userCount = 0;
+
+/**
+ * API üzerinden kayıt olup giriş yapar. `auth` doğrudan supertest'in set() çağrısına verilebilir.
+ *
+ * @returns {Promise<{ id: string, email: string, token: string, auth: { Authorization: string } }>}
+ */
+const signUp = async ({ name = "Test User", default_currency = "TRY" } = {}) => {
+  userCount += 1;
+  const email = `user${userCount}-${Date.now()}@example.com`;
+  const password = "correct horse battery";
+
+  const signup = await request(app)
+    .post("/api/auth_users/signup")
+    .send({ name, email, password, default_currency })
+    .expect(201);
+  const signin = await request(app).post("/api/auth_users/signin").send({ email, password }).expect(200);
+
+  return {
+    id: signup.body.id,
+    email,
+    token: signin.body.token,
+    auth: { Authorization: `Bearer ${signin.body.token}` },
+  };
+};
+
+// kullanıcının varsayılan defterinde kategori açar
+const createCategory = async (user, { name = "Category", type = "expense", ...fields } = {}) => {
+  const res = await request(app).post("/api/category").set(user.auth).send({ name, type, ...fields }).expect(201);
+  return res.body;
+};
+
+module.exports = {
+  app,
+  createCategory,
+  knex,
+  request,
+  resetDatabase,
+  signUp,
+};
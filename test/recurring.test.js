@@ -0,0 +1,140 @@
+const { after, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { app, createCategory, knex, request, resetDatabase, signUp } = require("./helpers");
+const { materializeDue } = require("../src/services/recurring");
+
+describe("recurring transactions", () => {
+  let user;
+  let rent;
+
+  const createRule = (body) =>
+    request(app)
+      .post("/api/recurring_transaction")
+      .set(user.auth)
+      .send({ category_id: rent.id, title: "Rent", amount: 1000, frequency: "monthly", ...body });
+
+  const occurrences = async (ruleId) => {
+    const rows = await knex("transaction")
+      .where({ recurring_transaction_id: ruleId })
+      .orderBy("occurrence_date")
+      .select(knex.raw("to_char(occurrence_date, 'YYYY-MM-DD') as date"));
+    return rows.map((row) => row.date);
+  };
+
+  beforeEach(async () => {
+    await resetDatabase();
+    user = await signUp();
+    rent = await createCategory(user, { name: "Rent" });
+  });
+
+  after(() => knex.destroy());
+
+  test("materializes due occurrences once, clamping the day to the month's end", async () => {
+    const rule = (await createRule({ start_date: "2025-01-01", day_of_month: 31 }).expect(201)).body;
+
+    assert.equal(await materializeDue({ userId: user.id, date: new Date(2025, 3, 15) }), 3);
+    assert.equal(await materializeDue({ userId: user.id, date: new Date(2025, 3, 15) }), 0);
+
+    assert.deepEqual(await occurrences(rule.id), ["2025-01-31", "2025-02-28", "2025-03-31"]);
+    const stored = await knex("recurring_transaction").where({ id: rule.id }).first();
+    assert.equal(stored.occurrences_count, 3);
+    assert.equal(stored.active, true);
+
+    const [transaction] = await knex("transaction").where({ recurring_transaction_id: rule.id });
+    assert.equal(transaction.type, "expense");
+    assert.equal(transaction.currency, "TRY");
+  });
+
+  test("stops after max_occurrences", async () => {
+    const rule = (await createRule({ frequency: "weekly", start_date: "2025-01-06", max_occurrences: 2 }).expect(201))
+      .body;
+
+    assert.equal(await materializeDue({ userId: user.id, date: new Date(2025, 2, 1) }), 2);
+
+    assert.deepEqual(await occurrences(rule.id), ["2025-01-06", "2025-01-13"]);
+    assert.equal((await knex("recurring_transaction").where({ id: rule.id }).first()).active, false);
+  });
+
+  test("rejects a currency that differs from the default account's", async () => {
+    const res = await createRule({ start_date: "2025-01-01", currency: "EUR" }).expect(422);
+
+    assert.deepEqual(res.body.details, [{ field: "currency", message: "must match the account currency (TRY)" }]);
+  });
+
+  test("checks the currency against the account when only account_id changes", async () => {
+    const rule = (await createRule({ start_date: "2025-01-01", currency: "TRY" }).expect(201)).body;
+    const euros = (
+      await request(app).post("/api/account").set(user.auth).send({ name: "Euro", currency: "EUR" }).expect(201)
+    ).body;
+    const update = {
+      category_id: rent.id,
+      title: "Rent",
+      amount: 1000,
+      frequency: "monthly",
+      start_date: "2025-01-01",
+    };
+
+    await request(app)
+      .put(`/api/recurring_transaction/${rule.id}`)
+      .set(user.auth)
+      .send({ ...update, account_id: euros.id, currency: "TRY" })
+      .expect(422);
+
+    const res = await request(app)
+      .put(`/api/recurring_transaction/${rule.id}`)
+      .set(user.auth)
+      .send({ ...update, account_id: euros.id })
+      .expect(200);
+    assert.equal(res.body.account_id, euros.id);
+    assert.equal(res.body.currency, "EUR");
+
+    // account_id gönderilmezse kuralın hesabı korunur
+    const kept = await request(app)
+      .put(`/api/recurring_transaction/${rule.id}`)
+      .set(user.auth)
+      .send(update)
+      .expect(200);
+    assert.equal(kept.body.account_id, euros.id);
+  });
+
+  test("deactivates a rule whose currency no longer matches its account", async () => {
+    const rule = (await createRule({ start_date: "2025-01-01" }).expect(201)).body;
+    await knex("recurring_transaction").where({ id: rule.id }).update({ currency: "USD" });
+
+    assert.equal(await materializeDue({ userId: user.id, date: new Date(2025, 3, 15) }), 0);
+
+    assert.deepEqual(await occurrences(rule.id), []);
+    assert.equal((await knex("recurring_transaction").where({ id: rule.id }).first()).active, false);
+  });
+
+  test("deactivates a rule once its owner is no longer an editor of the ledger", async () => {
+    const rule = (await createRule({ start_date: "2025-01-01" }).expect(201)).body;
+    await knex("ledger_member").where({ auth_user_id: user.id }).update({ role: "viewer" });
+
+    assert.equal(await materializeDue({ userId: user.id, date: new Date(2025, 3, 15) }), 0);
+    assert.equal((await knex("recurring_transaction").where({ id: rule.id }).first()).active, false);
+  });
+
+  test("rejects a missing category_id and non-positive counts", async () => {
+    const res = await request(app)
+      .post("/api/recurring_transaction")
+      .set(user.auth)
+      .send({ title: "Rent", amount: 1000, frequency: "monthly", start_date: "2025-01-01" })
+      .expect(422);
+    assert.deepEqual(
+      res.body.details.map((detail) => detail.field),
+      ["category_id"]
+    );
+
+    await createRule({ start_date: "2025-01-01", interval: 0 }).expect(422);
+    await createRule({ start_date: "2025-01-01", max_occurrences: 1.5 }).expect(422);
+    await createRule({ start_date: "2025-01-01", frequency: "weekly", day_of_month: 3 }).expect(422);
+  });
+
+  test("delete returns 404 for a missing rule", async () => {
+    const rule = (await createRule({ start_date: "2025-01-01" }).expect(201)).body;
+
+    await request(app).delete(`/api/recurring_transaction/${rule.id}`).set(user.auth).expect(200);
+    await request(app).delete(`/api/recurring_transaction/${rule.id}`).set(user.auth).expect(404);
+  });
+});
@@ -0,0 +1,77 @@
+const { after, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { app, createCategory, knex, request, resetDatabase, signUp } = require("./helpers");
+
+describe("rules", () => {
+  let user;
+  let food;
+  let misc;
+  let refunds;
+  let tag;
+
+  const createTransaction = async (body) =>
+    (await request(app).post("/api/transaction").set(user.auth).send(body).expect(201)).body;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    user = await signUp();
+    food = await createCategory(user, { name: "Food" });
+    misc = await createCategory(user, { name: "Misc" });
+    refunds = await createCategory(user, { name: "Refunds", type: "income" });
+    tag = (await request(app).post("/api/tag").set(user.auth).send({ name: "coffee" }).expect(201)).body;
+  });
+
+  after(() => knex.destroy());
+
+  test("categorizes and tags new transactions", async () => {
+    await request(app)
+      .post("/api/rules")
+      .set(user.auth)
+      .send({
+        name: "Coffee",
+        description_regex: "^coffee\\s+(shop|bar)",
+        set_category_id: food.id,
+        add_tag_id: tag.id,
+      })
+      .expect(201);
+
+    const transaction = await createTransaction({ amount: 4, description: "Coffee shop" });
+    assert.equal(transaction.category_id, food.id);
+    assert.equal(transaction.type, "expense");
+    assert.deepEqual(
+      transaction.tags.map((t) => t.id),
+      [tag.id]
+    );
+  });
+
+  test("apply only recategorizes transactions of the category's type", async () => {
+    const expense = await createTransaction({ amount: 4, description: "Coffee shop", category_id: misc.id });
+    const income = await createTransaction({ amount: 4, description: "Coffee shop refund", category_id: refunds.id });
+    await createTransaction({ amount: 30, description: "Groceries", category_id: misc.id });
+
+    const rule = (
+      await request(app)
+        .post("/api/rules")
+        .set(user.auth)
+        .send({ name: "Coffee", description_contains: "coffee", set_category_id: food.id, add_tag_id: tag.id })
+        .expect(201)
+    ).body;
+
+    const dryRun = await request(app).post(`/api/rules/${rule.id}/dry-run`).set(user.auth).expect(200);
+    assert.equal(dryRun.body.matched, 2);
+    const changesById = Object.fromEntries(dryRun.body.transactions.map((t) => [t.id, t.changes]));
+    assert.deepEqual(changesById, { [expense.id]: { category_id: food.id }, [income.id]: {} });
+
+    const applied = await request(app).post(`/api/rules/${rule.id}/apply`).set(user.auth).expect(200);
+    assert.deepEqual(applied.body, { rule_id: rule.id, matched: 2, updated: 1, tagged: 2 });
+
+    const rows = await knex("transaction").whereIn("id", [expense.id, income.id]).select("id", "type", "category_id");
+    assert.deepEqual(Object.fromEntries(rows.map((row) => [row.id, [row.type, row.category_id]])), {
+      [expense.id]: ["expense", food.id],
+      [income.id]: ["income", refunds.id],
+    });
+
+    const again = await request(app).post(`/api/rules/${rule.id}/dry-run`).set(user.auth).expect(200);
+    assert.equal(again.body.matched, 0);
+  });
+});
@@ -0,0 +1,152 @@
+const { after, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { app, createCategory, knex, request, resetDatabase, signUp } = require("./helpers");
+const { parseAmount, parseCsv, parseDate, parseOfx } = require("../src/services/statementImport");
+
+describe("statement parsing", () => {
+  test("parseAmount reads common formats", () => {
+    assert.equal(parseAmount("1.234,56"), 1234.56);
+    assert.equal(parseAmount("1,234.56"), 1234.56);
+    assert.equal(parseAmount("1.234.567"), 1234567);
+    assert.equal(parseAmount("-12.5"), -12.5);
+    assert.equal(parseAmount("+12,50"), 12.5);
+    assert.equal(parseAmount("(12.50)"), -12.5);
+    assert.equal(parseAmount("₺ -1.250,00"), -1250);
+    assert.equal(parseAmount("12"), 12);
+  });
+
+  test("parseAmount rejects trailing signs and malformed separators", () => {
+    assert.ok(Number.isNaN(parseAmount("12-")));
+    assert.ok(Number.isNaN(parseAmount("(-12)")));
+    assert.ok(Number.isNaN(parseAmount("1.2.3,4")));
+    assert.ok(Number.isNaN(parseAmount("12,34,5")));
+    assert.ok(Number.isNaN(parseAmount("")));
+  });
+
+  test("parseAmount treats a lone three-digit group as ambiguous unless the separator is given", () => {
+    assert.ok(Number.isNaN(parseAmount("1.234")));
+    assert.ok(Number.isNaN(parseAmount("1,234")));
+    assert.equal(parseAmount("1.234", ","), 1234);
+    assert.equal(parseAmount("1.234", "."), 1.234);
+    assert.equal(parseAmount("1,234", "."), 1234);
+    assert.ok(Number.isNaN(parseAmount("12.5", ",")));
+  });
+
+  test("parseDate returns null for days that are not in the calendar", () => {
+    assert.equal(parseDate("31.01.2025", "DD.MM.YYYY"), "2025-01-31");
+    assert.equal(parseDate("31.02.2025", "DD.MM.YYYY"), null);
+    assert.equal(parseDate("2024-02-29"), "2024-02-29");
+    assert.equal(parseDate("2025-02-29"), null);
+    assert.equal(parseDate("2025-13-01"), null);
+    assert.equal(parseDate("20250431", "YYYYMMDD"), null);
+  });
+
+  test("parseDate tries the next format when a match is not a real date", () => {
+    assert.equal(parseDate("05/02/2025"), "2025-02-05");
+    assert.equal(parseDate("02/13/2025"), "2025-02-13");
+  });
+
+  test("parseCsv maps columns by header name and honours the separators", () => {
+    const csv = "Tarih;Tutar;Açıklama\n01.03.2025;-1.234;Kira\n02.03.2025;12,5;Kahve\n";
+    const rows = parseCsv(csv, {
+      date: "tarih",
+      amount: "TUTAR",
+      description: "Açıklama",
+      dateFormat: "DD.MM.YYYY",
+      decimalSeparator: ",",
+    });
+
+    assert.deepEqual(
+      rows.map(({ line, date, amount, description }) => ({ line, date, amount, description })),
+      [
+        { line: 2, date: "2025-03-01", amount: -1234, description: "Kira" },
+        { line: 3, date: "2025-03-02", amount: 12.5, description: "Kahve" },
+      ]
+    );
+    assert.throws(() => parseCsv(csv, { decimalSeparator: ";" }), /decimalSeparator/);
+  });
+
+  test("parseOfx reads SGML statements without closing tags", () => {
+    const ofx = [
+      "<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>USD<BANKTRANLIST>",
+      "<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250301120000<TRNAMT>-42.10<NAME>Grocer<MEMO>Card",
+      "<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250302<TRNAMT>1500.00<NAME>Payroll",
+      "</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>",
+    ].join("\n");
+
+    assert.deepEqual(
+      parseOfx(ofx).map(({ date, amount, description, currency }) => ({ date, amount, description, currency })),
+      [
+        { date: "2025-03-01", amount: -42.1, description: "Grocer - Card", currency: "USD" },
+        { date: "2025-03-02", amount: 1500, description: "Payroll", currency: "USD" },
+      ]
+    );
+  });
+});
+
+describe("POST /transaction/import", () => {
+  let user;
+  let food;
+  let salary;
+
+  const importCsv = (csv, fields = {}) => {
+    let req = request(app).post("/api/transaction/import").set(user.auth);
+    for (const [name, value] of Object.entries({
+      expense_category_id: food.id,
+      income_category_id: salary.id,
+      ...fields,
+    })) {
+      req = req.field(name, value);
+    }
+    return req.attach("file", Buffer.from(csv), "statement.csv");
+  };
+
+  beforeEach(async () => {
+    await resetDatabase();
+    user = await signUp();
+    food = await createCategory(user, { name: "Food" });
+    salary = await createCategory(user, { name: "Salary", type: "income" });
+  });
+
+  after(() => knex.destroy());
+
+  test("marks a row with an impossible date invalid and imports the rest", async () => {
+    const csv = "date,amount,description\n2025-02-31,-10,Lunch\n2025-02-28,-12.50,Dinner\n2025-02-27,12-,Refund\n";
+
+    const res = await importCsv(csv).expect(200);
+
+    assert.equal(res.body.inserted, 1);
+    assert.deepEqual(
+      res.body.rows.map((row) => [row.status, row.error]),
+      [
+        ["invalid", "Invalid date"],
+        ["new", undefined],
+        ["invalid", "Invalid amount"],
+      ]
+    );
+    const [inserted] = await knex("transaction").where({ auth_user_id: user.id });
+    assert.equal(Number(inserted.amount), 12.5);
+    assert.equal(inserted.type, "expense");
+  });
+
+  test("skips rows already in the ledger, once per existing transaction", async () => {
+    const csv = "date,amount,description\n2025-03-01,-3.50,Coffee\n2025-03-01,-3.50,Coffee\n";
+    await importCsv("date,amount,description\n2025-03-01,-3.50,Coffee\n").expect(200);
+
+    const res = await importCsv(csv).expect(200);
+
+    assert.equal(res.body.duplicates, 1);
+    assert.equal(res.body.inserted, 1);
+    const [{ count }] = await knex("transaction").where({ auth_user_id: user.id }).count();
+    assert.equal(Number(count), 2);
+  });
+
+  test("previews without inserting", async () => {
+    const res = await importCsv("date,amount,description\n2025-03-01,100,Salary\n", { preview: "true" }).expect(200);
+
+    assert.equal(res.body.inserted, 0);
+    assert.equal(res.body.rows[0].category_id, salary.id);
+    const [{ count }] = await knex("transaction").where({ auth_user_id: user.id }).count();
+    assert.equal(Number(count), 0);
+  });
+});
@@ -0,0 +1,104 @@
+// s3 sürücüsü, yerel bir HTTP sunucusunda çalışan basit bir S3 taklidine karşı denenir
+process.env.STORAGE_DRIVER = "s3";
+process.env.S3_BUCKET = "attachments";
+process.env.S3_FORCE_PATH_STYLE = "true";
+process.env.S3_ACCESS_KEY_ID = "test";
+process.env.S3_SECRET_ACCESS_KEY = "test";
+
+const { after, before, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { app, createCategory, knex, request, resetDatabase, signUp } = require("./helpers");
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from("receipt")]);
+
+// path-style istekler: /<bucket>/<key>
+const objects = new Map();
+const server = http.createServer((req, res) => {
+  const key = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    if (req.method === "PUT") {
+      objects.set(key, { body: Buffer.concat(chunks), contentType: req.headers["content-type"] });
+      res.writeHead(200, { ETag: '"etag"' }).end();
+    } else if (req.method === "GET" && objects.has(key)) {
+      const object = objects.get(key);
+      res.writeHead(200, { "Content-Type": object.contentType, "Content-Length": object.body.length });
+      res.end(object.body);
+    } else if (req.method === "GET") {
+      res.writeHead(404, { "Content-Type": "application/xml" });
+      res.end("<?xml version=\"1.0\"?><Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>");
+    } else if (req.method === "DELETE") {
+      objects.delete(key);
+      res.writeHead(204).end();
+    } else {
+      res.writeHead(405).end();
+    }
+  });
+});
+
+describe("attachment (s3 storage)", () => {
+  let user;
+  let transaction;
+
+  before(async () => {
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    process.env.S3_ENDPOINT = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(async () => {
+    await resetDatabase();
+    objects.clear();
+    user = await signUp();
+    const food = await createCategory(user, { name: "Food" });
+    transaction = (
+      await request(app)
+        .post("/api/transaction")
+        .set(user.auth)
+        .send({ amount: 25, description: "Lunch", category_id: food.id })
+        .expect(201)
+    ).body;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await knex.destroy();
+  });
+
+  test("stores, serves and removes files through the bucket", async () => {
+    const attachment = (
+      await request(app)
+        .post(`/api/transaction/${transaction.id}/attachments`)
+        .set(user.auth)
+        .attach("file", PNG, "receipt.png")
+        .expect(201)
+    ).body;
+    const objectKey = `/attachments/${attachment.storage_key}`;
+    assert.deepEqual(objects.get(objectKey), { body: PNG, contentType: "image/png" });
+
+    const url = `/api/transaction/${transaction.id}/attachments/${attachment.id}`;
+    const res = await request(app).get(url).set(user.auth).buffer(true).expect(200);
+    assert.deepEqual(res.body, PNG);
+
+    await request(app).delete(url).set(user.auth).expect(200);
+    assert.equal(objects.has(objectKey), false);
+    assert.equal((await knex("attachment_deletion").count("storage_key as count").first()).count, "0");
+  });
+
+  test("returns 404 when the object is missing from the bucket", async () => {
+    const attachment = (
+      await request(app)
+        .post(`/api/transaction/${transaction.id}/attachments`)
+        .set(user.auth)
+        .attach("file", PNG, "receipt.png")
+        .expect(201)
+    ).body;
+    objects.clear();
+
+    await request(app)
+      .get(`/api/transaction/${transaction.id}/attachments/${attachment.id}`)
+      .set(user.auth)
+      .expect(404);
+  });
+});
@@ -0,0 +1,43 @@
+const { after, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { app, createCategory, knex, request, resetDatabase, signUp } = require("./helpers");
+
+describe("GET /transaction/export", () => {
+  let user;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    user = await signUp();
+    const category = await createCategory(user, { name: "@SUM(A1:A9)" });
+    await request(app)
+      .post("/api/transaction")
+      .set(user.auth)
+      .send({
+        amount: 12.5,
+        title: '=HYPERLINK("http://example.com","click")',
+        description: "-2+3, with a comma",
+        category_id: category.id,
+      })
+      .expect(201);
+  });
+
+  after(() => knex.destroy());
+
+  test("prefixes formula-like CSV cells with a quote", async () => {
+    const res = await request(app).get("/api/transaction/export").query({ format: "csv" }).set(user.auth).expect(200);
+
+    const [header, line] = res.text.replace(/^\uFEFF/, "").trim().split("\r\n");
+    assert.equal(header.split(",")[2], "title");
+    assert.match(line, /,"'=HYPERLINK\(""http:\/\/example\.com"",""click""\)","'-2\+3, with a comma",12\.5,TRY,/);
+    assert.match(line, /,'@SUM\(A1:A9\),/);
+  });
+
+  test("leaves JSON values unchanged", async () => {
+    const res = await request(app).get("/api/transaction/export").query({ format: "json" }).set(user.auth).expect(200);
+
+    const [record] = JSON.parse(res.text);
+    assert.equal(record.title, '=HYPERLINK("http://example.com","click")');
+    assert.equal(record.category_name, "@SUM(A1:A9)");
+    assert.equal(record.amount, 12.5);
+  });
+});
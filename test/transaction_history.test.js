@@ -0,0 +1,79 @@
+const { after, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { v4: uuidv4 } = require("uuid");
+const { app, createCategory, knex, request, resetDatabase, signUp } = require("./helpers");
+
+describe("transaction history", () => {
+  let user;
+  let food;
+
+  const history = (owner, id) => request(app).get(`/api/transaction/${id}/history`).set(owner.auth);
+
+  beforeEach(async () => {
+    await resetDatabase();
+    user = await signUp();
+    food = await createCategory(user, { name: "Food" });
+  });
+
+  after(() => knex.destroy());
+
+  test("lists every audit entry of the transaction, including ones without a ledger snapshot", async () => {
+    const transaction = (
+      await request(app)
+        .post("/api/transaction")
+        .set(user.auth)
+        .send({ amount: 25, description: "Lunch", category_id: food.id })
+        .expect(201)
+    ).body;
+    await request(app)
+      .put(`/api/transaction/${transaction.id}`)
+      .set(user.auth)
+      .send({ amount: 30, description: "Lunch", category_id: food.id })
+      .expect(200);
+
+    // defterlerden önceki kayıtların anlık görüntüsünde ledger_id yoktur
+    await knex("audit_log").insert({
+      id: uuidv4(),
+      auth_user_id: user.id,
+      actor_id: user.id,
+      entity: "transaction",
+      entity_id: transaction.id,
+      action: "update",
+      before: JSON.stringify({ id: transaction.id, amount: "20.00" }),
+      after: JSON.stringify({ id: transaction.id, amount: "25.00" }),
+      created_at: knex.raw("now() + interval '1 second'"),
+    });
+
+    const res = await history(user, transaction.id).expect(200);
+    assert.deepEqual(
+      res.body.map((entry) => entry.action),
+      ["insert", "update", "update"]
+    );
+
+    const other = await signUp();
+    await history(other, transaction.id).expect(404);
+  });
+
+  test("still works after the transaction was purged", async () => {
+    const wallet = (await request(app).post("/api/account").set(user.auth).send({ name: "Wallet" }).expect(201)).body;
+    const transaction = (
+      await request(app)
+        .post("/api/transaction")
+        .set(user.auth)
+        .send({ amount: 25, description: "Lunch", category_id: food.id, account_id: wallet.id })
+        .expect(201)
+    ).body;
+
+    await request(app).delete(`/api/transaction/${transaction.id}`).set(user.auth).expect(200);
+    // hesap silinirken çöp kutusundaki işlemler kalıcı olarak silinir
+    await request(app).delete(`/api/account/${wallet.id}`).set(user.auth).expect(200);
+
+    const res = await history(user, transaction.id).expect(200);
+    assert.deepEqual(
+      res.body.map((entry) => entry.action),
+      ["insert", "delete", "delete"]
+    );
+
+    await history(user, uuidv4()).expect(404);
+  });
+});
@@ -0,0 +1,76 @@
+const { after, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { app, createCategory, knex, request, resetDatabase, signUp } = require("./helpers");
+
+describe("GET /transaction/summary", () => {
+  let user;
+  let salary;
+  let food;
+  let groceries;
+
+  const addTransaction = async (category, amount, createdAt) => {
+    const res = await request(app)
+      .post("/api/transaction")
+      .set(user.auth)
+      .send({ amount, description: `${category.name} ${amount}`, category_id: category.id })
+      .expect(201);
+    await knex("transaction").where({ id: res.body.id }).update({ created_at: createdAt });
+    return res.body;
+  };
+
+  beforeEach(async () => {
+    await resetDatabase();
+    user = await signUp();
+    salary = await createCategory(user, { name: "Salary", type: "income" });
+    food = await createCategory(user, { name: "Food", type: "expense" });
+    groceries = await createCategory(user, { name: "Groceries", type: "expense", parent_id: food.id });
+
+    await addTransaction(salary, 1000, "2025-01-05T10:00:00Z");
+    await addTransaction(food, 40, "2025-01-10T10:00:00Z");
+    await addTransaction(groceries, 60, "2025-02-03T10:00:00Z");
+    await addTransaction(groceries, 25, "2025-03-01T10:00:00Z");
+  });
+
+  after(() => knex.destroy());
+
+  test("returns totals, periods and rolled up category totals for the range", async () => {
+    const res = await request(app)
+      .get("/api/transaction/summary")
+      .query({ from: "2025-01-01", to: "2025-02-28" })
+      .set(user.auth)
+      .expect(200);
+
+    assert.deepEqual(res.body.totals, { income: 1000, expense: 100, net: 900 });
+    assert.deepEqual(
+      res.body.periods.map((period) => [new Date(period.period).getMonth(), period.income, period.expense]),
+      [
+        [0, 1000, 40],
+        [1, 0, 60],
+      ]
+    );
+
+    const byName = Object.fromEntries(res.body.categories.map((category) => [category.name, category]));
+    assert.equal(byName.Food.total, 40);
+    assert.equal(byName.Food.rolled_up_total, 100);
+    assert.equal(byName.Food.rolled_up_count, 2);
+    assert.equal(byName.Groceries.total, 60);
+  });
+
+  test("does not count other users' transactions", async () => {
+    const other = await signUp();
+    const otherFood = await createCategory(other, { name: "Food", type: "expense" });
+    await request(app)
+      .post("/api/transaction")
+      .set(other.auth)
+      .send({ amount: 500, description: "Dinner", category_id: otherFood.id })
+      .expect(201);
+
+    const res = await request(app).get("/api/transaction/summary").set(user.auth).expect(200);
+
+    assert.deepEqual(res.body.totals, { income: 1000, expense: 125, net: 875 });
+  });
+
+  test("rejects an invalid date", async () => {
+    await request(app).get("/api/transaction/summary").query({ from: "2025-13-01" }).set(user.auth).expect(400);
+  });
+});